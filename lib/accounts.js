@@ -0,0 +1,259 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const streamAuth = require('./streamAuth');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'accounts' });
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 60;
+const SESSION_COOKIE = 'session';
+
+// Compared against when a username does not exist, so a failed login takes
+// as long for unknown users as for wrong passwords
+const DUMMY_PASSWORD_HASH = streamAuth.hashPassphrase(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Local user accounts persisted to a JSON file, with scrypt password hashes.
+ *
+ * Sessions are signed cookies rather than server-side state: the cookie holds
+ * the user id and a token signed with STREAM_TOKEN_SECRET over the user's
+ * session nonce. Changing the password rotates the nonce and so signs out
+ * every other session.
+ */
+class AccountStore {
+  constructor({ filePath, sessionTtlMs }) {
+    this.filePath = filePath;
+    this.sessionTtlMs = sessionTtlMs;
+    this.users = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.users || []).forEach(user => this.users.set(user.id, user));
+      log.info('Accounts loaded', { count: this.users.size, file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read accounts', { file: this.filePath, err: error });
+      }
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ users: Array.from(this.users.values()) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  create({ username, password, displayName }) {
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      displayName: displayName || username,
+      passwordHash: streamAuth.hashPassphrase(password),
+      sessionNonce: streamAuth.createNonce(),
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.set(user.id, user);
+    this.save();
+    return user;
+  }
+
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  getByUsername(username) {
+    const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    return Array.from(this.users.values()).find(user => user.username === normalized) || null;
+  }
+
+  authenticate(username, password) {
+    const user = this.getByUsername(username);
+    const valid = streamAuth.verifyPassphrase(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    return user && valid ? user : null;
+  }
+
+  changePassword(id, password) {
+    const user = this.users.get(id);
+    if (!user) return null;
+
+    user.passwordHash = streamAuth.hashPassphrase(password);
+    user.sessionNonce = streamAuth.createNonce();
+    this.save();
+    return user;
+  }
+
+  createSession(user) {
+    return `${user.id}.${streamAuth.createStreamToken('session', user.id, user.sessionNonce, this.sessionTtlMs)}`;
+  }
+
+  verifySession(value) {
+    if (typeof value !== 'string') return null;
+
+    const separator = value.indexOf('.');
+    const user = separator > 0 ? this.users.get(value.slice(0, separator)) : null;
+    if (!user || !streamAuth.verifyStreamToken('session', value.slice(separator + 1), user.id, user.sessionNonce)) {
+      return null;
+    }
+    return user;
+  }
+
+  // The user as other people may see it
+  describe(id) {
+    const user = this.users.get(id);
+    return user ? { id: user.id, username: user.username, displayName: user.displayName } : null;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      const name = part.slice(0, separator).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        // Ignore cookies that are not ours and not URI-encoded
+      }
+    }
+  });
+  return cookies;
+}
+
+function getSessionUser(accounts, cookieHeader) {
+  return accounts.verifySession(parseCookies(cookieHeader)[SESSION_COOKIE]);
+}
+
+// Express middleware: req.user is the signed-in user or null
+function authenticateRequest(accounts) {
+  return (req, res, next) => {
+    req.user = getSessionUser(accounts, req.get('cookie'));
+    next();
+  };
+}
+
+// Socket.io middleware: the session cookie is checked once, during the handshake,
+// and socket.data.user is the signed-in user or null for guests
+function authenticateSocket(accounts) {
+  return (socket, next) => {
+    socket.data.user = getSessionUser(accounts, socket.handshake.headers.cookie);
+    next();
+  };
+}
+
+function validateCredentials(body, { requireUsername }) {
+  const input = {};
+
+  if (requireUsername) {
+    const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      return { error: 'username must be 3-32 letters, digits, dots, dashes or underscores' };
+    }
+    input.username = username;
+  }
+
+  if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  input.password = body.password;
+
+  if (body.displayName !== undefined) {
+    if (typeof body.displayName !== 'string' || !body.displayName.trim() || body.displayName.trim().length > MAX_NAME_LENGTH) {
+      return { error: `displayName must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    input.displayName = body.displayName.trim();
+  }
+
+  return { input };
+}
+
+// Routes mounted at /api/auth. `canRegister(req, username)` may hold back
+// usernames, such as those of administrators.
+function createAuthRouter({ accounts, canRegister = () => true }) {
+  const router = express.Router();
+
+  function setSessionCookie(req, res, user) {
+    res.cookie(SESSION_COOKIE, accounts.createSession(user), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: accounts.sessionTtlMs
+    });
+  }
+
+  router.get('/me', (req, res) => {
+    res.json({ user: req.user ? accounts.describe(req.user.id) : null });
+  });
+
+  router.post('/register', (req, res) => {
+    const { input, error } = validateCredentials(req.body || {}, { requireUsername: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (accounts.getByUsername(input.username)) {
+      return res.status(409).json({ error: 'That username is taken' });
+    }
+    if (!canRegister(req, input.username)) {
+      req.log.warn('Registration of a reserved username refused', { username: input.username });
+      return res.status(403).json({ error: 'That username is reserved' });
+    }
+
+    const user = accounts.create(input);
+    req.log.info('Account created', { username: user.username });
+    setSessionCookie(req, res, user);
+    res.status(201).json({ user: accounts.describe(user.id) });
+  });
+
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = accounts.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    setSessionCookie(req, res, user);
+    res.json({ user: accounts.describe(user.id) });
+  });
+
+  router.post('/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: req.secure });
+    res.status(204).end();
+  });
+
+  // Signs out every other session of the account
+  router.post('/password', (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in first' });
+    }
+    if (!accounts.authenticate(req.user.username, (req.body || {}).currentPassword)) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    const { input, error } = validateCredentials(req.body || {}, { requireUsername: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const user = accounts.changePassword(req.user.id, input.password);
+    setSessionCookie(req, res, user);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  AccountStore,
+  authenticateRequest,
+  authenticateSocket,
+  createAuthRouter
+};
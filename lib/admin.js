@@ -0,0 +1,247 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_EVENT_LIMIT = 200;
+
+const log = logger.child({ component: 'admin' });
+
+// Settings an administrator may change while the server runs, with their bounds
+const SETTINGS_LIMITS = {
+  maxViewersPerStream: { min: 0, max: 10000 }, // 0 for no limit
+  maxDurationMinutes: { min: 0, max: 7 * 24 * 60 }, // 0 for no limit
+  idleTimeoutMinutes: { min: 0, max: 7 * 24 * 60 }, // 0 for never
+  policyCheckSeconds: { min: 5, max: 60 * 60 }
+};
+
+/**
+ * The admin area: the page at /admin and the routes under /api/admin.
+ *
+ *   ADMIN_USERNAMES  Comma-separated usernames of the accounts that are administrators
+ *   ADMIN_TOKEN      Bearer token that works in place of an admin session, for scripts
+ *
+ * With neither set, the admin area turns everyone away. Admin usernames are
+ * reserved: registering one needs the ADMIN_TOKEN (see canRegisterUsername),
+ * so nobody can sign up as an administrator nobody has claimed yet.
+ */
+function loadAdminConfig(env = process.env) {
+  const usernames = (env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(username => username.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    usernames,
+    token: env.ADMIN_TOKEN || null
+  };
+}
+
+/**
+ * Settings an administrator can change at runtime (SETTINGS_LIMITS). They
+ * start out from `defaults`, taken from the environment, and changes are kept
+ * in a JSON file so they survive a restart. Each node has its own.
+ */
+class RuntimeSettings {
+  constructor({ filePath, defaults }) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.overrides = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const { input } = validateSettingsInput(data.settings || {});
+      this.overrides = input || {};
+      log.info('Runtime settings loaded', { file: this.filePath, settings: this.overrides });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read runtime settings', { file: this.filePath, err: error });
+      }
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ settings: this.overrides }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get values() {
+    return { ...this.defaults, ...this.overrides };
+  }
+
+  update(changes) {
+    this.overrides = { ...this.overrides, ...changes };
+    this.save();
+    return this.values;
+  }
+}
+
+function hasAdminToken(config, req) {
+  if (!config.token) return false;
+
+  const expected = Buffer.from(`Bearer ${config.token}`);
+  const actual = Buffer.from(req.get('authorization') || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Registration check for /api/auth/register: admin usernames only with the
+// ADMIN_TOKEN. Without a token they cannot be registered at all.
+function canRegisterUsername(config, req, username) {
+  return !config.usernames.includes(username) || hasAdminToken(config, req);
+}
+
+// Every field is optional; whole numbers within SETTINGS_LIMITS
+function validateSettingsInput(body) {
+  const input = {};
+  for (const [field, value] of Object.entries(body)) {
+    const limits = SETTINGS_LIMITS[field];
+    if (!limits) {
+      return { error: `Unknown setting: ${field}` };
+    }
+    if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+      return { error: `${field} must be a whole number from ${limits.min} to ${limits.max}` };
+    }
+    input[field] = value;
+  }
+  return { input };
+}
+
+/**
+ * The most recent connections, stream events and admin actions on this node,
+ * newest first, for the admin page. Kept in memory only.
+ */
+class AdminEventLog {
+  constructor({ maxEntries = DEFAULT_EVENT_LIMIT } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+  }
+
+  add(type, details = {}) {
+    this.entries.unshift({ time: new Date().toISOString(), type, ...details });
+    if (this.entries.length > this.maxEntries) {
+      this.entries.length = this.maxEntries;
+    }
+  }
+
+  list({ limit = this.maxEntries, type } = {}) {
+    return this.entries.filter(entry => !type || entry.type === type).slice(0, limit);
+  }
+}
+
+// Routes mounted at /api/admin. `streams` does the work on the live streams:
+// { list(), end(streamId, admin), kick(streamId, viewerId, admin) }, each async
+// and, for end and kick, resolving to false if there is no such stream or viewer.
+// `applySettings(values)` puts changed settings into effect.
+function createAdminRouter({ config, settings, eventLog, streams, applySettings }) {
+  const router = express.Router();
+
+  // Who did it, for the event log
+  function describeAdmin(req) {
+    return req.user ? req.user.username : 'token';
+  }
+
+  router.use((req, res, next) => {
+    if (hasAdminToken(config, req) || (req.user && config.usernames.includes(req.user.username))) {
+      return next();
+    }
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in as an administrator' });
+    }
+    req.log.warn('Admin access denied', { username: req.user.username, path: req.path });
+    res.status(403).json({ error: 'Not an administrator' });
+  });
+
+  router.get('/streams', async (req, res, next) => {
+    try {
+      res.json(await streams.list());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/streams/:id', async (req, res, next) => {
+    if (!STREAM_ID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    try {
+      if (!(await streams.end(req.params.id, describeAdmin(req)))) {
+        return res.status(404).json({ error: 'Stream not found' });
+      }
+    } catch (error) {
+      return next(error);
+    }
+    req.log.info('Stream ended by admin', { streamId: req.params.id, admin: describeAdmin(req) });
+    res.status(204).end();
+  });
+
+  router.delete('/streams/:id/viewers/:viewerId', async (req, res, next) => {
+    const { id, viewerId } = req.params;
+    if (!STREAM_ID_PATTERN.test(id) || !STREAM_ID_PATTERN.test(viewerId)) {
+      return res.status(404).json({ error: 'Viewer not found' });
+    }
+
+    try {
+      if (!(await streams.kick(id, viewerId, describeAdmin(req)))) {
+        return res.status(404).json({ error: 'Viewer not found' });
+      }
+    } catch (error) {
+      return next(error);
+    }
+    req.log.info('Viewer removed by admin', { streamId: id, viewerId, admin: describeAdmin(req) });
+    res.status(204).end();
+  });
+
+  router.get('/events', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, eventLog.maxEntries);
+    const type = typeof req.query.type === 'string' ? req.query.type : undefined;
+    res.json(eventLog.list({ limit, type }));
+  });
+
+  router.get('/settings', (req, res) => {
+    res.json({ settings: settings.values, limits: SETTINGS_LIMITS });
+  });
+
+  router.patch('/settings', (req, res) => {
+    const { input, error } = validateSettingsInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const values = settings.update(input);
+    applySettings(values);
+    eventLog.add('settings-changed', { admin: describeAdmin(req), changes: input });
+    req.log.info('Runtime settings changed', { admin: describeAdmin(req), changes: input });
+    res.json({ settings: values, limits: SETTINGS_LIMITS });
+  });
+
+  return router;
+}
+
+function describeAdminConfig(config) {
+  const access = [];
+  if (config.usernames.length > 0) {
+    access.push(`${config.usernames.length} admin account${config.usernames.length === 1 ? '' : 's'}`);
+  }
+  if (config.token) {
+    access.push('token');
+  }
+  return access.length > 0 ? access.join(' + ') : 'off';
+}
+
+module.exports = {
+  loadAdminConfig,
+  canRegisterUsername,
+  RuntimeSettings,
+  AdminEventLog,
+  createAdminRouter,
+  describeAdminConfig
+};
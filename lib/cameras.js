@@ -0,0 +1,394 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { validatePolicyInput } = require('./streamPolicy');
+
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_NAME_LENGTH = 60;
+const MAX_SETTINGS_BYTES = 4 * 1024;
+
+const log = logger.child({ component: 'cameras' });
+
+function generateCameraId() {
+  const bytes = crypto.randomBytes(8);
+  return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Named cameras persisted to a JSON file, so a camera keeps its id (and its
+ * share link) across server restarts and streamer reconnects.
+ *
+ * Creating a camera returns a secret camera key once. The streamer presents it
+ * to reclaim the camera id, and it is required to rename or delete the camera.
+ *
+ * A camera registered while signed in belongs to that account (`ownerId`).
+ * The owner's session works in place of the key, and the owner can share view
+ * access with other accounts (`sharedWith`, a list of user ids).
+ *
+ * A camera's `policy` limits how long and when it streams (lib/streamPolicy.js).
+ *
+ * Viewer, upload and resume tokens of a camera's streams are signed with the
+ * camera's `tokenNonce`, so its links outlive a single stream session. Rotating
+ * the nonce revokes every token handed out so far.
+ */
+class CameraRegistry {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.cameras = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.cameras || []).forEach(camera => this.cameras.set(camera.id, camera));
+      log.info('Cameras loaded', { count: this.cameras.size, file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read camera registry', { file: this.filePath, err: error });
+      }
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written registry
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ cameras: Array.from(this.cameras.values()) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  create({ name, owner, ownerId, settings, policy }) {
+    let id = generateCameraId();
+    while (this.cameras.has(id)) {
+      id = generateCameraId();
+    }
+
+    const key = crypto.randomBytes(24).toString('base64url');
+    const camera = {
+      id,
+      name,
+      owner: owner || null,
+      ownerId: ownerId || null,
+      sharedWith: [],
+      settings: settings || {},
+      policy: policy || null,
+      keyHash: hashKey(key),
+      tokenNonce: crypto.randomBytes(8).toString('hex'),
+      createdAt: new Date().toISOString(),
+      lastSeenAt: null
+    };
+
+    this.cameras.set(id, camera);
+    this.save();
+    return { camera, key };
+  }
+
+  get(id) {
+    return this.cameras.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.cameras.values());
+  }
+
+  update(id, changes) {
+    const camera = this.cameras.get(id);
+    if (!camera) return null;
+
+    ['name', 'owner', 'settings', 'policy'].forEach(field => {
+      if (changes[field] !== undefined) camera[field] = changes[field];
+    });
+    this.save();
+    return camera;
+  }
+
+  delete(id) {
+    const deleted = this.cameras.delete(id);
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  verifyKey(id, key) {
+    const camera = this.cameras.get(id);
+    if (!camera || typeof key !== 'string') return false;
+
+    const expected = Buffer.from(camera.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  // Tokens for a camera are signed with this nonce, so links stay valid across
+  // stream sessions until the nonce is rotated or the camera is deleted
+  getTokenNonce(id) {
+    const camera = this.cameras.get(id);
+    if (!camera) return null;
+
+    if (!camera.tokenNonce) {
+      camera.tokenNonce = crypto.randomBytes(8).toString('hex');
+      this.save();
+    }
+    return camera.tokenNonce;
+  }
+
+  rotateTokenNonce(id) {
+    const camera = this.cameras.get(id);
+    if (!camera) return null;
+
+    camera.tokenNonce = crypto.randomBytes(8).toString('hex');
+    this.save();
+    return camera.tokenNonce;
+  }
+
+  isOwner(id, userId) {
+    const camera = this.cameras.get(id);
+    return Boolean(camera && userId && camera.ownerId === userId);
+  }
+
+  // Signed-in users who may watch the camera without a passphrase or token
+  canView(id, userId) {
+    const camera = this.cameras.get(id);
+    return Boolean(camera && userId &&
+      (camera.ownerId === userId || (camera.sharedWith || []).includes(userId)));
+  }
+
+  share(id, userId) {
+    const camera = this.cameras.get(id);
+    if (!camera) return null;
+
+    camera.sharedWith = camera.sharedWith || [];
+    if (!camera.sharedWith.includes(userId)) {
+      camera.sharedWith.push(userId);
+      this.save();
+    }
+    return camera;
+  }
+
+  unshare(id, userId) {
+    const camera = this.cameras.get(id);
+    if (!camera) return null;
+
+    camera.sharedWith = (camera.sharedWith || []).filter(sharedId => sharedId !== userId);
+    this.save();
+    return camera;
+  }
+
+  touch(id) {
+    const camera = this.cameras.get(id);
+    if (!camera) return;
+
+    camera.lastSeenAt = new Date().toISOString();
+    this.save();
+  }
+}
+
+function validateCameraInput(body, { partial }) {
+  const input = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    input.name = body.name.trim();
+  }
+
+  if (body.owner !== undefined) {
+    if (body.owner !== null && (typeof body.owner !== 'string' || body.owner.length > MAX_NAME_LENGTH)) {
+      return { error: 'owner must be a string' };
+    }
+    input.owner = body.owner;
+  }
+
+  if (body.settings !== undefined) {
+    if (typeof body.settings !== 'object' || body.settings === null || Array.isArray(body.settings) ||
+        JSON.stringify(body.settings).length > MAX_SETTINGS_BYTES) {
+      return { error: 'settings must be a small JSON object' };
+    }
+    input.settings = body.settings;
+  }
+
+  if (body.policy !== undefined) {
+    const { input: policy, error } = validatePolicyInput(body.policy);
+    if (error) {
+      return { error };
+    }
+    input.policy = policy;
+  }
+
+  return { input };
+}
+
+// Routes mounted at /api/cameras. `getStatus(id)` describes the live stream of a camera.
+// Expects `req.user` from the accounts middleware.
+function createCamerasRouter({ registry, accounts, getStatus, onUpdate, onRotateTokens, onUnshare, onDelete }) {
+  const router = express.Router();
+
+  function getKey(req) {
+    const header = req.get('authorization');
+    return header && header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+  }
+
+  // The camera key, or the session of the account that owns the camera
+  function canManage(req, camera) {
+    return registry.verifyKey(camera.id, getKey(req)) ||
+      Boolean(req.user && registry.isOwner(camera.id, req.user.id));
+  }
+
+  // Only the owner gets to see who a camera is shared with. `access` tells a
+  // signed-in user why they may watch the camera without a passphrase.
+  function toListing(camera, user) {
+    const isOwner = Boolean(user && registry.isOwner(camera.id, user.id));
+    const isShared = !isOwner && Boolean(user && registry.canView(camera.id, user.id));
+    return {
+      id: camera.id,
+      name: camera.name,
+      owner: camera.owner,
+      ownerAccount: camera.ownerId ? accounts.describe(camera.ownerId) : null,
+      access: isOwner ? 'owner' : isShared ? 'shared' : undefined,
+      sharedWith: isOwner
+        ? (camera.sharedWith || []).map(userId => accounts.describe(userId)).filter(Boolean)
+        : undefined,
+      settings: camera.settings || {},
+      policy: camera.policy || null,
+      createdAt: camera.createdAt,
+      lastSeenAt: camera.lastSeenAt,
+      ...getStatus(camera.id)
+    };
+  }
+
+  // Private cameras are left out of the listing, like private streams, except
+  // for their owner and the accounts they are shared with
+  router.get('/', (req, res) => {
+    const userId = req.user ? req.user.id : null;
+    res.json(registry.list()
+      .filter(camera => !(camera.settings && camera.settings.private) || registry.canView(camera.id, userId))
+      .map(camera => toListing(camera, req.user)));
+  });
+
+  router.post('/', (req, res) => {
+    const { input, error } = validateCameraInput(req.body || {}, { partial: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { camera, key } = registry.create({ ...input, ownerId: req.user ? req.user.id : null });
+    req.log.info('Camera registered', { cameraId: camera.id, name: camera.name, username: req.user ? req.user.username : null });
+
+    // The key is only ever returned here
+    res.status(201).json({ camera: toListing(camera, req.user), key });
+  });
+
+  router.get('/:id', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    res.json(toListing(camera, req.user));
+  });
+
+  router.patch('/:id', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    if (!canManage(req, camera)) {
+      return res.status(403).json({ error: 'Invalid camera key' });
+    }
+
+    const { input, error } = validateCameraInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = registry.update(camera.id, input);
+    onUpdate(updated);
+    res.json(toListing(updated, req.user));
+  });
+
+  // Revokes every viewer link and upload or resume token of the camera, e.g.
+  // after a link leaked, including links to its recordings and motion events.
+  // The passphrase of a private stream stays valid. The live stream, if any,
+  // carries on with new tokens.
+  router.post('/:id/rotate-tokens', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    if (!canManage(req, camera)) {
+      return res.status(403).json({ error: 'Invalid camera key' });
+    }
+
+    registry.rotateTokenNonce(camera.id);
+    onRotateTokens(camera.id);
+    req.log.info('Camera tokens rotated', { cameraId: camera.id });
+    res.json(toListing(camera, req.user));
+  });
+
+  // Sharing is tied to accounts, so only the owner's session can change it
+  router.put('/:id/shares/:username', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    if (!req.user || !registry.isOwner(camera.id, req.user.id)) {
+      return res.status(403).json({ error: 'Only the owner can share this camera' });
+    }
+
+    const user = accounts.getByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'No account with that username' });
+    }
+    if (user.id === camera.ownerId) {
+      return res.status(400).json({ error: 'The owner can always view the camera' });
+    }
+
+    registry.share(camera.id, user.id);
+    req.log.info('Camera shared', { cameraId: camera.id, username: user.username });
+    res.json(toListing(camera, req.user));
+  });
+
+  router.delete('/:id/shares/:username', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    if (!req.user || !registry.isOwner(camera.id, req.user.id)) {
+      return res.status(403).json({ error: 'Only the owner can share this camera' });
+    }
+
+    const user = accounts.getByUsername(req.params.username);
+    if (user) {
+      registry.unshare(camera.id, user.id);
+      onUnshare(camera.id, user.id);
+    }
+    res.json(toListing(camera, req.user));
+  });
+
+  router.delete('/:id', (req, res) => {
+    const camera = registry.get(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+    if (!canManage(req, camera)) {
+      return res.status(403).json({ error: 'Invalid camera key' });
+    }
+
+    registry.delete(camera.id);
+    onDelete(camera.id);
+    req.log.info('Camera deleted', { cameraId: camera.id, name: camera.name });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  CameraRegistry,
+  createCamerasRouter
+};
@@ -0,0 +1,113 @@
+// Reactions viewers can send over the video; anything else is turned away
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '👏', '🔥'];
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_NAME_LENGTH = 40;
+
+// Control characters and the bidirectional overrides that could make a message
+// or name display as something else; newlines and tabs become spaces
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+/**
+ * Text chat and reactions inside a stream, between its streamer and viewers.
+ *
+ *   CHAT_HISTORY_SIZE  Messages kept per stream for viewers who join later
+ *                      (default 50, 0 keeps none)
+ *
+ * How many messages and reactions a socket may send is set with RATE_LIMIT_CHAT
+ * (lib/rateLimit.js).
+ */
+function loadChatConfig(env = process.env) {
+  let historySize = 50;
+  if (env.CHAT_HISTORY_SIZE !== undefined && env.CHAT_HISTORY_SIZE !== '') {
+    historySize = Number(env.CHAT_HISTORY_SIZE);
+    if (!Number.isInteger(historySize) || historySize < 0) {
+      throw new Error('CHAT_HISTORY_SIZE must be a whole number of messages');
+    }
+  }
+  return { historySize };
+}
+
+// Chat text as it is stored and sent on: safe characters only, trimmed and cut
+// to `maxLength`. Clients still show it as text, never as HTML.
+function cleanChatText(text, maxLength = MAX_MESSAGE_LENGTH) {
+  if (typeof text !== 'string') return '';
+  return Array.from(text.replace(UNSAFE_CHARACTERS, ' ').trim()).slice(0, maxLength).join('').trim();
+}
+
+/**
+ * The chat of one live stream: its recent messages and the viewers the
+ * streamer muted. Lives and ends with the stream, on the node that holds it.
+ * Mutes are kept by the key the server gives a viewer: its account for
+ * signed-in viewers, so they stay muted when they reconnect, and its socket
+ * for guests, who have nothing else to be known by.
+ */
+class StreamChat {
+  constructor({ historySize }) {
+    this.historySize = historySize;
+    this.messages = [];
+    this.muted = new Set();
+    this.nextId = 1;
+  }
+
+  // `author` is { id, name, role, signedIn }
+  add(streamId, author, text) {
+    const message = {
+      id: this.nextId++,
+      streamId,
+      author,
+      text,
+      sentAt: new Date().toISOString()
+    };
+
+    this.messages.push(message);
+    if (this.messages.length > this.historySize) {
+      this.messages.splice(0, this.messages.length - this.historySize);
+    }
+    return message;
+  }
+
+  // Drops the message from the history if it is still there. Returns false if
+  // this chat never had a message by that id; older ones are gone from the
+  // history but may still be on screen, so they can still be deleted.
+  delete(messageId) {
+    if (!Number.isInteger(messageId) || messageId < 1 || messageId >= this.nextId) {
+      return false;
+    }
+    const index = this.messages.findIndex(message => message.id === messageId);
+    if (index !== -1) {
+      this.messages.splice(index, 1);
+    }
+    return true;
+  }
+
+  setMuted(key, muted) {
+    if (muted) {
+      this.muted.add(key);
+    } else {
+      this.muted.delete(key);
+    }
+  }
+
+  isMuted(key) {
+    return this.muted.has(key);
+  }
+
+  history() {
+    return this.messages.slice();
+  }
+}
+
+function describeChatConfig(config) {
+  return config.historySize > 0 ? `${config.historySize} messages of history` : 'no history';
+}
+
+module.exports = {
+  CHAT_REACTIONS,
+  MAX_MESSAGE_LENGTH,
+  MAX_NAME_LENGTH,
+  loadChatConfig,
+  cleanChatText,
+  StreamChat,
+  describeChatConfig
+};
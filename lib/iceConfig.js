@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+/**
+ * ICE servers handed to clients through /api/ice-config.
+ *
+ *   ICE_SERVERS           JSON array of RTCIceServer objects. `[]` means LAN-only:
+ *                         peers only use their local (host) candidates.
+ *   TURN_URLS             Comma-separated turn:/turns: URLs using the TURN REST API
+ *   TURN_SECRET           Shared secret configured in the TURN server (coturn: static-auth-secret)
+ *   TURN_TTL_SECONDS      Lifetime of generated TURN credentials (default 24 hours)
+ *   ICE_TRANSPORT_POLICY  `all` (default) or `relay` to force traffic through TURN
+ */
+function loadIceConfig(env = process.env) {
+  let iceServers = DEFAULT_ICE_SERVERS;
+  if (env.ICE_SERVERS !== undefined) {
+    try {
+      iceServers = JSON.parse(env.ICE_SERVERS);
+    } catch (error) {
+      throw new Error(`ICE_SERVERS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(iceServers)) {
+      throw new Error('ICE_SERVERS must be a JSON array');
+    }
+  }
+
+  const turnUrls = (env.TURN_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  if (turnUrls.length > 0 && !env.TURN_SECRET) {
+    throw new Error('TURN_URLS requires TURN_SECRET');
+  }
+
+  return {
+    iceServers,
+    turnUrls,
+    turnSecret: env.TURN_SECRET || null,
+    turnTtlSeconds: parseInt(env.TURN_TTL_SECONDS, 10) || 24 * 60 * 60,
+    iceTransportPolicy: env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all'
+  };
+}
+
+// TURN REST API credentials: the username carries the expiry time and the
+// password is an HMAC of the username, which the TURN server checks with the
+// same shared secret. No per-user state is needed on either side.
+function createTurnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+// RTCConfiguration for one client
+function getIceConfiguration(config, userId) {
+  const iceServers = [...config.iceServers];
+  let expiresAt = null;
+
+  if (config.turnUrls.length > 0) {
+    const turn = createTurnCredentials(config.turnSecret, userId, config.turnTtlSeconds);
+    iceServers.push({
+      urls: config.turnUrls,
+      username: turn.username,
+      credential: turn.credential
+    });
+    expiresAt = new Date(turn.expiresAt * 1000).toISOString();
+  }
+
+  return {
+    iceServers,
+    iceTransportPolicy: config.iceTransportPolicy,
+    expiresAt
+  };
+}
+
+function describeIceConfig(config) {
+  if (config.iceServers.length === 0 && config.turnUrls.length === 0) {
+    return 'LAN-only (no STUN/TURN)';
+  }
+  const turn = config.turnUrls.length > 0 ? `, TURN: ${config.turnUrls.join(' ')}` : '';
+  return `${config.iceServers.length} ICE servers${turn}`;
+}
+
+module.exports = {
+  loadIceConfig,
+  createTurnCredentials,
+  getIceConfiguration,
+  describeIceConfig
+};
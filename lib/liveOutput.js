@@ -0,0 +1,460 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const streamAuth = require('./streamAuth');
+const { logger } = require('./logger');
+
+const MAX_FRAME_SIZE = '2mb';
+// HLS files live in a directory named after the stream id
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SEGMENT_PATTERN = /^segment\d+\.ts$/;
+const MJPEG_BOUNDARY = 'frame';
+
+const log = logger.child({ component: 'live-output' });
+
+// snapshot.jpg asks the streamer for a new frame once the latest is this old
+const SNAPSHOT_MAX_AGE_MS = 5 * 1000;
+const SNAPSHOT_TIMEOUT_MS = 5 * 1000;
+
+// A slow MJPEG client skips frames instead of buffering them without limit
+const MAX_MJPEG_BACKLOG = 1024 * 1024;
+
+function isJpeg(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8;
+}
+
+/**
+ * Live outputs for clients that cannot run the WebRTC viewer: VLC, NVR
+ * software, home automation dashboards or a plain <img> tag.
+ *
+ * While anyone is watching, the streamer pushes JPEG frames of its camera to
+ * the server, and the server serves them as MJPEG (multipart/x-mixed-replace)
+ * and as HLS. HLS is encoded from the same frames by ffmpeg, started when the
+ * first player asks for the playlist and stopped once players go away.
+ *
+ * The same frames back the snapshot API: the latest frame, plus a history of
+ * one frame per `historyIntervalMs`. The streamer also uploads a frame every
+ * so often on its own, and on request when the latest one is too old.
+ *
+ * `onDemandChange(streamId, active)` tells the streamer to start or stop pushing,
+ * `onFrameRequest(streamId)` asks it for a single frame.
+ */
+class LiveOutputs {
+  constructor({ hlsDir, ffmpegPath, frameRate, hlsIdleMs, historySize, historyIntervalMs, onDemandChange, onFrameRequest }) {
+    this.hlsDir = hlsDir;
+    this.ffmpegPath = ffmpegPath;
+    this.frameRate = frameRate;
+    this.hlsIdleMs = hlsIdleMs;
+    this.historySize = historySize;
+    this.historyIntervalMs = historyIntervalMs;
+    this.onDemandChange = onDemandChange;
+    this.onFrameRequest = onFrameRequest;
+
+    this.frames = new Map(); // streamId -> latest { id, jpeg, capturedAt }
+    this.history = new Map(); // streamId -> frames, oldest first
+    this.frameWaiters = new Map(); // streamId -> Set of callbacks waiting for the next frame
+    this.nextFrameId = 1;
+    this.mjpegClients = new Map(); // streamId -> Set of responses
+    this.encoders = new Map(); // streamId -> HLS encoder
+    this.demand = new Set();
+  }
+
+  hasDemand(streamId) {
+    return this.demand.has(streamId);
+  }
+
+  updateDemand(streamId) {
+    const clients = this.mjpegClients.get(streamId);
+    const active = Boolean((clients && clients.size > 0) || this.encoders.has(streamId));
+    if (active === this.demand.has(streamId)) return;
+
+    if (active) {
+      this.demand.add(streamId);
+    } else {
+      this.demand.delete(streamId);
+    }
+    log.info(active ? 'Live output requested' : 'Live output no longer watched', { streamId });
+    this.onDemandChange(streamId, active);
+  }
+
+  getLatestFrame(streamId) {
+    return this.frames.get(streamId) || null;
+  }
+
+  getHistory(streamId) {
+    return (this.history.get(streamId) || []).slice().reverse();
+  }
+
+  getHistoryFrame(streamId, frameId) {
+    return (this.history.get(streamId) || []).find(frame => frame.id === frameId) || null;
+  }
+
+  // Resolves with the next frame the streamer sends, or null after `timeoutMs`
+  requestFrame(streamId, timeoutMs) {
+    return new Promise(resolve => {
+      let waiters = this.frameWaiters.get(streamId);
+      if (!waiters) {
+        waiters = new Set();
+        this.frameWaiters.set(streamId, waiters);
+        this.onFrameRequest(streamId);
+      }
+
+      const done = (frame) => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        if (waiters.size === 0 && this.frameWaiters.get(streamId) === waiters) {
+          this.frameWaiters.delete(streamId);
+        }
+        resolve(frame);
+      };
+      const timer = setTimeout(() => done(null), timeoutMs);
+      waiters.add(done);
+    });
+  }
+
+  pushFrame(streamId, jpeg) {
+    const frame = { id: String(this.nextFrameId++), jpeg, capturedAt: new Date() };
+    this.frames.set(streamId, frame);
+
+    // The history is spread out in time rather than holding the last few MJPEG frames
+    const history = this.history.get(streamId) || [];
+    const last = history[history.length - 1];
+    if (!last || frame.capturedAt - last.capturedAt >= this.historyIntervalMs) {
+      history.push(frame);
+      if (history.length > this.historySize) {
+        history.shift();
+      }
+      this.history.set(streamId, history);
+    }
+
+    const waiters = this.frameWaiters.get(streamId);
+    if (waiters) {
+      waiters.forEach(done => done(frame));
+    }
+
+    const clients = this.mjpegClients.get(streamId);
+    if (clients) {
+      clients.forEach(res => {
+        if (res.writableLength < MAX_MJPEG_BACKLOG) {
+          writeMjpegPart(res, jpeg);
+        }
+      });
+    }
+
+    const encoder = this.encoders.get(streamId);
+    if (encoder && !encoder.backpressure) {
+      encoder.backpressure = !encoder.process.stdin.write(jpeg);
+    }
+  }
+
+  addMjpegClient(streamId, res) {
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+      'Cache-Control': 'no-store',
+      Connection: 'close'
+    });
+    res.flushHeaders();
+
+    const latest = this.frames.get(streamId);
+    if (latest) {
+      writeMjpegPart(res, latest.jpeg);
+    }
+
+    if (!this.mjpegClients.has(streamId)) {
+      this.mjpegClients.set(streamId, new Set());
+    }
+    this.mjpegClients.get(streamId).add(res);
+    this.updateDemand(streamId);
+
+    res.on('close', () => {
+      const clients = this.mjpegClients.get(streamId);
+      if (!clients) return;
+
+      clients.delete(res);
+      if (clients.size === 0) {
+        this.mjpegClients.delete(streamId);
+      }
+      this.updateDemand(streamId);
+    });
+  }
+
+  getHlsDir(streamId) {
+    return path.join(this.hlsDir, streamId);
+  }
+
+  // Resolves once the encoder has written its first playlist
+  async startHls(streamId, timeoutMs = 15000) {
+    if (!ID_PATTERN.test(streamId)) {
+      throw new Error('HLS is not available for this stream id');
+    }
+
+    let encoder = this.encoders.get(streamId);
+    if (!encoder) {
+      encoder = this.spawnEncoder(streamId);
+    }
+    encoder.lastRequestAt = Date.now();
+
+    const playlist = path.join(encoder.dir, 'live.m3u8');
+    const deadline = Date.now() + timeoutMs;
+    while (!fs.existsSync(playlist)) {
+      if (encoder.error) throw encoder.error;
+      if (this.encoders.get(streamId) !== encoder) {
+        throw new Error('HLS encoder stopped');
+      }
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the camera');
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return playlist;
+  }
+
+  // Players keep fetching the playlist and segments; the encoder stops once they stop
+  touchHls(streamId) {
+    const encoder = this.encoders.get(streamId);
+    if (encoder) {
+      encoder.lastRequestAt = Date.now();
+    }
+    return Boolean(encoder);
+  }
+
+  spawnEncoder(streamId) {
+    const dir = this.getHlsDir(streamId);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Frames arrive irregularly, so they are timed by arrival and resampled
+    // to a constant frame rate for the H.264 encoder
+    const ffmpeg = spawn(this.ffmpegPath, [
+      '-loglevel', 'error',
+      '-use_wallclock_as_timestamps', '1',
+      '-f', 'image2pipe', '-c:v', 'mjpeg', '-i', 'pipe:0',
+      '-r', String(this.frameRate),
+      '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p',
+      '-g', String(this.frameRate * 2),
+      '-f', 'hls', '-hls_time', '2', '-hls_list_size', '6',
+      '-hls_flags', 'delete_segments+omit_endlist',
+      '-hls_segment_filename', path.join(dir, 'segment%d.ts'),
+      path.join(dir, 'live.m3u8')
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    const encoder = {
+      process: ffmpeg,
+      dir,
+      lastRequestAt: Date.now(),
+      backpressure: false,
+      error: null,
+      idleTimer: null
+    };
+    this.encoders.set(streamId, encoder);
+    log.info('HLS encoder started', { streamId });
+
+    ffmpeg.stdin.on('drain', () => {
+      encoder.backpressure = false;
+    });
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stderr.on('data', data => log.warn('ffmpeg output', { streamId, output: data.toString().trim() }));
+
+    ffmpeg.on('error', error => {
+      encoder.error = error.code === 'ENOENT'
+        ? new Error('HLS needs ffmpeg installed on the server')
+        : error;
+      log.error('HLS encoder failed', { streamId, err: encoder.error });
+      this.stopHls(streamId);
+    });
+    ffmpeg.on('exit', () => {
+      if (this.encoders.get(streamId) === encoder) {
+        this.stopHls(streamId);
+      }
+    });
+
+    encoder.idleTimer = setInterval(() => {
+      if (Date.now() - encoder.lastRequestAt > this.hlsIdleMs) {
+        log.info('No HLS players left', { streamId });
+        this.stopHls(streamId);
+      }
+    }, Math.min(this.hlsIdleMs, 10 * 1000));
+
+    this.updateDemand(streamId);
+    return encoder;
+  }
+
+  stopHls(streamId) {
+    const encoder = this.encoders.get(streamId);
+    if (!encoder) return;
+
+    this.encoders.delete(streamId);
+    clearInterval(encoder.idleTimer);
+    encoder.process.stdin.end();
+    encoder.process.kill('SIGTERM');
+    fs.rmSync(encoder.dir, { recursive: true, force: true });
+    this.updateDemand(streamId);
+  }
+
+  // The stream ended: close every output
+  stop(streamId) {
+    const clients = this.mjpegClients.get(streamId);
+    if (clients) {
+      this.mjpegClients.delete(streamId);
+      clients.forEach(res => res.end());
+    }
+    this.stopHls(streamId);
+    this.frames.delete(streamId);
+    this.history.delete(streamId);
+    this.demand.delete(streamId);
+
+    const waiters = this.frameWaiters.get(streamId);
+    if (waiters) {
+      waiters.forEach(done => done(null));
+    }
+  }
+}
+
+function sendFrame(res, frame) {
+  res.set({
+    'Cache-Control': 'no-store',
+    'Last-Modified': frame.capturedAt.toUTCString()
+  });
+  res.type('image/jpeg').send(frame.jpeg);
+}
+
+function toFrameListing(streamId, frame) {
+  return {
+    id: frame.id,
+    capturedAt: frame.capturedAt.toISOString(),
+    size: frame.jpeg.length,
+    url: `/api/stream/${encodeURIComponent(streamId)}/snapshots/${frame.id}.jpg`
+  };
+}
+
+function writeMjpegPart(res, jpeg) {
+  res.write(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+  res.write(jpeg);
+  res.write('\r\n');
+}
+
+// Routes mounted at /api/stream/:id
+function createLiveOutputRouter({ liveOutputs, activeStreams }) {
+  const router = express.Router({ mergeParams: true });
+
+  function getToken(req) {
+    const header = req.get('authorization');
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length);
+    }
+    return req.query.token;
+  }
+
+  // Private streams need a viewer token, passed as ?token= by players
+  function findViewableStream(req, res) {
+    const streamId = req.params.id;
+    const stream = activeStreams.get(streamId);
+    if (!stream) {
+      res.status(404).json({ error: 'Stream not found or may have ended' });
+      return null;
+    }
+    if (stream.isPrivate && !streamAuth.verifyViewerToken(getToken(req), streamId, stream.tokenNonce)) {
+      res.status(403).json({ error: 'A viewer token is required for this stream' });
+      return null;
+    }
+    return stream;
+  }
+
+  // The streamer pushes frames with the upload token from `stream-created`
+  router.post('/frames', express.raw({ type: 'image/jpeg', limit: MAX_FRAME_SIZE }), (req, res) => {
+    const streamId = req.params.id;
+    const stream = activeStreams.get(streamId);
+    if (!stream || !streamAuth.verifyStreamToken('upload', getToken(req), streamId, stream.tokenNonce)) {
+      return res.status(403).json({ error: 'Invalid upload token' });
+    }
+    if (!isJpeg(req.body)) {
+      return res.status(400).json({ error: 'Expected an image/jpeg body' });
+    }
+
+    liveOutputs.pushFrame(streamId, req.body);
+    res.status(204).end();
+  });
+
+  // Latest still image of the camera. A frame older than ?maxAge= milliseconds
+  // is replaced by asking the streamer for a new one first.
+  router.get('/snapshot.jpg', async (req, res) => {
+    const stream = findViewableStream(req, res);
+    if (!stream) return;
+
+    const streamId = req.params.id;
+    const maxAge = parseInt(req.query.maxAge, 10) >= 0 ? parseInt(req.query.maxAge, 10) : SNAPSHOT_MAX_AGE_MS;
+
+    let frame = liveOutputs.getLatestFrame(streamId);
+    if ((!frame || Date.now() - frame.capturedAt > maxAge) && stream.streamer) {
+      frame = (await liveOutputs.requestFrame(streamId, SNAPSHOT_TIMEOUT_MS)) || frame;
+    }
+
+    if (!frame) {
+      return res.status(503).json({
+        error: stream.streamer ? 'The camera did not send a snapshot in time' : 'The camera is reconnecting'
+      });
+    }
+    sendFrame(res, frame);
+  });
+
+  router.get('/snapshots', (req, res) => {
+    if (!findViewableStream(req, res)) return;
+    res.json(liveOutputs.getHistory(req.params.id).map(frame => toFrameListing(req.params.id, frame)));
+  });
+
+  router.get('/snapshots/:frameId.jpg', (req, res) => {
+    if (!findViewableStream(req, res)) return;
+
+    const frame = liveOutputs.getHistoryFrame(req.params.id, req.params.frameId);
+    if (!frame) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    sendFrame(res, frame);
+  });
+
+  router.get('/mjpeg', (req, res) => {
+    if (!findViewableStream(req, res)) return;
+    liveOutputs.addMjpegClient(req.params.id, res);
+  });
+
+  router.get('/live.m3u8', async (req, res) => {
+    if (!findViewableStream(req, res)) return;
+
+    let playlist;
+    try {
+      playlist = await fs.promises.readFile(await liveOutputs.startHls(req.params.id), 'utf8');
+    } catch (error) {
+      return res.status(503).json({ error: error.message });
+    }
+
+    // Segment URLs are relative to this route; carry the token over to them
+    if (req.query.token) {
+      playlist = playlist.replace(/^(segment\d+\.ts)$/gm, `$1?token=${encodeURIComponent(req.query.token)}`);
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type('application/vnd.apple.mpegurl').send(playlist);
+  });
+
+  router.get('/:segment', (req, res, next) => {
+    if (!SEGMENT_PATTERN.test(req.params.segment)) return next();
+    if (!findViewableStream(req, res)) return;
+
+    if (!liveOutputs.touchHls(req.params.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.type('video/mp2t');
+    res.sendFile(path.join(liveOutputs.getHlsDir(req.params.id), req.params.segment), error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Segment not found' });
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  LiveOutputs,
+  createLiveOutputRouter
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Signaling payloads, credentials and images never reach the logs
+const REDACTED_KEYS = new Set([
+  'sdp', 'offer', 'answer', 'candidate',
+  'password', 'currentPassword', 'passphrase', 'passphraseHash', 'passwordHash',
+  'token', 'viewerToken', 'uploadToken', 'resumeToken', 'cameraKey', 'key', 'secret',
+  'authorization', 'cookie', 'thumbnail'
+]);
+
+const MAX_DEPTH = 5;
+
+/**
+ * Log settings.
+ *
+ *   LOG_LEVEL    debug, info (default), warn, error or silent
+ *   LOG_FORMAT   json (default): one JSON object per line, or pretty: readable lines for development
+ */
+function loadLogConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  if (!LEVELS[level]) {
+    throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  const format = (env.LOG_FORMAT || 'json').toLowerCase();
+  if (format !== 'json' && format !== 'pretty') {
+    throw new Error('LOG_FORMAT must be json or pretty');
+  }
+
+  return { level, format };
+}
+
+// A copy of `value` that is safe to log: sensitive fields are replaced and
+// errors keep their name, message and code
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    const error = { name: value.name, message: value.message };
+    if (value.code !== undefined) error.code = value.code;
+    return error;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (value instanceof Set || value instanceof Map) {
+    return redact(Array.from(value.keys()), depth);
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = REDACTED_KEYS.has(key) && item !== undefined && item !== null ? '[redacted]' : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Leveled logger writing one entry per line. `child(fields)` returns a logger
+ * that adds `fields` to everything it logs, which is how requests and sockets
+ * get their correlation ids.
+ */
+class Logger {
+  constructor({ level = 'info', format = 'json', fields = {}, write, settings } = {}) {
+    // Children share the settings of their parent, so `configure` reaches the
+    // loggers modules made for themselves when they were loaded
+    this.settings = settings || {
+      level,
+      format,
+      write: write || (line => process.stdout.write(`${line}\n`))
+    };
+    this.fields = fields;
+  }
+
+  get level() {
+    return this.settings.level;
+  }
+
+  get format() {
+    return this.settings.format;
+  }
+
+  // Changes the level and format of this logger, its parent and all children
+  configure({ level, format }) {
+    this.settings.level = level;
+    this.settings.format = format;
+  }
+
+  child(fields) {
+    return new Logger({
+      fields: { ...this.fields, ...fields },
+      settings: this.settings
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...this.fields, ...fields })
+    };
+    this.settings.write(this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// The server's logger, configured from process.env until createCameraServer
+// configures it from the env it was given
+const logger = new Logger(loadLogConfig());
+
+// Express middleware giving every request an id (a sane incoming X-Request-Id,
+// or a new one) and `req.log`, a logger that includes it. Finished requests
+// are logged at debug level.
+function requestLogger(parent = logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[A-Za-z0-9._-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = parent.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      req.log.debug('Request finished', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  LEVELS,
+  loadLogConfig,
+  redact,
+  Logger,
+  logger,
+  requestLogger
+};
@@ -0,0 +1,225 @@
+const express = require('express');
+const crypto = require('crypto');
+const client = require('prom-client');
+
+// Connection quality reports older than this no longer describe the stream
+const STATS_MAX_AGE_MS = 30 * 1000;
+
+const STATS_FIELDS = ['bitrate', 'packetLoss', 'rtt', 'frameRate'];
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Prometheus metrics for the server. Stream and socket gauges are read from
+ * the live state at scrape time; signaling counts and stream durations are
+ * recorded as they happen.
+ *
+ * Clients send `getStats()` summaries which are kept per stream and socket and
+ * exported as the average of the fresh reports per stream and direction
+ * (`outbound` from the streamer, `inbound` from viewers).
+ *
+ * Stream ids appear as labels, including those of private streams, so protect
+ * /metrics with METRICS_TOKEN on servers reachable from the internet.
+ */
+class ServerMetrics {
+  constructor({ activeStreams, io }) {
+    this.activeStreams = activeStreams;
+    this.io = io;
+    this.statsReports = new Map(); // streamId -> Map(socketId -> report)
+
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const metrics = this;
+
+    new client.Gauge({
+      name: 'camera_active_streams',
+      help: 'Streams on the server by status',
+      labelNames: ['status'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        this.set({ status: 'live' }, 0);
+        this.set({ status: 'reconnecting' }, 0);
+        metrics.activeStreams.forEach(stream => this.inc({ status: stream.status }));
+      }
+    });
+
+    new client.Gauge({
+      name: 'camera_stream_viewers',
+      help: 'Viewers currently joined to each stream',
+      labelNames: ['stream'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        metrics.activeStreams.forEach((stream, streamId) => this.set({ stream: streamId }, stream.viewers.size));
+      }
+    });
+
+    new client.Gauge({
+      name: 'camera_stream_age_seconds',
+      help: 'How long each stream has been running',
+      labelNames: ['stream'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        const now = Date.now();
+        metrics.activeStreams.forEach((stream, streamId) => {
+          this.set({ stream: streamId }, (now - stream.createdAt) / 1000);
+        });
+      }
+    });
+
+    new client.Gauge({
+      name: 'camera_socket_connections',
+      help: 'Connected Socket.io clients',
+      registers: [this.registry],
+      collect() {
+        this.set(metrics.io.engine.clientsCount);
+      }
+    });
+
+    this.signalingMessages = new client.Counter({
+      name: 'camera_signaling_messages_total',
+      help: 'Socket.io messages received from clients, by event',
+      labelNames: ['type'],
+      registers: [this.registry]
+    });
+
+    this.streamDuration = new client.Histogram({
+      name: 'camera_stream_duration_seconds',
+      help: 'Duration of streams that have ended',
+      buckets: [60, 5 * 60, 15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60, 6 * 60 * 60],
+      registers: [this.registry]
+    });
+
+    const qualityGauges = {
+      bitrate: ['camera_stream_bitrate_bps', 'Video bitrate reported by clients, in bits per second'],
+      packetLoss: ['camera_stream_packet_loss_ratio', 'Fraction of video packets lost, reported by clients'],
+      rtt: ['camera_stream_rtt_seconds', 'Round trip time reported by clients'],
+      frameRate: ['camera_stream_frame_rate', 'Video frames per second reported by clients']
+    };
+
+    Object.entries(qualityGauges).forEach(([field, [name, help]]) => {
+      new client.Gauge({
+        name,
+        help,
+        labelNames: ['stream', 'direction'],
+        registers: [this.registry],
+        collect() {
+          this.reset();
+          metrics.getQualitySummary(field).forEach(({ streamId, direction, value }) => {
+            this.set({ stream: streamId, direction }, value);
+          });
+        }
+      });
+    });
+  }
+
+  // Only events the server handles are counted by name, so clients cannot
+  // create new label values at will
+  countSignal(type, known) {
+    this.signalingMessages.inc({ type: known ? type : 'unknown' });
+  }
+
+  recordStreamEnded(stream) {
+    this.streamDuration.observe((Date.now() - stream.createdAt) / 1000);
+  }
+
+  // `direction` is outbound for the streamer and inbound for viewers
+  recordStats(streamId, socketId, direction, report) {
+    let reports = this.statsReports.get(streamId);
+    if (!reports) {
+      reports = new Map();
+      this.statsReports.set(streamId, reports);
+    }
+    reports.set(socketId, { ...report, direction, receivedAt: Date.now() });
+  }
+
+  removeStats(streamId, socketId) {
+    const reports = this.statsReports.get(streamId);
+    if (!reports) return;
+
+    if (socketId) {
+      reports.delete(socketId);
+    }
+    if (!socketId || reports.size === 0) {
+      this.statsReports.delete(streamId);
+    }
+  }
+
+  getQualitySummary(field) {
+    const cutoff = Date.now() - STATS_MAX_AGE_MS;
+    const summary = [];
+
+    this.statsReports.forEach((reports, streamId) => {
+      ['outbound', 'inbound'].forEach(direction => {
+        const values = Array.from(reports.values())
+          .filter(report => report.direction === direction && report.receivedAt >= cutoff && report[field] !== null)
+          .map(report => report[field]);
+        if (values.length > 0) {
+          summary.push({ streamId, direction, value: average(values) });
+        }
+      });
+    });
+    return summary;
+  }
+}
+
+// A `stats-report` from a client: every field is optional, but what is
+// there must be a sensible non-negative number
+function parseStatsReport(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const report = {};
+  for (const field of STATS_FIELDS) {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      report[field] = null;
+    } else if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      report[field] = field === 'packetLoss' ? Math.min(value, 1) : value;
+    } else {
+      return null;
+    }
+  }
+  return report;
+}
+
+// GET /metrics in the Prometheus text format, behind an optional bearer token
+function createMetricsRouter({ metrics, token }) {
+  const router = express.Router();
+
+  function isAuthorized(req) {
+    if (!token) return true;
+
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(req.get('authorization') || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  router.get('/metrics', async (req, res) => {
+    if (!isAuthorized(req)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized\n');
+    }
+
+    try {
+      res.set('Content-Type', metrics.registry.contentType);
+      res.send(await metrics.registry.metrics());
+    } catch (error) {
+      req.log.error('Could not collect metrics', { err: error });
+      res.status(500).send('Could not collect metrics\n');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ServerMetrics,
+  parseStatsReport,
+  createMetricsRouter
+};
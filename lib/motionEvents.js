@@ -0,0 +1,176 @@
+const express = require('express');
+const crypto = require('crypto');
+const streamAuth = require('./streamAuth');
+
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+const THUMBNAIL_PATTERN = /^data:image\/jpeg;base64,([A-Za-z0-9+/=]+)$/;
+
+/**
+ * In-memory log of motion events, kept per stream id. The log outlives the
+ * stream itself so a camera nobody is watching still builds up its history.
+ * A stream id can be reused by a later stream with other privacy settings, so
+ * each event keeps those of the session that logged it.
+ */
+class MotionEventLog {
+  constructor({ maxEventsPerStream = 200 } = {}) {
+    this.maxEventsPerStream = maxEventsPerStream;
+    this.logs = new Map();
+  }
+
+  // `access` holds the privacy settings of the stream session that produced the event
+  add(streamId, { timestamp, score, thumbnail }, access) {
+    let events = this.logs.get(streamId);
+    if (!events) {
+      events = [];
+      this.logs.set(streamId, events);
+    }
+
+    const event = {
+      id: crypto.randomBytes(6).toString('hex'),
+      streamId,
+      type: 'motion',
+      timestamp,
+      receivedAt: new Date().toISOString(),
+      score,
+      thumbnail,
+      isPrivate: access.isPrivate,
+      tokenNonce: access.tokenNonce,
+      cameraId: access.cameraId || null
+    };
+
+    events.push(event);
+    if (events.length > this.maxEventsPerStream) {
+      events.shift();
+    }
+    return event;
+  }
+
+  // The events `canView(event)` allows, oldest first
+  list(streamId, { since, limit, canView = () => true } = {}) {
+    let events = (this.logs.get(streamId) || []).filter(canView);
+    if (since) {
+      events = events.filter(event => event.timestamp > since);
+    }
+    if (limit) {
+      events = events.slice(-limit);
+    }
+    return events;
+  }
+
+  get(streamId, eventId) {
+    return (this.logs.get(streamId) || []).find(event => event.id === eventId) || null;
+  }
+
+  // Removes the events `matches(event)` picks and returns how many there were
+  clear(streamId, matches) {
+    const events = this.logs.get(streamId) || [];
+    const kept = events.filter(event => !matches(event));
+    if (kept.length > 0) {
+      this.logs.set(streamId, kept);
+    } else {
+      this.logs.delete(streamId);
+    }
+    return events.length - kept.length;
+  }
+}
+
+// Decode and size-check a JPEG data URL sent by the streamer
+function parseThumbnail(dataUrl) {
+  if (typeof dataUrl !== 'string') return null;
+
+  const match = THUMBNAIL_PATTERN.exec(dataUrl);
+  if (!match) return null;
+
+  const buffer = Buffer.from(match[1], 'base64');
+  return buffer.length > 0 && buffer.length <= MAX_THUMBNAIL_BYTES ? buffer : null;
+}
+
+// Event as sent to clients: the thumbnail is fetched separately
+function toPublicEvent(event) {
+  return {
+    id: event.id,
+    streamId: event.streamId,
+    type: event.type,
+    timestamp: event.timestamp,
+    receivedAt: event.receivedAt,
+    score: event.score,
+    thumbnailUrl: event.thumbnail
+      ? `/api/stream/${encodeURIComponent(event.streamId)}/events/${event.id}/thumbnail.jpg`
+      : null
+  };
+}
+
+// Routes mounted at /api/stream/:id/events
+function createMotionEventsRouter({ eventLog, getCameraNonce = () => null }) {
+  const router = express.Router({ mergeParams: true });
+
+  function getToken(req) {
+    const header = req.get('authorization');
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length);
+    }
+    return req.query.token;
+  }
+
+  // A registered camera's events follow its current nonce, like its recordings
+  function tokenNonceOf(event) {
+    return event.cameraId ? getCameraNonce(event.cameraId) : event.tokenNonce;
+  }
+
+  // Events of private streams need a viewer token (or the streamer's token) for
+  // the session that logged them
+  function canView(event, token) {
+    if (!event.isPrivate) return true;
+    const nonce = tokenNonceOf(event);
+    return Boolean(nonce) &&
+      (streamAuth.verifyViewerToken(token, event.streamId, nonce) || canModify(event, token));
+  }
+
+  function canModify(event, token) {
+    const nonce = tokenNonceOf(event);
+    return Boolean(nonce) && streamAuth.verifyStreamToken('upload', token, event.streamId, nonce);
+  }
+
+  router.get('/', (req, res) => {
+    const token = getToken(req);
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const events = eventLog.list(req.params.id, {
+      since: req.query.since,
+      limit,
+      canView: event => canView(event, token)
+    });
+    res.json(events.map(toPublicEvent));
+  });
+
+  router.get('/:eventId/thumbnail.jpg', (req, res) => {
+    const event = eventLog.get(req.params.id, req.params.eventId);
+    if (!event || !event.thumbnail || !canView(event, getToken(req))) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    res.type('image/jpeg').send(event.thumbnail);
+  });
+
+  // Only the streamer may clear the history, and only of the sessions its
+  // upload token belongs to
+  router.delete('/', (req, res) => {
+    const streamId = req.params.id;
+    if (eventLog.list(streamId).length === 0) {
+      return res.status(204).end();
+    }
+
+    const token = getToken(req);
+    if (eventLog.clear(streamId, event => canModify(event, token)) === 0) {
+      return res.status(403).json({ error: 'Not authorized to clear events for this stream' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  MotionEventLog,
+  createMotionEventsRouter,
+  parseThumbnail,
+  toPublicEvent
+};
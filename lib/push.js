@@ -0,0 +1,358 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const { logger } = require('./logger');
+
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_FOLLOWED_STREAMS = 50;
+const MAX_ENDPOINT_LENGTH = 2048;
+
+// The push services of Chrome/Edge/Opera, Firefox, Safari and legacy Edge.
+// The server POSTs to subscription endpoints, so only these hosts (and their
+// subdomains) are accepted unless PUSH_SERVICE_HOSTS says otherwise.
+const DEFAULT_PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com'
+];
+
+// Push services answer these for subscriptions that no longer exist
+const GONE_STATUSES = [404, 410];
+
+const log = logger.child({ component: 'push' });
+
+/**
+ * Web Push (VAPID) notifications when a followed camera goes live or offline,
+ * shown by the service worker (public/sw.js) even while the page is closed.
+ *
+ *   VAPID_PUBLIC_KEY    Application server key pair, e.g. from
+ *   VAPID_PRIVATE_KEY   `npx web-push generate-vapid-keys`. Without them a pair is
+ *                       generated once and kept in DATA_DIR/vapid.json.
+ *   VAPID_SUBJECT       How push services can reach you, a mailto: or https: URL
+ *                       (default `mailto:admin@localhost`)
+ *   PUSH_TTL_SECONDS    How long a push service keeps a notification for a device
+ *                       that is offline (default 1 hour)
+ *   PUSH_SERVICE_HOSTS  Comma-separated hosts that subscription endpoints may
+ *                       point at, subdomains included (default: the push
+ *                       services of the major browsers)
+ *   PUSH_MAX_SUBSCRIPTIONS
+ *                       Subscriptions one account, or one client address
+ *                       without an account, may keep (default 10)
+ */
+function loadPushConfig(env = process.env) {
+  const publicKey = env.VAPID_PUBLIC_KEY || null;
+  const privateKey = env.VAPID_PRIVATE_KEY || null;
+  if (Boolean(publicKey) !== Boolean(privateKey)) {
+    throw new Error('Set both VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, or neither');
+  }
+
+  const subject = env.VAPID_SUBJECT || 'mailto:admin@localhost';
+  if (!/^(mailto:|https:\/\/)/.test(subject)) {
+    throw new Error(`VAPID_SUBJECT must be a mailto: or https: URL: ${subject}`);
+  }
+
+  const serviceHosts = env.PUSH_SERVICE_HOSTS
+    ? env.PUSH_SERVICE_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PUSH_SERVICE_HOSTS;
+
+  return {
+    publicKey,
+    privateKey,
+    subject,
+    ttlSeconds: parseInt(env.PUSH_TTL_SECONDS, 10) || 60 * 60,
+    serviceHosts,
+    maxSubscriptions: parseInt(env.PUSH_MAX_SUBSCRIPTIONS, 10) || 10
+  };
+}
+
+// The configured keys, or the pair in `filePath`, created on first start
+function loadVapidKeys(config, filePath) {
+  if (config.publicKey) {
+    return { publicKey: config.publicKey, privateKey: config.privateKey };
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const keys = webpush.generateVAPIDKeys();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  log.info('Generated VAPID keys', { file: filePath });
+  return keys;
+}
+
+/**
+ * Push subscriptions persisted to a JSON file, by endpoint. Each has the
+ * stream ids it follows and the account that subscribed, if any, which
+ * decides whether it may hear about private cameras. Subscriptions without an
+ * account keep the client address they came from, to cap how many it adds.
+ */
+class PushSubscriptionStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.subscriptions = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.endpoint, subscription));
+      log.info('Push subscriptions loaded', { count: this.subscriptions.size, file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Could not read push subscriptions', { file: this.filePath, err: error });
+      }
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ subscriptions: Array.from(this.subscriptions.values()) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(endpoint) {
+    return this.subscriptions.get(endpoint) || null;
+  }
+
+  // Creates or replaces the subscription for `endpoint`; `streams` undefined keeps what it follows
+  put({ endpoint, keys, streams, userId, address }) {
+    const existing = this.subscriptions.get(endpoint);
+    const subscription = {
+      endpoint,
+      keys,
+      streams: streams || (existing ? existing.streams : []),
+      userId: userId || null,
+      address: userId ? null : address || null,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.subscriptions.set(endpoint, subscription);
+    this.save();
+    return { subscription, created: !existing };
+  }
+
+  delete(endpoint) {
+    const deleted = this.subscriptions.delete(endpoint);
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  // Subscriptions of the account `userId`, or without an account from `address`
+  countOwnedBy({ userId, address }) {
+    return Array.from(this.subscriptions.values()).filter(subscription =>
+      userId ? subscription.userId === userId : !subscription.userId && subscription.address === address).length;
+  }
+
+  following(streamId) {
+    return Array.from(this.subscriptions.values()).filter(subscription => subscription.streams.includes(streamId));
+  }
+}
+
+/**
+ * Sends `stream-started` and `stream-ended` to the subscriptions following the
+ * stream. Private streams only reach subscriptions whose account may view the
+ * camera (`canView(cameraId, userId)`). Delivery happens in the background;
+ * subscriptions the push service no longer knows are dropped.
+ */
+class PushNotifier {
+  constructor({ config, keys, store, canView, send = webpush.sendNotification }) {
+    this.config = config;
+    this.keys = keys;
+    this.store = store;
+    this.canView = canView;
+    this.send = send;
+  }
+
+  get publicKey() {
+    return this.keys.publicKey;
+  }
+
+  notify(type, { streamId, name, isPrivate, cameraId }) {
+    if (type !== 'stream-started' && type !== 'stream-ended') return;
+
+    const recipients = this.store.following(streamId).filter(subscription =>
+      !isPrivate || Boolean(cameraId && subscription.userId && this.canView(cameraId, subscription.userId)));
+    if (recipients.length === 0) return;
+
+    const label = name || streamId;
+    const payload = JSON.stringify({
+      type,
+      streamId,
+      title: type === 'stream-started' ? `📹 ${label} is live` : `${label} went offline`,
+      body: type === 'stream-started' ? 'Tap to watch' : 'The camera stopped streaming',
+      url: `/?stream=${encodeURIComponent(streamId)}`,
+      timestamp: new Date().toISOString()
+    });
+
+    log.debug('Sending push notifications', { type, streamId, recipients: recipients.length });
+    recipients.forEach(subscription => this.deliver(subscription, payload, type));
+  }
+
+  async deliver(subscription, payload, type) {
+    try {
+      await this.send({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, {
+        TTL: this.config.ttlSeconds,
+        urgency: type === 'stream-started' ? 'high' : 'normal',
+        vapidDetails: {
+          subject: this.config.subject,
+          publicKey: this.keys.publicKey,
+          privateKey: this.keys.privateKey
+        }
+      });
+    } catch (error) {
+      if (GONE_STATUSES.includes(error.statusCode)) {
+        log.info('Push subscription expired', { pushService: pushServiceOf(subscription.endpoint) });
+        this.store.delete(subscription.endpoint);
+        return;
+      }
+      log.warn('Push notification failed', {
+        pushService: pushServiceOf(subscription.endpoint),
+        status: error.statusCode,
+        err: error
+      });
+    }
+  }
+}
+
+// Endpoints are capabilities, so only their host is logged
+function pushServiceOf(endpoint) {
+  try {
+    return new URL(endpoint).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether `endpoint` is an https URL on one of `serviceHosts` or a subdomain of
+// one, on the default port. Anything else could make the server send requests
+// into its own network.
+function isPushServiceEndpoint(endpoint, serviceHosts) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port !== '' || url.username || url.password) {
+    return false;
+  }
+  return serviceHosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+function validateSubscriptionInput(body, config) {
+  const subscription = body.subscription;
+  if (typeof subscription !== 'object' || subscription === null) {
+    return { error: 'subscription must be a PushSubscription' };
+  }
+
+  const { endpoint, keys } = subscription;
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH || !endpoint.startsWith('https://')) {
+    return { error: 'subscription.endpoint must be an https URL' };
+  }
+  if (!isPushServiceEndpoint(endpoint, config.serviceHosts)) {
+    return { error: 'subscription.endpoint is not a known push service' };
+  }
+  if (typeof keys !== 'object' || keys === null ||
+      typeof keys.p256dh !== 'string' || !/^[A-Za-z0-9_-]{1,200}={0,2}$/.test(keys.p256dh) ||
+      typeof keys.auth !== 'string' || !/^[A-Za-z0-9_-]{1,100}={0,2}$/.test(keys.auth)) {
+    return { error: 'subscription.keys must have p256dh and auth' };
+  }
+
+  const input = { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+
+  if (body.streams !== undefined) {
+    if (!Array.isArray(body.streams) || body.streams.length > MAX_FOLLOWED_STREAMS ||
+        !body.streams.every(streamId => typeof streamId === 'string' && STREAM_ID_PATTERN.test(streamId))) {
+      return { error: `streams must be a list of at most ${MAX_FOLLOWED_STREAMS} stream ids` };
+    }
+    input.streams = Array.from(new Set(body.streams));
+  }
+
+  if (body.previousEndpoint !== undefined && typeof body.previousEndpoint !== 'string') {
+    return { error: 'previousEndpoint must be a string' };
+  }
+  input.previousEndpoint = body.previousEndpoint || null;
+
+  return { input };
+}
+
+// Routes mounted at /api/push. The endpoint of a subscription is only known to
+// its browser and the push service, so it is what proves ownership of it.
+function createPushRouter({ config, store, pushNotifier }) {
+  const router = express.Router();
+
+  router.get('/vapid-public-key', (req, res) => {
+    res.json({ publicKey: pushNotifier.publicKey });
+  });
+
+  // Subscribe or change what a subscription follows. A browser whose
+  // subscription was renewed sends the old endpoint along to keep its follows.
+  router.post('/subscriptions', (req, res) => {
+    const { input, error } = validateSubscriptionInput(req.body || {}, config);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Updating or renewing a subscription does not add to the count
+    const owner = { userId: req.user ? req.user.id : null, address: req.ip };
+    const previous = input.previousEndpoint && store.get(input.previousEndpoint);
+    if (!store.get(input.endpoint) && !previous && store.countOwnedBy(owner) >= config.maxSubscriptions) {
+      req.log.warn('Too many push subscriptions', { user: owner.userId, address: owner.address });
+      return res.status(429).json({ error: `At most ${config.maxSubscriptions} push subscriptions are allowed` });
+    }
+
+    let streams = input.streams;
+    if (previous) {
+      streams = streams || previous.streams;
+      store.delete(previous.endpoint);
+    }
+
+    const { subscription, created } = store.put({
+      endpoint: input.endpoint,
+      keys: input.keys,
+      streams,
+      userId: owner.userId,
+      address: owner.address
+    });
+    req.log.info(created ? 'Push subscription added' : 'Push subscription updated', {
+      pushService: pushServiceOf(subscription.endpoint),
+      streams: subscription.streams.length
+    });
+    res.status(created ? 201 : 200).json({ streams: subscription.streams });
+  });
+
+  router.delete('/subscriptions', (req, res) => {
+    const endpoint = req.body && req.body.endpoint;
+    if (typeof endpoint !== 'string' || !store.delete(endpoint)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    req.log.info('Push subscription removed', { pushService: pushServiceOf(endpoint) });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+function describePushConfig(config, store) {
+  const keys = config.publicKey ? 'keys from VAPID_PUBLIC_KEY' : 'generated keys';
+  return `${store.subscriptions.size} subscription${store.subscriptions.size === 1 ? '' : 's'}, ${keys}`;
+}
+
+module.exports = {
+  loadPushConfig,
+  loadVapidKeys,
+  PushSubscriptionStore,
+  PushNotifier,
+  createPushRouter,
+  describePushConfig
+};
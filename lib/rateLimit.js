@@ -0,0 +1,197 @@
+const { logger } = require('./logger');
+
+// Socket.io events that carry WebRTC signaling. A streamer sends a burst of
+// these for every viewer that joins, so they get a bigger allowance.
+const SIGNALING_EVENTS = ['offer', 'answer', 'ice-candidate'];
+// Chat messages and reactions get a smaller one, so a viewer cannot flood the chat
+const CHAT_EVENTS = ['chat-message', 'chat-reaction'];
+
+// Idle buckets are dropped this often so the maps do not grow forever
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rate limits against flooding, per socket and per client address.
+ *
+ *   RATE_LIMIT_SIGNALING   Offers, answers and ICE candidates one socket may send per 10 seconds (default 300)
+ *   RATE_LIMIT_CHAT        Chat messages and reactions one socket may send per 10 seconds (default 10)
+ *   RATE_LIMIT_EVENTS      Other Socket.io events one socket may send per 10 seconds (default 30)
+ *   RATE_LIMIT_IP_EVENTS   Socket.io connections and events per 10 seconds from one address,
+ *                          all of its sockets together (default 1000)
+ *   RATE_LIMIT_API         API requests per minute from one address (default 300)
+ *   RATE_LIMIT_AUTH        Sign-in, registration and password attempts per minute from one address (default 10)
+ *   TRUST_PROXY            Number of reverse proxies in front of the server. Their
+ *                          X-Forwarded-For header then gives the client address.
+ *
+ * A limit of 0 turns it off.
+ */
+function loadRateLimitConfig(env = process.env) {
+  function limit(name, fallback) {
+    if (env[name] === undefined || env[name] === '') return fallback;
+
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a whole number (0 turns the limit off)`);
+    }
+    return value;
+  }
+
+  return {
+    signalingPer10s: limit('RATE_LIMIT_SIGNALING', 300),
+    chatPer10s: limit('RATE_LIMIT_CHAT', 10),
+    eventsPer10s: limit('RATE_LIMIT_EVENTS', 30),
+    ipEventsPer10s: limit('RATE_LIMIT_IP_EVENTS', 1000),
+    apiPerMinute: limit('RATE_LIMIT_API', 300),
+    authPerMinute: limit('RATE_LIMIT_AUTH', 10),
+    trustProxy: limit('TRUST_PROXY', 0)
+  };
+}
+
+/**
+ * Token buckets: every key may spend `points` at once, and gets them back
+ * evenly over `durationMs`.
+ */
+class RateLimiter {
+  constructor({ points, durationMs }) {
+    this.points = points;
+    this.durationMs = durationMs;
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+    this.prunedAt = Date.now();
+  }
+
+  // Returns 0 when the key may go ahead, otherwise the milliseconds until it may
+  consume(key, cost = 1) {
+    const now = Date.now();
+    this.prune(now);
+
+    const bucket = this.buckets.get(key) || { tokens: this.points, updatedAt: now };
+    bucket.tokens = Math.min(this.points, bucket.tokens + (now - bucket.updatedAt) * this.points / this.durationMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < cost) {
+      return Math.ceil((cost - bucket.tokens) * this.durationMs / this.points);
+    }
+    bucket.tokens -= cost;
+    return 0;
+  }
+
+  delete(key) {
+    this.buckets.delete(key);
+  }
+
+  // A bucket that has refilled completely is the same as no bucket
+  prune(now) {
+    if (now - this.prunedAt < PRUNE_INTERVAL_MS) return;
+
+    this.prunedAt = now;
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.points / this.durationMs >= this.points) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+function createLimiter(points, durationMs) {
+  return points > 0 ? new RateLimiter({ points, durationMs }) : null;
+}
+
+// The client address of a socket, from X-Forwarded-For behind `trustProxy` proxies
+function getSocketAddress(socket, trustProxy) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (trustProxy > 0 && forwarded) {
+    const addresses = forwarded.split(',').map(address => address.trim()).filter(Boolean);
+    return addresses[Math.max(0, addresses.length - trustProxy)] || socket.handshake.address;
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * The limits on Socket.io traffic: signaling, chat and other events per socket, and
+ * connections plus events per client address.
+ */
+class SocketRateLimits {
+  constructor(config) {
+    this.trustProxy = config.trustProxy;
+    this.signaling = createLimiter(config.signalingPer10s, 10 * 1000);
+    this.chat = createLimiter(config.chatPer10s, 10 * 1000);
+    this.events = createLimiter(config.eventsPer10s, 10 * 1000);
+    this.addresses = createLimiter(config.ipEventsPer10s, 10 * 1000);
+  }
+
+  getAddress(socket) {
+    return getSocketAddress(socket, this.trustProxy);
+  }
+
+  // io.use() middleware turning away addresses that connect too often
+  limitConnections() {
+    return (socket, next) => {
+      const retryAfterMs = this.addresses ? this.addresses.consume(this.getAddress(socket)) : 0;
+      if (retryAfterMs > 0) {
+        logger.warn('Too many connections', { address: this.getAddress(socket) });
+        const error = new Error('Too many connections, try again later');
+        error.data = { code: 'rate-limited', retryAfterMs };
+        return next(error);
+      }
+      next();
+    };
+  }
+
+  // Returns 0 when the socket may send `event`, otherwise the milliseconds to wait
+  consume(socket, event) {
+    const limiter = SIGNALING_EVENTS.includes(event) ? this.signaling
+      : CHAT_EVENTS.includes(event) ? this.chat
+        : this.events;
+    const address = socket.data.address || this.getAddress(socket);
+
+    return Math.max(
+      limiter ? limiter.consume(socket.id) : 0,
+      this.addresses ? this.addresses.consume(address) : 0
+    );
+  }
+
+  forget(socket) {
+    [this.signaling, this.chat, this.events].forEach(limiter => limiter && limiter.delete(socket.id));
+  }
+}
+
+// Express middleware answering 429 once an address has used up `limiter`.
+// Uses req.ip, so set Express's `trust proxy` to match TRUST_PROXY.
+function limitRequests(limiter) {
+  return (req, res, next) => {
+    const retryAfterMs = limiter ? limiter.consume(req.ip) : 0;
+    if (retryAfterMs > 0) {
+      req.log.warn('Too many requests', { path: req.path, address: req.ip });
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+    next();
+  };
+}
+
+function describeRateLimitConfig(config) {
+  const limits = [
+    config.signalingPer10s && `${config.signalingPer10s} signaling`,
+    config.chatPer10s && `${config.chatPer10s} chat`,
+    config.eventsPer10s && `${config.eventsPer10s} events per socket`,
+    config.ipEventsPer10s && `${config.ipEventsPer10s} events per address`
+  ].filter(Boolean);
+  const api = [
+    config.apiPerMinute && `${config.apiPerMinute} API`,
+    config.authPerMinute && `${config.authPerMinute} sign-in`
+  ].filter(Boolean);
+
+  const parts = [];
+  if (limits.length > 0) parts.push(`${limits.join(', ')} /10s`);
+  if (api.length > 0) parts.push(`${api.join(', ')} /min`);
+  return parts.length > 0 ? parts.join('; ') : 'off';
+}
+
+module.exports = {
+  loadRateLimitConfig,
+  RateLimiter,
+  createLimiter,
+  SocketRateLimits,
+  limitRequests,
+  describeRateLimitConfig
+};
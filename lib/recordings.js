@@ -0,0 +1,321 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const streamAuth = require('./streamAuth');
+
+// Stream and session ids end up in file paths, so only allow a safe charset
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_CHUNK_SIZE = '25mb';
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Recordings are stored as one WebM file per stream session:
+ *   <recordingsDir>/<streamId>/<sessionId>.webm
+ *   <recordingsDir>/<streamId>/<sessionId>.json  (metadata)
+ *
+ * The streamer uploads MediaRecorder chunks with the upload token it received in
+ * `stream-created`. Recordings of private streams can only be listed, played or
+ * downloaded with a viewer token for the session they were recorded in. Those of a
+ * registered camera take the camera's current nonce instead, so rotating its tokens
+ * revokes the links to its recordings as well.
+ */
+function createRecordingsRouter({ recordingsDir, activeStreams, getCameraNonce = () => null }) {
+  const router = express.Router();
+
+  fs.mkdirSync(recordingsDir, { recursive: true });
+
+  // The requests that change a session, chained per session
+  const sessionQueues = new Map();
+
+  function sessionPaths(streamId, sessionId) {
+    const dir = path.join(recordingsDir, streamId);
+    return {
+      dir,
+      video: path.join(dir, `${sessionId}.webm`),
+      meta: path.join(dir, `${sessionId}.json`)
+    };
+  }
+
+  async function readMeta(streamId, sessionId) {
+    try {
+      const raw = await fs.promises.readFile(sessionPaths(streamId, sessionId).meta, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so a listing never reads half-written metadata
+  async function writeMeta(meta) {
+    const metaPath = sessionPaths(meta.streamId, meta.sessionId).meta;
+    await fs.promises.writeFile(`${metaPath}.tmp`, JSON.stringify(meta, null, 2));
+    await fs.promises.rename(`${metaPath}.tmp`, metaPath);
+  }
+
+  // Runs `task` once the earlier chunk uploads and finishes of the session are
+  // done, so two requests never read the same metadata and both append
+  function inSessionQueue(streamId, sessionId, task) {
+    const key = `${streamId}/${sessionId}`;
+    const result = (sessionQueues.get(key) || Promise.resolve()).then(task);
+    const settled = result.catch(() => {});
+    sessionQueues.set(key, settled);
+    settled.then(() => {
+      if (sessionQueues.get(key) === settled) {
+        sessionQueues.delete(key);
+      }
+    });
+    return result;
+  }
+
+  async function listSessions(streamId) {
+    let files;
+    try {
+      files = await fs.promises.readdir(path.join(recordingsDir, streamId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const meta = await readMeta(streamId, path.basename(file, '.json'));
+      if (meta) sessions.push(meta);
+    }
+    return sessions.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  function getToken(req) {
+    const header = req.get('authorization');
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length);
+    }
+    return req.query.token;
+  }
+
+  // A deleted camera has no nonce, and no token opens its sessions any more
+  function tokenNonceOf(meta) {
+    return meta.cameraId ? getCameraNonce(meta.cameraId) : meta.tokenNonce;
+  }
+
+  function canView(meta, token) {
+    if (!meta.isPrivate) return true;
+    const nonce = tokenNonceOf(meta);
+    return Boolean(nonce) && streamAuth.verifyViewerToken(token, meta.streamId, nonce);
+  }
+
+  function canModify(meta, token) {
+    const nonce = tokenNonceOf(meta);
+    return Boolean(nonce) && streamAuth.verifyStreamToken('upload', token, meta.streamId, nonce);
+  }
+
+  async function toListing(meta) {
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(sessionPaths(meta.streamId, meta.sessionId).video)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return {
+      streamId: meta.streamId,
+      sessionId: meta.sessionId,
+      mimeType: meta.mimeType,
+      startedAt: meta.startedAt,
+      endedAt: meta.endedAt,
+      chunks: meta.chunks,
+      size,
+      url: `/api/recordings/${meta.streamId}/${meta.sessionId}`
+    };
+  }
+
+  // Validate ids before any route touches the filesystem
+  router.param('streamId', (req, res, next, streamId) => {
+    if (!isValidId(streamId)) {
+      return res.status(400).json({ error: 'Invalid stream id' });
+    }
+    next();
+  });
+
+  router.param('sessionId', (req, res, next, sessionId) => {
+    if (!isValidId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+    next();
+  });
+
+  // List recordings of every stream (public ones only)
+  router.get('/', async (req, res, next) => {
+    try {
+      const streamIds = (await fs.promises.readdir(recordingsDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && isValidId(entry.name))
+        .map(entry => entry.name);
+
+      const recordings = [];
+      for (const streamId of streamIds) {
+        for (const meta of await listSessions(streamId)) {
+          if (!meta.isPrivate) recordings.push(await toListing(meta));
+        }
+      }
+      res.json(recordings);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List recordings of one stream
+  router.get('/:streamId', async (req, res, next) => {
+    try {
+      const token = getToken(req);
+      const sessions = (await listSessions(req.params.streamId)).filter(meta => canView(meta, token));
+      res.json(await Promise.all(sessions.map(toListing)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Start a new recording session for a live stream
+  router.post('/:streamId/sessions', async (req, res, next) => {
+    try {
+      const { streamId } = req.params;
+      const stream = activeStreams.get(streamId);
+      if (!stream || !streamAuth.verifyStreamToken('upload', getToken(req), streamId, stream.tokenNonce)) {
+        return res.status(403).json({ error: 'Not authorized to record this stream' });
+      }
+
+      const meta = {
+        streamId,
+        sessionId: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        mimeType: typeof req.body.mimeType === 'string' ? req.body.mimeType : 'video/webm',
+        isPrivate: stream.isPrivate,
+        tokenNonce: stream.tokenNonce,
+        cameraId: stream.cameraId || null,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        chunks: 0
+      };
+
+      await fs.promises.mkdir(sessionPaths(streamId, meta.sessionId).dir, { recursive: true });
+      await writeMeta(meta);
+
+      req.log.info('Recording started', { streamId, sessionId: meta.sessionId });
+      res.status(201).json({ sessionId: meta.sessionId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Append a MediaRecorder chunk. Chunks must be uploaded in order, each with
+  // its index in X-Chunk-Index.
+  router.post('/:streamId/:sessionId/chunks', express.raw({ type: '*/*', limit: MAX_CHUNK_SIZE }), async (req, res, next) => {
+    const { streamId, sessionId } = req.params;
+    const index = Number(req.get('x-chunk-index'));
+    if (!req.get('x-chunk-index') || !Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'X-Chunk-Index must be the index of the chunk' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Empty chunk' });
+    }
+
+    try {
+      await inSessionQueue(streamId, sessionId, async () => {
+        const meta = await readMeta(streamId, sessionId);
+        if (!meta) {
+          return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (!canModify(meta, getToken(req))) {
+          return res.status(403).json({ error: 'Not authorized to record this stream' });
+        }
+        if (meta.endedAt) {
+          return res.status(409).json({ error: 'Recording already finished' });
+        }
+        if (index !== meta.chunks) {
+          return res.status(409).json({ error: 'Unexpected chunk index', expected: meta.chunks });
+        }
+
+        await fs.promises.appendFile(sessionPaths(streamId, sessionId).video, req.body);
+        meta.chunks++;
+        await writeMeta(meta);
+
+        res.json({ chunks: meta.chunks });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Mark a recording as complete, after the chunks already on their way
+  router.post('/:streamId/:sessionId/finish', async (req, res, next) => {
+    try {
+      const { streamId, sessionId } = req.params;
+      await inSessionQueue(streamId, sessionId, async () => {
+        const meta = await readMeta(streamId, sessionId);
+        if (!meta) {
+          return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (!canModify(meta, getToken(req))) {
+          return res.status(403).json({ error: 'Not authorized to record this stream' });
+        }
+
+        if (!meta.endedAt) {
+          meta.endedAt = new Date().toISOString();
+          await writeMeta(meta);
+          req.log.info('Recording finished', { streamId, sessionId, chunks: meta.chunks });
+        }
+        res.json(await toListing(meta));
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Play (with HTTP range support) or download a recording
+  router.get('/:streamId/:sessionId', async (req, res, next) => {
+    try {
+      const { streamId, sessionId } = req.params;
+      const meta = await readMeta(streamId, sessionId);
+      if (!meta || !canView(meta, getToken(req))) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+
+      const videoPath = sessionPaths(streamId, sessionId).video;
+      if (req.query.download) {
+        return res.download(videoPath, `${streamId}-${sessionId}.webm`);
+      }
+      // sendFile handles Range requests, so browsers can seek within the video
+      res.sendFile(videoPath, { headers: { 'Content-Type': 'video/webm' } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:streamId/:sessionId', async (req, res, next) => {
+    try {
+      const { streamId, sessionId } = req.params;
+      const meta = await readMeta(streamId, sessionId);
+      if (!meta) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      if (!canModify(meta, getToken(req))) {
+        return res.status(403).json({ error: 'Not authorized to delete this recording' });
+      }
+
+      const paths = sessionPaths(streamId, sessionId);
+      await fs.promises.rm(paths.video, { force: true });
+      await fs.promises.rm(paths.meta, { force: true });
+
+      req.log.info('Recording deleted', { streamId, sessionId });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRecordingsRouter };
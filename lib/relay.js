@@ -0,0 +1,453 @@
+const { RTCPeerConnection, MediaStream } = require('werift');
+const { logger } = require('./logger');
+
+// Streamers and viewers address the server's relay with this peer id in
+// offer/answer/ice-candidate, where they would otherwise use a socket id
+const RELAY_PEER_ID = 'relay';
+
+// How long a viewer's camera command may wait for the streamer's answer. The
+// viewer's page gives up after 15 seconds, so it hears why before that.
+const CONTROL_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Simulcast layers a streamer may send, lowest quality first. The rids match
+// the sendEncodings of the client.
+const SIMULCAST_LAYERS = ['l', 'm', 'h'];
+
+// A viewer moves down a layer on this much packet loss, and back up after
+// several reports below the lower mark
+const LAYER_DOWN_LOSS = 0.05;
+const LAYER_UP_LOSS = 0.01;
+const LAYER_UP_REPORTS = 3;
+
+/**
+ * Server relay settings.
+ *
+ *   RELAY_MODE        `off` (default), `optional` (the streamer chooses per stream)
+ *                     or `always` (every stream is relayed)
+ *   RELAY_PORT_RANGE  UDP ports for relay connections, e.g. `40000-40100`, so a
+ *                     firewall can be opened for exactly those
+ */
+function loadRelayConfig(env = process.env) {
+  const mode = env.RELAY_MODE || 'off';
+  if (!['off', 'optional', 'always'].includes(mode)) {
+    throw new Error('RELAY_MODE must be off, optional or always');
+  }
+
+  let portRange;
+  if (env.RELAY_PORT_RANGE) {
+    const match = /^(\d+)-(\d+)$/.exec(env.RELAY_PORT_RANGE);
+    if (!match || Number(match[1]) >= Number(match[2])) {
+      throw new Error('RELAY_PORT_RANGE must look like 40000-40100');
+    }
+    portRange = [Number(match[1]), Number(match[2])];
+  }
+
+  return { mode, portRange };
+}
+
+function shouldRelay(config, requested) {
+  return config.mode === 'always' || (config.mode === 'optional' && Boolean(requested));
+}
+
+function toSessionDescription(description) {
+  return { type: description.type, sdp: description.sdp };
+}
+
+/**
+ * Relay for one stream ("SFU mode"). The streamer sends its camera to the
+ * server once over a single peer connection, and the server forwards the RTP
+ * packets to every viewer over a connection of its own. The phone's upload
+ * no longer grows with the number of viewers.
+ *
+ * Viewers see the relay exactly like a streamer: it offers them the video,
+ * an audio transceiver they can answer sendrecv for push-to-talk, and a
+ * "control" data channel whose messages are passed on to the camera.
+ *
+ * A streamer may send simulcast layers. Each viewer then gets the layer its
+ * own connection can carry, based on the packet loss it reports.
+ *
+ * `signal(socketId, event, payload)` delivers signaling messages to a client.
+ * `isControlGranted(viewerId)` says whether the streamer let that viewer
+ * control the camera; commands of other viewers never reach it.
+ */
+class StreamRelay {
+  constructor({ streamId, getPeerConfig, signal, isControlGranted, controlTimeoutMs = CONTROL_REQUEST_TIMEOUT_MS }) {
+    this.streamId = streamId;
+    this.getPeerConfig = getPeerConfig;
+    this.signal = signal;
+    this.isControlGranted = isControlGranted;
+    this.controlTimeoutMs = controlTimeoutMs;
+    this.log = logger.child({ component: 'relay', streamId });
+
+    this.publisher = null;
+    this.streamerId = null;
+    this.sources = new Map(); // kind -> { track, receiver } from the streamer
+    this.videoLayers = new Map(); // rid -> { track, receiver } with simulcast
+    this.talkbackSender = null;
+    this.talkerId = null;
+
+    this.viewers = new Map();
+    this.mediaStream = new MediaStream({ id: `relay-${streamId}` });
+
+    this.publisherChannel = null;
+    this.controlState = null;
+    this.controlRequests = new Map(); // relay id -> { viewerId, id, timer }
+    this.nextControlRequestId = 1;
+  }
+
+  createPeerConnection(socketId) {
+    const peerConnection = new RTCPeerConnection(this.getPeerConfig());
+    peerConnection.onIceCandidate.subscribe(candidate => {
+      if (candidate) {
+        this.signal(socketId, 'ice-candidate', {
+          candidate: candidate.toJSON(),
+          streamId: this.streamId,
+          from: RELAY_PEER_ID
+        });
+      }
+    });
+    return peerConnection;
+  }
+
+  // The streamer offers its camera to the relay and gets the relay's answer back
+  async handlePublisherOffer(streamerId, offer) {
+    this.closePublisher();
+
+    const peerConnection = this.createPeerConnection(streamerId);
+    this.publisher = peerConnection;
+    this.streamerId = streamerId;
+
+    peerConnection.ontrack = (event) => {
+      this.log.info('Receiving track', { kind: event.track.kind, rid: event.track.rid });
+      this.setSource(event.track.kind, event.track, event.receiver);
+    };
+    peerConnection.onDataChannel.subscribe(channel => {
+      if (channel.label === 'control') {
+        this.attachPublisherChannel(channel);
+      }
+    });
+    peerConnection.connectionStateChange.subscribe(state => {
+      this.log.info('Connection with streamer changed', { state });
+      if (state === 'connected') {
+        this.requestKeyframe();
+      }
+    });
+
+    await peerConnection.setRemoteDescription(offer);
+
+    // Only receive video, but answer sendrecv on audio so the talking viewer's
+    // voice can be forwarded to the camera
+    peerConnection.getTransceivers().forEach(transceiver => {
+      if (transceiver.kind === 'audio') {
+        transceiver.setDirection('sendrecv');
+        this.talkbackSender = transceiver.sender;
+      } else {
+        transceiver.setDirection('recvonly');
+      }
+    });
+    this.updateTalkback();
+
+    const answer = await peerConnection.createAnswer();
+    await peerConnection.setLocalDescription(answer);
+    return toSessionDescription(peerConnection.localDescription);
+  }
+
+  // A reconnected streamer brings new tracks; viewer connections stay up and
+  // simply switch over to them
+  setSource(kind, track, receiver) {
+    if (kind === 'video' && track.rid) {
+      this.videoLayers.set(track.rid, { track, receiver });
+    } else {
+      this.sources.set(kind, { track, receiver });
+    }
+
+    this.viewers.forEach(viewer => {
+      const transceiver = viewer.transceivers.get(kind);
+      const source = this.getSource(viewer, kind);
+      if (transceiver && source) {
+        this.forward(transceiver.sender, source.track);
+      }
+    });
+  }
+
+  // With simulcast the layer picked for the viewer, or the best layer there is
+  // until its reports have picked one
+  getSource(viewer, kind) {
+    if (kind !== 'video' || this.videoLayers.size === 0) {
+      return this.sources.get(kind);
+    }
+
+    const available = SIMULCAST_LAYERS.filter(rid => this.videoLayers.has(rid));
+    if (!viewer.layerPicked || !available.includes(viewer.layer)) {
+      viewer.layer = available[available.length - 1];
+    }
+    return this.videoLayers.get(viewer.layer);
+  }
+
+  // Called with each `stats-report` of a viewer
+  updateViewerQuality(viewerId, report) {
+    const viewer = this.viewers.get(viewerId);
+    if (!viewer || this.videoLayers.size === 0 || report.packetLoss === null) return;
+
+    const available = SIMULCAST_LAYERS.filter(rid => this.videoLayers.has(rid));
+    const index = available.indexOf(viewer.layer);
+
+    if (report.packetLoss > LAYER_DOWN_LOSS) {
+      viewer.goodReports = 0;
+      if (index > 0) this.switchLayer(viewerId, viewer, available[index - 1]);
+    } else if (report.packetLoss < LAYER_UP_LOSS) {
+      viewer.goodReports++;
+      if (viewer.goodReports >= LAYER_UP_REPORTS && index < available.length - 1) {
+        viewer.goodReports = 0;
+        this.switchLayer(viewerId, viewer, available[index + 1]);
+      }
+    }
+  }
+
+  switchLayer(viewerId, viewer, rid) {
+    this.log.info('Viewer switches simulcast layer', { viewerId, layer: rid });
+    viewer.layer = rid;
+    viewer.layerPicked = true;
+    const layer = this.videoLayers.get(rid);
+    this.forward(viewer.transceivers.get('video').sender, layer.track);
+    this.sendPLI(layer);
+  }
+
+  forward(sender, track) {
+    sender.replaceTrack(track).catch(error => {
+      this.log.error('Could not forward track', { kind: track.kind, err: error });
+    });
+  }
+
+  // New viewers can only decode from a keyframe, so ask the camera for one
+  requestKeyframe() {
+    this.sendPLI(this.sources.get('video'));
+    this.videoLayers.forEach(layer => this.sendPLI(layer));
+  }
+
+  sendPLI(source) {
+    if (source && source.track.ssrc) {
+      source.receiver.sendRtcpPLI(source.track.ssrc).catch(() => {});
+    }
+  }
+
+  closePublisher() {
+    if (this.publisher) {
+      this.publisher.close();
+      this.publisher = null;
+    }
+    this.streamerId = null;
+    this.sources.clear();
+    this.videoLayers.clear();
+    this.viewers.forEach(viewer => {
+      viewer.layerPicked = false;
+    });
+    this.talkbackSender = null;
+    this.publisherChannel = null;
+    Array.from(this.controlRequests.keys()).forEach(relayId => this.endControlRequest(relayId, 'Camera disconnected'));
+  }
+
+  // The relay offers to a viewer just like a streamer would in mesh mode
+  async addViewer(viewerId) {
+    this.removeViewer(viewerId);
+
+    const peerConnection = this.createPeerConnection(viewerId);
+    const viewer = {
+      peerConnection,
+      transceivers: new Map(),
+      audioTrack: null,
+      layer: null,
+      layerPicked: false,
+      goodReports: 0,
+      controlChannel: peerConnection.createDataChannel('control')
+    };
+    this.viewers.set(viewerId, viewer);
+    this.attachViewerChannel(viewerId, viewer.controlChannel);
+
+    ['video', 'audio'].forEach(kind => {
+      const transceiver = peerConnection.addTransceiver(kind, {
+        direction: kind === 'audio' ? 'sendrecv' : 'sendonly',
+        streams: [this.mediaStream]
+      });
+      viewer.transceivers.set(kind, transceiver);
+
+      const source = this.getSource(viewer, kind);
+      if (source) {
+        this.forward(transceiver.sender, source.track);
+      }
+    });
+
+    peerConnection.ontrack = (event) => {
+      if (event.track.kind === 'audio') {
+        viewer.audioTrack = event.track;
+        this.updateTalkback();
+      }
+    };
+    viewer.transceivers.get('video').sender.onPictureLossIndication.subscribe(() => this.requestKeyframe());
+    peerConnection.connectionStateChange.subscribe(state => {
+      if (state === 'connected') {
+        this.requestKeyframe();
+      } else if (state === 'failed' && this.viewers.get(viewerId) === viewer) {
+        this.removeViewer(viewerId);
+      }
+    });
+
+    const offer = await peerConnection.createOffer();
+    await peerConnection.setLocalDescription(offer);
+
+    this.signal(viewerId, 'offer', {
+      offer: toSessionDescription(peerConnection.localDescription),
+      streamId: this.streamId,
+      from: RELAY_PEER_ID
+    });
+  }
+
+  async handleViewerAnswer(viewerId, answer) {
+    const viewer = this.viewers.get(viewerId);
+    if (viewer) {
+      await viewer.peerConnection.setRemoteDescription(answer);
+    }
+  }
+
+  async addIceCandidate(socketId, candidate) {
+    const peerConnection = socketId === this.streamerId
+      ? this.publisher
+      : this.viewers.has(socketId) && this.viewers.get(socketId).peerConnection;
+
+    if (peerConnection && candidate) {
+      await peerConnection.addIceCandidate(candidate);
+    }
+  }
+
+  removeViewer(viewerId) {
+    const viewer = this.viewers.get(viewerId);
+    if (!viewer) return;
+
+    this.controlRequests.forEach((request, relayId) => {
+      if (request.viewerId === viewerId) {
+        this.endControlRequest(relayId);
+      }
+    });
+
+    viewer.peerConnection.close();
+    this.viewers.delete(viewerId);
+    if (this.talkerId === viewerId) {
+      this.setTalker(null);
+    }
+  }
+
+  // Push-to-talk: the talking viewer's audio goes to the camera, nobody else's
+  setTalker(viewerId) {
+    this.talkerId = viewerId;
+    this.updateTalkback();
+  }
+
+  updateTalkback() {
+    if (!this.talkbackSender) return;
+
+    const viewer = this.talkerId && this.viewers.get(this.talkerId);
+    const track = viewer ? viewer.audioTrack : null;
+    if (track) {
+      this.forward(this.talkbackSender, track);
+    } else {
+      this.talkbackSender.replaceTrack(null).catch(() => {});
+    }
+  }
+
+  // Camera control: commands from every viewer share the streamer's single
+  // channel, so their ids are rewritten to route results back to the sender
+  attachPublisherChannel(channel) {
+    this.publisherChannel = channel;
+    channel.onMessage.subscribe(data => {
+      const message = parseControlMessage(data);
+      if (!message) return;
+
+      if (message.type === 'state') {
+        this.controlState = message;
+        this.viewers.forEach(viewer => sendControlMessage(viewer.controlChannel, message));
+        return;
+      }
+
+      const request = this.controlRequests.get(message.id);
+      if (!request) return;
+
+      const viewer = this.viewers.get(request.viewerId);
+      if (viewer) {
+        sendControlMessage(viewer.controlChannel, { ...message, id: request.id });
+      }
+      if (message.type === 'result') {
+        this.endControlRequest(message.id);
+      }
+    });
+  }
+
+  // Forgets a command, telling the viewer waiting for it about `error` if given
+  endControlRequest(relayId, error) {
+    const request = this.controlRequests.get(relayId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.controlRequests.delete(relayId);
+    const viewer = error && this.viewers.get(request.viewerId);
+    if (viewer) {
+      sendControlMessage(viewer.controlChannel, { type: 'result', id: request.id, ok: false, error });
+    }
+  }
+
+  attachViewerChannel(viewerId, channel) {
+    channel.stateChanged.subscribe(state => {
+      if (state === 'open' && this.controlState) {
+        sendControlMessage(channel, this.controlState);
+      }
+    });
+    channel.onMessage.subscribe(data => {
+      const message = parseControlMessage(data);
+      if (!message || message.type !== 'command') return;
+
+      if (!this.isControlGranted(viewerId)) {
+        this.log.warn('Camera command without control', { viewerId, action: message.action });
+        sendControlMessage(channel, { type: 'result', id: message.id, ok: false, error: 'The streamer has not given you control' });
+        return;
+      }
+      if (!this.publisherChannel || this.publisherChannel.readyState !== 'open') {
+        sendControlMessage(channel, { type: 'result', id: message.id, ok: false, error: 'Camera is not connected' });
+        return;
+      }
+
+      const relayId = this.nextControlRequestId++;
+      const timer = setTimeout(() => {
+        this.log.warn('Camera command timed out', { viewerId, action: message.action });
+        this.endControlRequest(relayId, 'The camera did not answer in time');
+      }, this.controlTimeoutMs);
+      this.controlRequests.set(relayId, { viewerId, id: message.id, timer });
+      sendControlMessage(this.publisherChannel, { ...message, id: relayId, viewerId });
+    });
+  }
+
+  close() {
+    Array.from(this.viewers.keys()).forEach(viewerId => this.removeViewer(viewerId));
+    this.closePublisher();
+  }
+}
+
+function parseControlMessage(data) {
+  try {
+    const message = JSON.parse(data.toString());
+    return message && typeof message === 'object' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sendControlMessage(channel, message) {
+  if (channel && channel.readyState === 'open') {
+    channel.send(JSON.stringify(message));
+  }
+}
+
+module.exports = {
+  RELAY_PEER_ID,
+  loadRelayConfig,
+  shouldRelay,
+  StreamRelay
+};
@@ -0,0 +1,1660 @@
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const path = require('path');
+const cors = require('cors');
+const streamAuth = require('./streamAuth');
+const { createRecordingsRouter } = require('./recordings');
+const { MotionEventLog, createMotionEventsRouter, parseThumbnail, toPublicEvent } = require('./motionEvents');
+const { CameraRegistry, createCamerasRouter } = require('./cameras');
+const { loadIceConfig, getIceConfiguration, describeIceConfig } = require('./iceConfig');
+const { RELAY_PEER_ID, loadRelayConfig, shouldRelay, StreamRelay } = require('./relay');
+const { LiveOutputs, createLiveOutputRouter } = require('./liveOutput');
+const { AccountStore, authenticateRequest, authenticateSocket, createAuthRouter } = require('./accounts');
+const { loadNotificationConfig, Notifier, describeNotificationConfig } = require('./notifications');
+const {
+  loadPushConfig,
+  loadVapidKeys,
+  PushSubscriptionStore,
+  PushNotifier,
+  createPushRouter,
+  describePushConfig
+} = require('./push');
+const {
+  loadPolicyConfig,
+  resolvePolicy,
+  isWithinSchedule,
+  nextWindowStart,
+  checkStreamPolicy,
+  describePolicyConfig
+} = require('./streamPolicy');
+const { loadAdminConfig, canRegisterUsername, RuntimeSettings, AdminEventLog, createAdminRouter, describeAdminConfig } = require('./admin');
+const { MAX_NAME_LENGTH, loadChatConfig, cleanChatText, StreamChat, describeChatConfig } = require('./chat');
+const { ServerMetrics, parseStatsReport, createMetricsRouter } = require('./metrics');
+const { validateEvent } = require('./validation');
+const { loadLogConfig, logger, requestLogger } = require('./logger');
+const { loadRateLimitConfig, createLimiter, SocketRateLimits, limitRequests, describeRateLimitConfig } = require('./rateLimit');
+const {
+  HEARTBEAT_INTERVAL_MS,
+  loadStateConfig,
+  createStateStore,
+  StreamRegistry,
+  describeStateConfig
+} = require('./streamRegistry');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+/**
+ * The camera streaming server: Express routes and Socket.io signaling on one
+ * HTTP server. Every setting is read from `env` (see the config loaders in
+ * lib/ and the variables used below), so tests can run servers side by side,
+ * each with its own DATA_DIR. Logging (lib/logger.js) and token signing
+ * (lib/streamAuth.js) are shared by the whole process, so the server created
+ * last decides those.
+ *
+ * Several servers can share their streams through Redis (lib/streamRegistry.js).
+ * A stream lives on the node it was created on; the other nodes list it from
+ * the registry and forward the events of their clients for it to that node.
+ * Recordings, MJPEG/HLS output and the camera registry stay on each node.
+ *
+ * Returns { app, server, io, activeStreams, streamRegistry, listen(port), close() }.
+ * Nothing listens until `listen` is called.
+ */
+function createCameraServer({ env = process.env } = {}) {
+  logger.configure(loadLogConfig(env));
+  streamAuth.configureStreamAuth(env);
+
+  const app = express();
+  const server = http.createServer(app);
+
+  // Configure Socket.io
+  const io = socketIo(server, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    },
+    transports: ['websocket', 'polling']
+  });
+
+  const DATA_DIR = env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+  // Streams are registered where every node can see them; with Redis, Socket.io
+  // rooms and server-side events span all nodes too
+  const stateConfig = loadStateConfig(env);
+  const stateStore = createStateStore(stateConfig);
+  const streamRegistry = new StreamRegistry({
+    store: stateStore,
+    prefix: stateConfig.prefix,
+    nodeId: stateConfig.nodeId
+  });
+  if (stateStore.createAdapter) {
+    io.adapter(stateStore.createAdapter(stateConfig.prefix));
+  }
+
+  // Local user accounts. Sessions are signed with STREAM_TOKEN_SECRET, so set it
+  // to keep people signed in across restarts.
+  const accounts = new AccountStore({
+    filePath: path.join(DATA_DIR, 'users.json'),
+    sessionTtlMs: parseInt(env.SESSION_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+
+  // Rate limits per socket and per client address (see lib/rateLimit.js for the variables)
+  const rateLimitConfig = loadRateLimitConfig(env);
+  const socketLimits = new SocketRateLimits(rateLimitConfig);
+  if (rateLimitConfig.trustProxy > 0) {
+    app.set('trust proxy', rateLimitConfig.trustProxy);
+  }
+
+  // Middleware. Every request gets an id and `req.log` first.
+  app.use(requestLogger());
+  app.use(cors());
+  app.use(express.json());
+  app.use(authenticateRequest(accounts));
+  app.use(express.static(path.join(PUBLIC_DIR)));
+
+  // The JSON API is limited per address; password guessing much more so. Media
+  // uploads and downloads carry their own tokens and are left alone.
+  app.use(['/api/auth', '/api/cameras', '/api/streams', '/api/ice-config', '/api/push', '/api/admin'],
+    limitRequests(createLimiter(rateLimitConfig.apiPerMinute, 60 * 1000)));
+  app.post(['/api/auth/login', '/api/auth/register', '/api/auth/password'],
+    limitRequests(createLimiter(rateLimitConfig.authPerMinute, 60 * 1000)));
+
+  // Addresses that connect too often are turned away before anything else.
+  // Sockets carry the account of the session cookie sent with the handshake.
+  io.use(socketLimits.limitConnections());
+  io.use(authenticateSocket(accounts));
+
+  // STUN/TURN servers handed to clients (see lib/iceConfig.js for the variables)
+  const iceConfig = loadIceConfig(env);
+
+  // Optional server relay so a streamer uploads once however many viewers watch
+  const relayConfig = loadRelayConfig(env);
+
+  // The relay's own peer connections use the same STUN/TURN servers as clients
+  function getRelayPeerConfig() {
+    const { iceServers, iceTransportPolicy } = getIceConfiguration(iceConfig, RELAY_PEER_ID);
+    return { iceServers, iceTransportPolicy, icePortRange: relayConfig.portRange };
+  }
+
+  function createStreamRelay(streamId) {
+    return new StreamRelay({
+      streamId,
+      getPeerConfig: getRelayPeerConfig,
+      isControlGranted: viewerId => {
+        const stream = activeStreams.get(streamId);
+        return Boolean(stream && stream.controlGrants.has(viewerId));
+      },
+      signal: (socketId, event, payload) => io.to(socketId).emit(event, payload)
+    });
+  }
+
+  // Webhooks and MQTT for stream lifecycle events (see lib/notifications.js)
+  const notificationConfig = loadNotificationConfig(env);
+  const notifier = new Notifier(notificationConfig);
+
+  function notifyStreamEvent(type, streamId, stream, details = {}) {
+    adminEvents.add(type, { streamId, name: stream.name, ...details });
+    notifier.notify(type, {
+      streamId,
+      name: stream.name,
+      private: stream.isPrivate,
+      viewerCount: stream.viewers.size,
+      ...details
+    });
+    pushNotifier.notify(type, {
+      streamId,
+      name: stream.name,
+      isPrivate: stream.isPrivate,
+      cameraId: stream.cameraId
+    });
+  }
+
+  // How long a stream waits for its streamer to reconnect before it ends
+  const STREAMER_GRACE_MS = env.STREAMER_GRACE_MS !== undefined
+    ? parseInt(env.STREAMER_GRACE_MS, 10)
+    : 30 * 1000; // 30 seconds
+
+  // Maximum duration, idle timeout and schedules of streams (see lib/streamPolicy.js)
+  const policyConfig = loadPolicyConfig(env);
+
+  // Settings administrators can change at runtime start out from the
+  // environment; applySettings puts them into effect (see lib/admin.js)
+  const adminConfig = loadAdminConfig(env);
+  const runtimeSettings = new RuntimeSettings({
+    filePath: path.join(DATA_DIR, 'settings.json'),
+    defaults: {
+      maxViewersPerStream: parseInt(env.MAX_VIEWERS_PER_STREAM, 10) || 0,
+      maxDurationMinutes: policyConfig.maxDurationMinutes,
+      idleTimeoutMinutes: policyConfig.idleTimeoutMinutes,
+      policyCheckSeconds: policyConfig.checkIntervalSeconds
+    }
+  });
+
+  // Recent connections, stream events and admin actions for the admin page
+  const adminEvents = new AdminEventLog();
+
+  // In-stream chat: history kept per stream for late joiners (see lib/chat.js)
+  const chatConfig = loadChatConfig(env);
+
+  // The streams held by this node (will reset on server restart)
+  const activeStreams = new Map();
+
+  // Accounts of sockets on other nodes, from the events those nodes forward here
+  const remoteUsers = new Map();
+
+  // Prometheus metrics, including connection quality reported by clients
+  const metrics = new ServerMetrics({ activeStreams, io });
+
+  // Named cameras survive restarts; their ids double as stream ids
+  const cameraRegistry = new CameraRegistry({
+    filePath: path.join(DATA_DIR, 'cameras.json')
+  });
+
+  // Web Push to browsers that follow a camera, even with the page closed (see lib/push.js)
+  const pushConfig = loadPushConfig(env);
+  const pushSubscriptions = new PushSubscriptionStore({
+    filePath: path.join(DATA_DIR, 'push-subscriptions.json')
+  });
+  const pushNotifier = new PushNotifier({
+    config: pushConfig,
+    keys: loadVapidKeys(pushConfig, path.join(DATA_DIR, 'vapid.json')),
+    store: pushSubscriptions,
+    canView: (cameraId, userId) => cameraRegistry.canView(cameraId, userId)
+  });
+
+  // Motion events per stream id, kept after the stream ends
+  const motionEvents = new MotionEventLog({
+    maxEventsPerStream: parseInt(env.MOTION_EVENT_LIMIT, 10) || 200
+  });
+
+  // How often a streamer uploads a still frame for the snapshot API on its own
+  const SNAPSHOT_INTERVAL_MS = parseInt(env.SNAPSHOT_INTERVAL_MS, 10) || 60 * 1000; // 1 minute
+
+  // MJPEG, HLS and snapshots for clients without WebRTC, made from frames the
+  // streamer pushes
+  const liveOutputs = new LiveOutputs({
+    hlsDir: env.HLS_DIR || path.join(DATA_DIR, 'hls'),
+    ffmpegPath: env.FFMPEG_PATH || 'ffmpeg',
+    frameRate: parseInt(env.LIVE_OUTPUT_FPS, 10) || 5,
+    hlsIdleMs: 60 * 1000,
+    historySize: parseInt(env.SNAPSHOT_HISTORY, 10) || 10,
+    historyIntervalMs: SNAPSHOT_INTERVAL_MS,
+    onDemandChange: (streamId) => sendLiveOutputDemand(streamId),
+    onFrameRequest: (streamId) => {
+      const stream = activeStreams.get(streamId);
+      if (stream && stream.streamer) {
+        io.to(stream.streamer).emit('snapshot-request', { streamId });
+      }
+    }
+  });
+
+  // Tell the streamer whether to push frames for MJPEG/HLS
+  function sendLiveOutputDemand(streamId) {
+    const stream = activeStreams.get(streamId);
+    if (stream && stream.streamer) {
+      io.to(stream.streamer).emit('live-output-demand', {
+        streamId,
+        active: liveOutputs.hasDemand(streamId),
+        frameRate: liveOutputs.frameRate
+      });
+    }
+  }
+
+  // What the registry keeps of a stream, for listings on every node
+  function describeStream(stream) {
+    return {
+      name: stream.name,
+      isPrivate: stream.isPrivate,
+      status: stream.status,
+      viewers: stream.viewers.size,
+      streamer: stream.streamer,
+      createdAt: stream.createdAt
+    };
+  }
+
+  // Called whenever a stream changes in a way describeStream shows
+  function saveStream(streamId, stream) {
+    streamRegistry.save(streamId, describeStream(stream)).catch(error => {
+      logger.error('Could not save stream to the registry', { streamId, err: error });
+    });
+  }
+
+  function forgetStream(streamId) {
+    activeStreams.delete(streamId);
+    streamRegistry.remove(streamId).catch(error => {
+      logger.error('Could not remove stream from the registry', { streamId, err: error });
+    });
+  }
+
+  // Private streams are never listed; they can only be joined with a passphrase or viewer token
+  async function listPublicStreams() {
+    return (await streamRegistry.list()).filter(record => !record.isPrivate);
+  }
+
+  async function getPublicStreamIds() {
+    return (await listPublicStreams()).map(record => record.streamId);
+  }
+
+  function isStreamMember(stream, socketId) {
+    return stream.streamer === socketId || stream.viewers.has(socketId);
+  }
+
+  // Signaling only flows between the streamer of a stream and one of its
+  // viewers: offers come from the streamer (`from: 'streamer'`), answers from a
+  // viewer (`from: 'viewer'`) and ICE candidates go both ways
+  function canSignal(socket, streamId, targetId, from) {
+    const stream = activeStreams.get(streamId);
+    const fromStreamer = Boolean(stream) && stream.streamer === socket.id && stream.viewers.has(targetId);
+    const fromViewer = Boolean(stream) && stream.viewers.has(socket.id) && stream.streamer === targetId;
+    const allowed = from === 'streamer' ? fromStreamer : from === 'viewer' ? fromViewer : fromStreamer || fromViewer;
+
+    if (!allowed) {
+      socket.data.log.warn('Rejected signaling', { streamId, targetId });
+    }
+    return allowed;
+  }
+
+  function rejectUnauthorized(socket, event, streamId) {
+    socket.emit('unauthorized', {
+      event,
+      streamId,
+      message: 'Not authorized for this stream'
+    });
+  }
+
+  // Tells a client why one of its events was dropped:
+  // { event, code: 'invalid-payload' | 'rate-limited' | 'muted', message, retryAfterMs }.
+  // A flooding client hears about it once per wait, not once per message.
+  function rejectRequest(socket, event, code, message, retryAfterMs) {
+    if (code === 'rate-limited') {
+      if (socket.data.rateLimitedUntil > Date.now()) return;
+      socket.data.rateLimitedUntil = Date.now() + retryAfterMs;
+    }
+    socket.data.log.warn('Dropped event', { event, code, reason: message });
+    socket.emit('request-error', { event, code, message, retryAfterMs });
+  }
+
+  // Longest a viewer may hold the push-to-talk channel in one go
+  const TALK_MAX_MS = parseInt(env.TALK_MAX_MS, 10) || 60 * 1000; // 1 minute
+
+  // Only one viewer at a time may talk to the camera
+  function releaseTalk(streamId, stream) {
+    if (!stream.talker) return;
+
+    const talkerId = stream.talker;
+    clearTimeout(stream.talkTimer);
+    stream.talker = null;
+    stream.talkTimer = null;
+    if (stream.relay) {
+      stream.relay.setTalker(null);
+    }
+
+    logger.info('Viewer stopped talking', { streamId, viewerId: talkerId });
+    io.to(talkerId).emit('talk-stopped', { streamId, viewerId: talkerId });
+    if (stream.streamer) {
+      io.to(stream.streamer).emit('talk-stopped', { streamId, viewerId: talkerId });
+    }
+    io.to(streamId).emit('talk-state', { streamId, talkerId: null });
+  }
+
+  // Streams end when the streamer stops or disconnects, by their policy or by
+  // an administrator. The streamer is told about endings it did not ask for
+  // ({ policy, resumeAt } or { endedBy }) so it stops its camera, and resumes
+  // on schedule.
+  function endStream(streamId, reason, ending = {}) {
+    const stream = activeStreams.get(streamId);
+    if (!stream) return;
+
+    logger.info('Stream ended', { streamId, reason, policy: ending.policy });
+    clearTimeout(stream.graceTimer);
+    clearTimeout(stream.talkTimer);
+    if (stream.relay) {
+      stream.relay.close();
+    }
+    liveOutputs.stop(streamId);
+    const except = stream.streamer ? [stream.streamer] : [];
+    io.to(streamId).except(except).emit('stream-ended', {
+      streamId,
+      reason,
+      ...ending
+    });
+    if ((ending.policy || ending.endedBy) && stream.streamer) {
+      io.to(stream.streamer).emit('stream-ended', { streamId, reason, ...ending });
+    }
+    forgetStream(streamId);
+    metrics.recordStreamEnded(stream);
+    metrics.removeStats(streamId);
+    notifyStreamEvent('stream-ended', streamId, stream, { reason, ...ending });
+
+    if (stream.cameraId) {
+      cameraRegistry.touch(stream.cameraId);
+    }
+
+    // Broadcast that stream ended
+    if (!stream.isPrivate) {
+      io.except(except).emit('stream-ended-broadcast', { streamId });
+    }
+  }
+
+  // A dropped streamer gets a grace period to come back before the stream ends.
+  // Viewers stay in the stream and are told it is reconnecting.
+  function suspendStream(streamId, stream) {
+    if (STREAMER_GRACE_MS <= 0) {
+      endStream(streamId, 'Streamer disconnected');
+      return;
+    }
+
+    logger.info('Streamer disconnected, waiting for reconnect', { streamId, graceMs: STREAMER_GRACE_MS });
+    releaseTalk(streamId, stream);
+    metrics.removeStats(streamId, stream.streamer);
+    stream.status = 'reconnecting';
+    stream.streamer = null;
+    if (stream.relay) {
+      stream.relay.closePublisher();
+    }
+    stream.disconnectedAt = new Date();
+    stream.graceTimer = setTimeout(() => {
+      endStream(streamId, 'Streamer disconnected');
+    }, STREAMER_GRACE_MS);
+    saveStream(streamId, stream);
+
+    io.to(streamId).emit('stream-reconnecting', {
+      streamId,
+      graceMs: STREAMER_GRACE_MS
+    });
+    notifyStreamEvent('stream-reconnecting', streamId, stream, { graceMs: STREAMER_GRACE_MS });
+  }
+
+  // The account of a socket on this node or, once it has sent an event here, on another
+  function getSocketUser(socketId) {
+    const localSocket = io.sockets.sockets.get(socketId);
+    return (localSocket ? localSocket.data.user : remoteUsers.get(socketId)) || null;
+  }
+
+  // Chat mutes follow the account of a signed-in viewer, and the socket of a guest
+  function getChatMuteKey(socketId) {
+    const user = getSocketUser(socketId);
+    return user ? `user:${user.id}` : `socket:${socketId}`;
+  }
+
+  // What the streamer is shown for a viewer instead of its socket id
+  function getViewerName(socketId) {
+    const user = getSocketUser(socketId);
+    return user ? user.displayName : null;
+  }
+
+  function describeViewers(stream) {
+    return Array.from(stream.viewers, viewerId => ({
+      viewerId,
+      name: getViewerName(viewerId),
+      controlGranted: stream.controlGrants.has(viewerId)
+    }));
+  }
+
+  // A registered camera is started with its camera key, or by its owner's account
+  function canStreamCamera(socket, cameraId, options) {
+    return cameraRegistry.verifyKey(cameraId, options.cameraKey) ||
+      Boolean(socket.data.user && cameraRegistry.isOwner(cameraId, socket.data.user.id));
+  }
+
+  // The streamer may reclaim a live or reconnecting stream with its camera key
+  // or account (registered cameras) or the resume token it got in `stream-created`
+  function canReclaim(socket, streamId, stream, options) {
+    return (stream.cameraId && canStreamCamera(socket, stream.cameraId, options)) ||
+      streamAuth.verifyStreamToken('resume', options.resumeToken, streamId, stream.tokenNonce);
+  }
+
+  // Private streams let in a valid viewer token or the passphrase, and for
+  // registered cameras the owner and the accounts the camera is shared with
+  function canJoinPrivateStream(socket, streamId, stream, options) {
+    return Boolean(stream.cameraId && socket.data.user && cameraRegistry.canView(stream.cameraId, socket.data.user.id)) ||
+      streamAuth.verifyViewerToken(options.token, streamId, stream.tokenNonce) ||
+      streamAuth.verifyPassphrase(options.passphrase, stream.passphraseHash);
+  }
+
+  // A viewer leaves a stream, on request or because it lost access
+  function removeViewer(streamId, stream, viewerId) {
+    if (stream.talker === viewerId) {
+      releaseTalk(streamId, stream);
+    }
+    stream.viewers.delete(viewerId);
+    stream.controlGrants.delete(viewerId);
+    if (stream.viewers.size === 0) {
+      stream.idleSince = new Date();
+    }
+    saveStream(streamId, stream);
+    metrics.removeStats(streamId, viewerId);
+    io.in(viewerId).socketsLeave(streamId);
+    if (stream.relay) {
+      stream.relay.removeViewer(viewerId);
+    }
+    if (stream.streamer) {
+      io.to(stream.streamer).emit('viewer-left', {
+        viewerId,
+        viewerCount: stream.viewers.size
+      });
+    }
+    notifyStreamEvent('viewer-left', streamId, stream, { viewerName: getViewerName(viewerId) });
+  }
+
+  // A streamer reconnecting (e.g. after its socket dropped) takes over its stream
+  // instead of being told the id is taken. Viewers keep watching: the new
+  // streamer socket is asked to send each of them a fresh offer, or with a relay
+  // it offers to the relay again and the viewers' connections stay up.
+  function reclaimStream(socket, streamId, stream) {
+    const previousStreamer = stream.streamer;
+    socket.data.log.info('Stream reclaimed', { streamId, previousStreamer });
+
+    if (previousStreamer && previousStreamer !== socket.id) {
+      io.to(previousStreamer).emit('stream-taken-over', { streamId });
+      io.in(previousStreamer).socketsLeave(streamId);
+    }
+
+    clearTimeout(stream.graceTimer);
+    stream.graceTimer = null;
+    stream.status = 'live';
+    stream.disconnectedAt = null;
+    stream.streamer = socket.id;
+    saveStream(streamId, stream);
+    socket.join(streamId);
+    if (stream.cameraId) {
+      cameraRegistry.touch(streamId);
+    }
+
+    socket.emit('stream-created', {
+      streamId,
+      name: stream.name,
+      private: stream.isPrivate,
+      reclaimed: true,
+      viewers: describeViewers(stream),
+      relay: Boolean(stream.relay),
+      snapshotIntervalMs: SNAPSHOT_INTERVAL_MS,
+      viewerToken: stream.isPrivate ? streamAuth.createViewerToken(streamId, stream.tokenNonce) : null,
+      uploadToken: streamAuth.createStreamToken('upload', streamId, stream.tokenNonce),
+      resumeToken: streamAuth.createStreamToken('resume', streamId, stream.tokenNonce)
+    });
+
+    socket.emit('chat-history', { streamId, messages: stream.chat.history() });
+
+    socket.to(streamId).emit('stream-resumed', { streamId, streamerId: socket.id });
+    if (previousStreamer === null) {
+      notifyStreamEvent('stream-resumed', streamId, stream);
+    }
+    if (liveOutputs.hasDemand(streamId)) {
+      sendLiveOutputDemand(streamId);
+    }
+    if (stream.relay) return;
+
+    stream.viewers.forEach(viewerId => {
+      socket.emit('create-offer', { viewerId, streamId });
+    });
+  }
+
+  // Offers, answers and ICE candidates addressed to the relay are handled by the
+  // server: the streamer publishes to it and viewers receive from it
+  async function handleRelaySignal(socket, event, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || !stream.relay || !isStreamMember(stream, socket.id)) {
+      rejectUnauthorized(socket, event, data.streamId);
+      return;
+    }
+
+    try {
+      if (event === 'offer' && stream.streamer === socket.id) {
+        const answer = await stream.relay.handlePublisherOffer(socket.id, data.offer);
+        socket.emit('answer', { answer, streamId: data.streamId, from: RELAY_PEER_ID });
+      } else if (event === 'answer' && stream.viewers.has(socket.id)) {
+        await stream.relay.handleViewerAnswer(socket.id, data.answer);
+      } else if (event === 'ice-candidate') {
+        await stream.relay.addIceCandidate(socket.id, data.candidate);
+      }
+    } catch (error) {
+      socket.data.log.error('Relay signaling failed', { event, streamId: data.streamId, err: error });
+    }
+  }
+
+  function addRelayViewer(streamId, stream, viewerId) {
+    stream.relay.addViewer(viewerId).catch(error => {
+      logger.error('Relay could not connect viewer', { streamId, viewerId, err: error });
+    });
+  }
+
+  // Who is on the other end of a socket, as far as this node knows
+  function describeSocket(socketId) {
+    const localSocket = io.sockets.sockets.get(socketId);
+    const user = getSocketUser(socketId);
+    return {
+      socketId,
+      username: user ? user.username : null,
+      name: user ? user.displayName : null,
+      address: localSocket ? localSocket.data.address : null
+    };
+  }
+
+  // Every live stream for the admin area. Streamer and viewers are only known
+  // for the streams this node holds; the others show their node and viewer count.
+  async function listStreamsForAdmin() {
+    return (await streamRegistry.list()).map(record => {
+      const stream = record.nodeId === streamRegistry.nodeId ? activeStreams.get(record.streamId) : null;
+      const listing = {
+        id: record.streamId,
+        name: record.name,
+        private: record.isPrivate,
+        status: record.status,
+        createdAt: record.createdAt,
+        nodeId: record.nodeId,
+        viewerCount: record.viewers,
+        streamer: null,
+        viewers: null
+      };
+      if (!stream) return listing;
+
+      return {
+        ...listing,
+        cameraId: stream.cameraId,
+        relay: Boolean(stream.relay),
+        viewerCount: stream.viewers.size,
+        streamer: stream.streamer ? describeSocket(stream.streamer) : null,
+        viewers: Array.from(stream.viewers, viewerId => ({
+          ...describeSocket(viewerId),
+          talking: stream.talker === viewerId
+        }))
+      };
+    });
+  }
+
+  // Admin actions on a stream another node holds are carried out there
+  async function forwardAdminAction(action, streamId, details) {
+    const record = await streamRegistry.get(streamId);
+    if (!record || record.nodeId === streamRegistry.nodeId) return false;
+
+    io.serverSideEmit('admin-action', { nodeId: record.nodeId, action, streamId, ...details });
+    return true;
+  }
+
+  async function adminEndStream(streamId, admin) {
+    if (!activeStreams.has(streamId)) {
+      return forwardAdminAction('end', streamId, { admin });
+    }
+    adminEvents.add('admin-ended-stream', { streamId, admin });
+    endStream(streamId, 'Ended by an administrator', { endedBy: 'admin' });
+    return true;
+  }
+
+  // The viewer is told its stream ended; it can join again
+  async function adminKickViewer(streamId, viewerId, admin) {
+    const stream = activeStreams.get(streamId);
+    if (!stream) {
+      return forwardAdminAction('kick', streamId, { viewerId, admin });
+    }
+    if (!stream.viewers.has(viewerId)) return false;
+
+    adminEvents.add('admin-removed-viewer', { streamId, viewerId, admin });
+    io.to(viewerId).emit('stream-ended', { streamId, reason: 'Removed by an administrator', endedBy: 'admin' });
+    removeViewer(streamId, stream, viewerId);
+    return true;
+  }
+
+  // Routes
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'dashboard.html'));
+  });
+
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+  });
+
+  // Prometheus scrape endpoint; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+  app.use(createMetricsRouter({ metrics, token: env.METRICS_TOKEN }));
+
+  // Streams are counted and listed across all nodes. Who streams and watches
+  // them is only shown in the admin area.
+  app.get('/health', async (req, res, next) => {
+    try {
+      const streams = await streamRegistry.list();
+      res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        node: streamRegistry.nodeId,
+        streams: streams.length,
+        activeStreams: streams.filter(stream => !stream.isPrivate).map(stream => ({
+          id: stream.streamId,
+          name: stream.name,
+          viewers: stream.viewers,
+          status: stream.status
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // API to check if stream exists, on any node
+  app.get('/api/stream/:id', async (req, res, next) => {
+    const streamId = req.params.id;
+    let stream;
+    try {
+      stream = await streamRegistry.get(streamId);
+    } catch (error) {
+      return next(error);
+    }
+    req.log.debug('Checking stream', { streamId, exists: Boolean(stream) });
+
+    if (stream && stream.isPrivate) {
+      // Confirm the id so the viewer can be asked for a passphrase, but disclose nothing else
+      res.json({ 
+        exists: true,
+        private: true
+      });
+    } else if (stream) {
+      res.json({ 
+        exists: true, 
+        private: false,
+        name: stream.name,
+        status: stream.status,
+        viewers: stream.viewers,
+        createdAt: stream.createdAt
+      });
+    } else {
+      res.json({ 
+        exists: false,
+        message: 'Stream not found or may have ended'
+      });
+    }
+  });
+
+  // Recordings uploaded by streamers
+  app.use('/api/recordings', createRecordingsRouter({
+    recordingsDir: env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings'),
+    activeStreams,
+    getCameraNonce: (cameraId) => cameraRegistry.getTokenNonce(cameraId)
+  }));
+
+  // Sign up, sign in and out
+  app.use('/api/auth', createAuthRouter({
+    accounts,
+    canRegister: (req, username) => canRegisterUsername(adminConfig, req, username)
+  }));
+
+  // Persistent camera registry, owned by accounts
+  app.use('/api/cameras', createCamerasRouter({
+    registry: cameraRegistry,
+    accounts,
+    getStatus: (cameraId) => {
+      const stream = activeStreams.get(cameraId);
+      return stream
+        ? { status: 'online', viewers: stream.isPrivate ? undefined : stream.viewers.size }
+        : { status: 'offline' };
+    },
+    onUpdate: (camera) => {
+      const stream = activeStreams.get(camera.id);
+      if (stream) {
+        stream.name = camera.name;
+        stream.policy = resolvePolicy(policyConfig, camera.policy);
+        saveStream(camera.id, stream);
+      }
+    },
+    // The live stream takes the new nonce and the streamer gets new tokens.
+    // Private viewers without a share must join again: those with an old link
+    // need a new one, those with the passphrase can reuse it, as rotating the
+    // tokens leaves the passphrase alone.
+    onRotateTokens: (cameraId) => {
+      const stream = activeStreams.get(cameraId);
+      if (!stream) return;
+
+      stream.tokenNonce = cameraRegistry.getTokenNonce(cameraId);
+      if (stream.isPrivate) {
+        stream.viewers.forEach(viewerId => {
+          const user = getSocketUser(viewerId);
+          if (!user || !cameraRegistry.canView(cameraId, user.id)) {
+            removeViewer(cameraId, stream, viewerId);
+            io.to(viewerId).emit('stream-auth-required', { streamId: cameraId, reason: 'access-revoked' });
+          }
+        });
+      }
+      if (stream.streamer) {
+        io.to(stream.streamer).emit('stream-tokens', {
+          streamId: cameraId,
+          viewerToken: stream.isPrivate ? streamAuth.createViewerToken(cameraId, stream.tokenNonce) : null,
+          uploadToken: streamAuth.createStreamToken('upload', cameraId, stream.tokenNonce),
+          resumeToken: streamAuth.createStreamToken('resume', cameraId, stream.tokenNonce)
+        });
+      }
+    },
+    // Viewers watching through the account lose the stream with the share
+    onUnshare: (cameraId, userId) => {
+      const stream = activeStreams.get(cameraId);
+      if (!stream) return;
+
+      stream.viewers.forEach(viewerId => {
+        const user = getSocketUser(viewerId);
+        if (user && user.id === userId) {
+          removeViewer(cameraId, stream, viewerId);
+          io.to(viewerId).emit('stream-auth-required', { streamId: cameraId, reason: 'access-revoked' });
+        }
+      });
+    },
+    onDelete: (cameraId) => endStream(cameraId, 'Camera deleted')
+  }));
+
+  // Live streams, the event log and runtime settings, for administrators
+  app.use('/api/admin', createAdminRouter({
+    config: adminConfig,
+    settings: runtimeSettings,
+    eventLog: adminEvents,
+    streams: { list: listStreamsForAdmin, end: adminEndStream, kick: adminKickViewer },
+    applySettings
+  }));
+
+  // Push subscriptions and what they follow
+  app.use('/api/push', createPushRouter({ config: pushConfig, store: pushSubscriptions, pushNotifier }));
+
+  // Motion event history for a stream
+  app.use('/api/stream/:id/events', createMotionEventsRouter({
+    eventLog: motionEvents,
+    getCameraNonce: (cameraId) => cameraRegistry.getTokenNonce(cameraId)
+  }));
+
+  // MJPEG, HLS and snapshots of a live stream
+  app.use('/api/stream/:id', createLiveOutputRouter({ liveOutputs, activeStreams }));
+
+  // ICE servers for RTCPeerConnection, with short-lived TURN credentials if configured
+  app.get('/api/ice-config', (req, res) => {
+    const peerId = /^[A-Za-z0-9_-]{1,64}$/.test(req.query.peer || '') ? req.query.peer : 'anonymous';
+    res.set('Cache-Control', 'no-store');
+    res.json(getIceConfiguration(iceConfig, peerId));
+  });
+
+  // Get all active streams, on every node
+  app.get('/api/streams', async (req, res, next) => {
+    try {
+      const streams = (await listPublicStreams()).map(stream => ({
+        id: stream.streamId,
+        name: stream.name,
+        status: stream.status,
+        viewers: stream.viewers,
+        createdAt: stream.createdAt
+      }));
+      res.json(streams);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Bodies express.json() cannot read get the same { error } as other API failures
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
+    }
+    next(error);
+  });
+
+  // Whether a socket is connected, to this node or another
+  async function isConnected(socketId) {
+    if (io.sockets.sockets.has(socketId)) return true;
+    return (await io.in(socketId).fetchSockets()).length > 0;
+  }
+
+  // Stands in for a socket connected to another node while this node handles an
+  // event forwarded from there (see dispatchStreamEvent). Whatever is sent to
+  // it goes through the adapter.
+  function createRemoteSocket(socketId, user) {
+    return {
+      id: socketId,
+      data: { user, log: logger.child({ socketId, remote: true }) },
+      broadcast: io.except(socketId),
+      emit: (event, payload) => io.to(socketId).emit(event, payload),
+      to: (room) => io.to(room).except(socketId),
+      join: (room) => io.in(socketId).socketsJoin(room),
+      leave: (room) => io.in(socketId).socketsLeave(room)
+    };
+  }
+
+  // Streamer creates a stream. Accepts a plain stream id, or
+  // { streamId, passphrase, private, cameraKey, resumeToken, relay }. Registered cameras
+  // must present their camera key or be started by their owner's account. A
+  // returning streamer reclaims its stream.
+  async function onCreateStream(socket, payload) {
+    const options = typeof payload === 'object' && payload !== null ? payload : { streamId: payload };
+    const streamId = options.streamId;
+    const passphrase = typeof options.passphrase === 'string' && options.passphrase.length > 0
+      ? options.passphrase
+      : null;
+    const camera = cameraRegistry.get(streamId);
+    const isPrivate = Boolean(passphrase || options.private || (camera && camera.settings.private));
+
+    if (camera && !canStreamCamera(socket, streamId, options)) {
+      socket.data.log.warn('Invalid camera key', { streamId });
+      socket.emit('unauthorized', {
+        event: 'create-stream',
+        streamId,
+        message: 'Invalid camera key'
+      });
+      return;
+    }
+
+    // Outside its schedule a camera is told when to come back instead
+    const policy = resolvePolicy(policyConfig, camera && camera.policy);
+    if (!isWithinSchedule(policy)) {
+      const resumeAt = nextWindowStart(policy);
+      socket.data.log.info('Camera outside its schedule', { streamId });
+      socket.emit('stream-scheduled', { streamId, resumeAt: resumeAt ? resumeAt.toISOString() : null });
+      return;
+    }
+
+    const existingStream = activeStreams.get(streamId);
+    if (existingStream && canReclaim(socket, streamId, existingStream, options)) {
+      reclaimStream(socket, streamId, existingStream);
+      return;
+    }
+
+    // Check if stream already exists
+    if (existingStream) {
+      socket.data.log.info('Stream already exists', { streamId });
+      socket.emit('stream-exists', { streamId });
+      return;
+    }
+
+    const stream = {
+      streamer: socket.id,
+      viewers: new Set(),
+      createdAt: new Date(),
+      isPrivate,
+      passphraseHash: passphrase ? streamAuth.hashPassphrase(passphrase) : null,
+      tokenNonce: camera ? cameraRegistry.getTokenNonce(camera.id) : streamAuth.createNonce(),
+      cameraId: camera ? camera.id : null,
+      name: camera ? camera.name : null,
+      status: 'live',
+      policy,
+      idleSince: new Date(),
+      graceTimer: null,
+      talker: null,
+      talkTimer: null,
+      chat: new StreamChat({ historySize: chatConfig.historySize }),
+      controlGrants: new Set(), // viewers the streamer lets control the camera
+      relay: shouldRelay(relayConfig, options.relay) ? createStreamRelay(streamId) : null
+    };
+
+    // Another node may be creating a stream by the same id right now and the
+    // registry lets only one of them have it. The other starts over and finds it.
+    if (!(await streamRegistry.claim(streamId, describeStream(stream)))) {
+      if (stream.relay) {
+        stream.relay.close();
+      }
+      await dispatchStreamEvent(socket, 'create-stream', payload);
+      return;
+    }
+    if (socket.disconnected) {
+      forgetStream(streamId);
+      if (stream.relay) {
+        stream.relay.close();
+      }
+      return;
+    }
+    activeStreams.set(streamId, stream);
+
+    if (camera) {
+      cameraRegistry.touch(streamId);
+    }
+
+    socket.join(streamId);
+    socket.emit('stream-created', {
+      streamId,
+      name: stream.name,
+      private: isPrivate,
+      relay: Boolean(stream.relay),
+      snapshotIntervalMs: SNAPSHOT_INTERVAL_MS,
+      viewerToken: isPrivate ? streamAuth.createViewerToken(streamId, stream.tokenNonce) : null,
+      uploadToken: streamAuth.createStreamToken('upload', streamId, stream.tokenNonce),
+      resumeToken: streamAuth.createStreamToken('resume', streamId, stream.tokenNonce)
+    });
+
+    // Broadcast to all clients that a new stream is available
+    if (!isPrivate) {
+      socket.broadcast.emit('stream-started', { streamId, name: stream.name });
+    }
+    notifyStreamEvent('stream-started', streamId, stream);
+
+    socket.data.log.info('Stream created', {
+      streamId,
+      private: isPrivate,
+      relay: Boolean(stream.relay),
+      activeStreams: activeStreams.size
+    });
+  }
+
+  // Viewer joins a stream. Accepts a plain stream id, or
+  // { streamId, passphrase, token } for private streams. Signed-in viewers
+  // need neither for cameras their account may view.
+  async function onJoinStream(socket, payload) {
+    const options = typeof payload === 'object' && payload !== null ? payload : { streamId: payload };
+    const streamId = options.streamId;
+
+    const stream = activeStreams.get(streamId);
+    if (stream) {
+      if (stream.isPrivate) {
+        if (!canJoinPrivateStream(socket, streamId, stream, options)) {
+          socket.data.log.info('Viewer not authorized', { streamId });
+          socket.emit('stream-auth-required', {
+            streamId,
+            reason: options.token || options.passphrase ? 'invalid-credentials' : 'credentials-required'
+          });
+          return;
+        }
+      }
+
+      // Check if streamer is still connected, to this node or another (a
+      // reconnecting stream has no streamer yet)
+      const streamerConnected = stream.status !== 'live' || await isConnected(stream.streamer);
+      if (activeStreams.get(streamId) !== stream) {
+        // Ended or replaced while we were checking
+        await onJoinStream(socket, payload);
+        return;
+      }
+      if (!streamerConnected) {
+        socket.data.log.warn('Streamer of stream not connected', { streamId, streamerId: stream.streamer });
+        forgetStream(streamId);
+        socket.emit('streamer-disconnected', { streamId });
+        return;
+      }
+
+      // Administrators can cap the viewers of a stream (runtime settings)
+      const { maxViewersPerStream } = runtimeSettings.values;
+      if (maxViewersPerStream > 0 && stream.viewers.size >= maxViewersPerStream && !stream.viewers.has(socket.id)) {
+        socket.data.log.info('Stream is full', { streamId, maxViewers: maxViewersPerStream });
+        socket.emit('stream-full', { streamId, maxViewers: maxViewersPerStream });
+        return;
+      }
+
+      stream.viewers.add(socket.id);
+      stream.idleSince = null;
+      saveStream(streamId, stream);
+      socket.join(streamId);
+
+      socket.data.log.info('Viewer joined', { streamId, viewers: stream.viewers.size });
+      notifyStreamEvent('viewer-joined', streamId, stream, { viewerName: getViewerName(socket.id) });
+
+      // Notify viewer
+      // Viewers who joined with a passphrase get a token too, e.g. to open the stream's recordings
+      socket.emit('stream-joined', { 
+        streamId,
+        streamerId: stream.streamer,
+        status: stream.status,
+        viewerToken: stream.isPrivate ? streamAuth.createViewerToken(streamId, stream.tokenNonce) : null,
+        controlGranted: stream.controlGrants.has(socket.id)
+      });
+      socket.emit('chat-history', {
+        streamId,
+        messages: stream.chat.history(),
+        muted: stream.chat.isMuted(getChatMuteKey(socket.id))
+      });
+
+      // The relay connects viewers itself, even while the streamer is away
+      if (stream.relay) {
+        addRelayViewer(streamId, stream, socket.id);
+      }
+
+      // The returning streamer sends offers to everyone waiting once it reclaims the stream
+      if (stream.status === 'reconnecting') {
+        socket.data.log.info('Viewer waiting for streamer to reconnect', { streamId });
+        return;
+      }
+
+      // Notify streamer that a viewer joined
+      socket.to(stream.streamer).emit('viewer-joined', {
+        viewerId: socket.id,
+        viewerName: getViewerName(socket.id),
+        viewerCount: stream.viewers.size
+      });
+
+      if (stream.relay) return;
+
+      // Request the streamer to create an offer
+      socket.data.log.debug('Requesting offer from streamer', { streamId, streamerId: stream.streamer });
+      socket.to(stream.streamer).emit('create-offer', {
+        viewerId: socket.id,
+        streamId: streamId
+      });
+
+    } else {
+      socket.data.log.info('Stream not found', { streamId });
+      socket.emit('stream-not-found', { 
+        streamId,
+        availableStreams: await getPublicStreamIds()
+      });
+    }
+  }
+
+  // WebRTC signaling - Offer from streamer to viewer
+  function onOffer(socket, data) {
+    if (data.targetViewerId === RELAY_PEER_ID) {
+      handleRelaySignal(socket, 'offer', data);
+      return;
+    }
+    if (!canSignal(socket, data.streamId, data.targetViewerId, 'streamer')) {
+      rejectUnauthorized(socket, 'offer', data.streamId);
+      return;
+    }
+
+    socket.data.log.debug('Relaying offer', { streamId: data.streamId, targetId: data.targetViewerId });
+    socket.to(data.targetViewerId).emit('offer', {
+      offer: data.offer,
+      streamId: data.streamId,
+      from: socket.id
+    });
+  }
+
+  // WebRTC signaling - Answer from viewer to streamer
+  function onAnswer(socket, data) {
+    if (data.targetStreamerId === RELAY_PEER_ID) {
+      handleRelaySignal(socket, 'answer', data);
+      return;
+    }
+    if (!canSignal(socket, data.streamId, data.targetStreamerId, 'viewer')) {
+      rejectUnauthorized(socket, 'answer', data.streamId);
+      return;
+    }
+
+    socket.data.log.debug('Relaying answer', { streamId: data.streamId, targetId: data.targetStreamerId });
+    socket.to(data.targetStreamerId).emit('answer', {
+      answer: data.answer,
+      streamId: data.streamId,
+      from: socket.id
+    });
+  }
+
+  // WebRTC signaling - ICE candidates
+  function onIceCandidate(socket, data) {
+    if (data.target === RELAY_PEER_ID) {
+      handleRelaySignal(socket, 'ice-candidate', data);
+      return;
+    }
+    if (!canSignal(socket, data.streamId, data.target)) {
+      rejectUnauthorized(socket, 'ice-candidate', data.streamId);
+      return;
+    }
+
+    socket.data.log.debug('Relaying ICE candidate', { streamId: data.streamId, targetId: data.target });
+    socket.to(data.target).emit('ice-candidate', {
+      candidate: data.candidate,
+      streamId: data.streamId,
+      from: socket.id
+    });
+  }
+
+  // Push-to-talk: a viewer asks for the single talk slot of a stream
+  function onTalkRequest(socket, streamId) {
+    const stream = activeStreams.get(streamId);
+    if (!stream || !stream.viewers.has(socket.id)) {
+      rejectUnauthorized(socket, 'talk-request', streamId);
+      return;
+    }
+
+    if (!stream.streamer) {
+      socket.emit('talk-denied', { streamId, reason: 'Camera is reconnecting' });
+      return;
+    }
+    if (stream.talker && stream.talker !== socket.id) {
+      socket.emit('talk-denied', { streamId, reason: 'Someone else is talking' });
+      return;
+    }
+
+    if (!stream.talker) {
+      stream.talker = socket.id;
+      stream.talkTimer = setTimeout(() => releaseTalk(streamId, stream), TALK_MAX_MS);
+
+      if (stream.relay) {
+        stream.relay.setTalker(socket.id);
+      }
+
+      socket.data.log.info('Viewer started talking', { streamId });
+      socket.to(stream.streamer).emit('talk-started', {
+        streamId,
+        viewerId: socket.id,
+        viewerName: getViewerName(socket.id)
+      });
+      io.to(streamId).emit('talk-state', { streamId, talkerId: socket.id });
+    }
+    socket.emit('talk-granted', { streamId, maxMs: TALK_MAX_MS });
+  }
+
+  function onTalkRelease(socket, streamId) {
+    const stream = activeStreams.get(streamId);
+    if (stream && stream.talker === socket.id) {
+      releaseTalk(streamId, stream);
+    }
+  }
+
+  // Handle viewer leaving stream
+  function onLeaveStream(socket, streamId) {
+    const stream = activeStreams.get(streamId);
+    if (stream && stream.viewers.has(socket.id)) {
+      removeViewer(streamId, stream, socket.id);
+      socket.data.log.info('Viewer left', { streamId });
+    }
+  }
+
+  // Streamer reports motion in front of the camera
+  function onMotionDetected(socket, data) {
+    const stream = data && activeStreams.get(data.streamId);
+    if (!stream || stream.streamer !== socket.id) {
+      rejectUnauthorized(socket, 'motion-detected', data && data.streamId);
+      return;
+    }
+
+    const timestamp = typeof data.timestamp === 'string' && !Number.isNaN(Date.parse(data.timestamp))
+      ? new Date(data.timestamp).toISOString()
+      : new Date().toISOString();
+
+    const event = motionEvents.add(data.streamId, {
+      timestamp,
+      score: typeof data.score === 'number' ? data.score : null,
+      thumbnail: parseThumbnail(data.thumbnail)
+    }, stream);
+
+    socket.data.log.info('Motion detected', { streamId: data.streamId, score: event.score });
+
+    // Live alert for everyone watching; the event is logged either way
+    socket.to(data.streamId).emit('motion-alert', toPublicEvent(event));
+  }
+
+  // Clients report a getStats() summary of their connection now and then:
+  // { streamId, bitrate, packetLoss, rtt, frameRate }
+  function onStatsReport(socket, data) {
+    const stream = data && activeStreams.get(data.streamId);
+    if (!stream || !isStreamMember(stream, socket.id)) {
+      rejectUnauthorized(socket, 'stats-report', data && data.streamId);
+      return;
+    }
+
+    const report = parseStatsReport(data);
+    if (report) {
+      const direction = stream.streamer === socket.id ? 'outbound' : 'inbound';
+      metrics.recordStats(data.streamId, socket.id, direction, report);
+
+      // With simulcast the relay picks each viewer's layer from its reports
+      if (stream.relay && direction === 'inbound') {
+        stream.relay.updateViewerQuality(socket.id, report);
+      }
+    }
+  }
+
+  // Who a chat message or reaction is from. Signed-in accounts chat under their
+  // display name; guests under the name they sent, or as Guest.
+  function describeChatAuthor(socket, stream, name) {
+    const user = socket.data.user;
+    const role = stream.streamer === socket.id ? 'streamer' : 'viewer';
+    const guestName = cleanChatText(name, MAX_NAME_LENGTH) || (role === 'streamer' ? stream.name || 'Camera' : 'Guest');
+    return {
+      id: socket.id,
+      name: user ? user.displayName : guestName,
+      role,
+      signedIn: Boolean(user)
+    };
+  }
+
+  // Streamer and viewers chat with everyone in the stream: { streamId, text, name }
+  function onChatMessage(socket, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || !isStreamMember(stream, socket.id)) {
+      rejectUnauthorized(socket, 'chat-message', data.streamId);
+      return;
+    }
+    if (stream.chat.isMuted(getChatMuteKey(socket.id))) {
+      rejectRequest(socket, 'chat-message', 'muted', 'The streamer muted you in this chat');
+      return;
+    }
+
+    const text = cleanChatText(data.text);
+    if (!text) {
+      rejectRequest(socket, 'chat-message', 'invalid-payload', 'Message is empty');
+      return;
+    }
+
+    const message = stream.chat.add(data.streamId, describeChatAuthor(socket, stream, data.name), text);
+    socket.data.log.debug('Chat message', { streamId: data.streamId, messageId: message.id });
+    io.to(data.streamId).emit('chat-message', message);
+  }
+
+  // Reactions float over the video for everyone and are not kept
+  function onChatReaction(socket, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || !isStreamMember(stream, socket.id)) {
+      rejectUnauthorized(socket, 'chat-reaction', data.streamId);
+      return;
+    }
+    if (stream.chat.isMuted(getChatMuteKey(socket.id))) {
+      rejectRequest(socket, 'chat-reaction', 'muted', 'The streamer muted you in this chat');
+      return;
+    }
+
+    io.to(data.streamId).emit('chat-reaction', {
+      streamId: data.streamId,
+      reaction: data.reaction,
+      from: describeChatAuthor(socket, stream, data.name).name
+    });
+  }
+
+  // The streamer moderates the chat of its stream: it can delete any message...
+  function onChatDelete(socket, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || stream.streamer !== socket.id) {
+      rejectUnauthorized(socket, 'chat-delete', data.streamId);
+      return;
+    }
+
+    if (!stream.chat.delete(data.messageId)) {
+      rejectRequest(socket, 'chat-delete', 'invalid-payload', 'No such message in this chat');
+      return;
+    }
+
+    // Also for messages no longer in the history, which viewers may still see
+    socket.data.log.info('Chat message deleted', { streamId: data.streamId, messageId: data.messageId });
+    adminEvents.add('chat-message-deleted', { streamId: data.streamId, messageId: data.messageId });
+    io.to(data.streamId).emit('chat-deleted', { streamId: data.streamId, messageId: data.messageId });
+  }
+
+  // ...and mute or unmute a viewer, who can then still watch but not chat or react
+  function onChatMute(socket, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || stream.streamer !== socket.id) {
+      rejectUnauthorized(socket, 'chat-mute', data.streamId);
+      return;
+    }
+    if (!stream.viewers.has(data.viewerId)) {
+      rejectRequest(socket, 'chat-mute', 'invalid-payload', 'Not a viewer of this stream');
+      return;
+    }
+
+    stream.chat.setMuted(getChatMuteKey(data.viewerId), data.muted);
+    socket.data.log.info(data.muted ? 'Viewer muted in chat' : 'Viewer unmuted in chat', {
+      streamId: data.streamId,
+      viewerId: data.viewerId
+    });
+    adminEvents.add(data.muted ? 'chat-viewer-muted' : 'chat-viewer-unmuted', {
+      streamId: data.streamId,
+      viewerId: data.viewerId
+    });
+    const update = { streamId: data.streamId, viewerId: data.viewerId, muted: data.muted };
+    io.to(data.viewerId).emit('chat-muted', update);
+    socket.emit('chat-muted', update);
+  }
+
+  // The streamer lets a viewer control the camera, or takes control back. With
+  // the relay the server checks every command against the grant; without it the
+  // streamer's own page does.
+  function onGrantControl(socket, data) {
+    const stream = activeStreams.get(data.streamId);
+    if (!stream || stream.streamer !== socket.id) {
+      rejectUnauthorized(socket, 'grant-control', data.streamId);
+      return;
+    }
+    if (!stream.viewers.has(data.viewerId)) {
+      rejectRequest(socket, 'grant-control', 'invalid-payload', 'Not a viewer of this stream');
+      return;
+    }
+
+    if (data.granted) {
+      stream.controlGrants.add(data.viewerId);
+    } else {
+      stream.controlGrants.delete(data.viewerId);
+    }
+    socket.data.log.info(data.granted ? 'Camera control granted' : 'Camera control revoked', {
+      streamId: data.streamId,
+      viewerId: data.viewerId
+    });
+    adminEvents.add(data.granted ? 'control-granted' : 'control-revoked', {
+      streamId: data.streamId,
+      viewerId: data.viewerId
+    });
+    const update = { streamId: data.streamId, viewerId: data.viewerId, granted: data.granted };
+    io.to(data.viewerId).emit('control-granted', update);
+    socket.emit('control-granted', update);
+  }
+
+  // Streamer ends their stream without disconnecting
+  function onEndStream(socket, streamId) {
+    const stream = activeStreams.get(streamId);
+    if (stream && stream.streamer === socket.id) {
+      endStream(streamId, 'Streamer ended the stream');
+      socket.leave(streamId);
+    }
+  }
+
+
+  // A client disconnected. Streams it was streaming wait for it or end, and
+  // streams it was watching lose a viewer.
+  function onDisconnect(socket, reason) {
+    for (const [streamId, stream] of activeStreams.entries()) {
+      if (stream.streamer === socket.id) {
+        // Streamer disconnected - end the stream right away if it closed the
+        // connection on purpose, otherwise give it time to come back
+        if (reason === 'client namespace disconnect') {
+          endStream(streamId, 'Streamer disconnected');
+        } else {
+          suspendStream(streamId, stream);
+        }
+
+      } else if (stream.viewers.has(socket.id)) {
+        // Viewer disconnected
+        removeViewer(streamId, stream, socket.id);
+        socket.data.log.info('Viewer left on disconnect', { streamId });
+      }
+    }
+  }
+
+  // The events clients send about a stream, each handled on the node that
+  // holds the stream
+  const streamEventHandlers = {
+    'create-stream': onCreateStream,
+    'join-stream': onJoinStream,
+    'offer': onOffer,
+    'answer': onAnswer,
+    'ice-candidate': onIceCandidate,
+    'talk-request': onTalkRequest,
+    'talk-release': onTalkRelease,
+    'leave-stream': onLeaveStream,
+    'motion-detected': onMotionDetected,
+    'stats-report': onStatsReport,
+    'chat-message': onChatMessage,
+    'chat-reaction': onChatReaction,
+    'chat-delete': onChatDelete,
+    'chat-mute': onChatMute,
+    'grant-control': onGrantControl,
+    'end-stream': onEndStream
+  };
+
+  // An event for a stream another node holds is forwarded to that node. All
+  // others, including those for streams that do not exist yet, are handled here.
+  async function dispatchStreamEvent(socket, event, payload) {
+    const streamId = typeof payload === 'object' && payload !== null ? payload.streamId : payload;
+    if (!activeStreams.has(streamId)) {
+      const record = await streamRegistry.get(streamId);
+      if (record && record.nodeId !== streamRegistry.nodeId) {
+        socket.data.log.debug('Forwarding event', { event, streamId, nodeId: record.nodeId });
+        socket.data.forwarded = true;
+        io.serverSideEmit('stream-event', {
+          nodeId: record.nodeId,
+          socketId: socket.id,
+          user: socket.data.user || null,
+          event,
+          payload
+        });
+        return;
+      }
+    }
+    await streamEventHandlers[event](socket, payload);
+  }
+
+  // Events other nodes forward; each is meant for one node
+  io.on('stream-event', ({ nodeId, socketId, user, event, payload }) => {
+    if (nodeId !== streamRegistry.nodeId || !streamEventHandlers[event]) return;
+
+    if (user) {
+      remoteUsers.set(socketId, user);
+    }
+    Promise.resolve(streamEventHandlers[event](createRemoteSocket(socketId, user), payload)).catch(error => {
+      logger.error('Could not handle forwarded event', { event, socketId, err: error });
+    });
+  });
+
+  // Admin actions another node forwarded for a stream held here
+  io.on('admin-action', ({ nodeId, action, streamId, viewerId, admin }) => {
+    if (nodeId !== streamRegistry.nodeId || !activeStreams.has(streamId)) return;
+
+    const done = action === 'end' ? adminEndStream(streamId, admin) : adminKickViewer(streamId, viewerId, admin);
+    done.catch(error => logger.error('Could not carry out admin action', { action, streamId, err: error }));
+  });
+
+  // A client of another node that sent events here may stream or watch here too
+  io.on('socket-disconnected', ({ socketId, reason }) => {
+    onDisconnect(createRemoteSocket(socketId, remoteUsers.get(socketId) || null), reason);
+    remoteUsers.delete(socketId);
+  });
+
+  // Socket.io connection handling
+  io.on('connection', (socket) => {
+    socket.data.address = socketLimits.getAddress(socket);
+    // Everything logged about this socket carries its id
+    socket.data.log = logger.child({ socketId: socket.id });
+    socket.data.log.info('Client connected', {
+      address: socket.data.address,
+      username: socket.data.user ? socket.data.user.username : null
+    });
+    adminEvents.add('client-connected', {
+      socketId: socket.id,
+      address: socket.data.address,
+      username: socket.data.user ? socket.data.user.username : null
+    });
+
+    // Count every message by event for /metrics
+    socket.use(([event], next) => {
+      metrics.countSignal(event, socket.listenerCount(event) > 0);
+      next();
+    });
+
+    // Drop messages that come too fast or do not match their event's schema
+    // (lib/validation.js), so handlers can rely on the shape of their payload
+    socket.use(([event, payload], next) => {
+      const retryAfterMs = socketLimits.consume(socket, event);
+      if (retryAfterMs > 0) {
+        rejectRequest(socket, event, 'rate-limited', 'Too many messages, slow down', retryAfterMs);
+        return;
+      }
+
+      const error = validateEvent(event, payload);
+      if (error) {
+        rejectRequest(socket, event, 'invalid-payload', error);
+        return;
+      }
+      next();
+    });
+
+    // Send current streams to newly connected client
+    getPublicStreamIds()
+      .then(streamIds => socket.emit('active-streams', streamIds))
+      .catch(error => socket.data.log.error('Could not list streams', { err: error }));
+
+    Object.keys(streamEventHandlers).forEach(event => {
+      socket.on(event, (payload) => {
+        dispatchStreamEvent(socket, event, payload).catch(error => {
+          socket.data.log.error('Could not handle event', { event, err: error });
+        });
+      });
+    });
+
+    // Handle disconnection. Nodes this client sent events to hear about it too.
+    socket.on('disconnect', (reason) => {
+      socket.data.log.info('Client disconnected', { reason });
+      adminEvents.add('client-disconnected', { socketId: socket.id, reason });
+      socketLimits.forget(socket);
+      onDisconnect(socket, reason);
+      if (socket.data.forwarded) {
+        io.serverSideEmit('socket-disconnected', { socketId: socket.id, reason });
+      }
+    });
+
+    // Error handling
+    socket.on('error', (error) => {
+      socket.data.log.error('Socket error', { err: error });
+    });
+  });
+
+  // End the streams that ran too long, went without viewers for too long or
+  // are outside their camera's schedule
+  function enforcePolicies() {
+    const now = new Date();
+    for (const [streamId, stream] of activeStreams.entries()) {
+      const result = checkStreamPolicy(stream.policy, stream, now);
+      if (!result) continue;
+
+      const ending = { policy: result.policy };
+      if (result.resumeAt) {
+        ending.resumeAt = result.resumeAt.toISOString();
+      }
+      endStream(streamId, result.reason, ending);
+    }
+  }
+  let policyTimer = null;
+
+  // Puts runtime settings into effect: new limits apply to the streams already
+  // live too, except where their camera's policy sets its own
+  function applySettings(values) {
+    policyConfig.maxDurationMinutes = values.maxDurationMinutes;
+    policyConfig.idleTimeoutMinutes = values.idleTimeoutMinutes;
+    policyConfig.checkIntervalSeconds = values.policyCheckSeconds;
+    activeStreams.forEach(stream => {
+      const camera = stream.cameraId ? cameraRegistry.get(stream.cameraId) : null;
+      stream.policy = resolvePolicy(policyConfig, camera && camera.policy);
+    });
+
+    clearInterval(policyTimer);
+    policyTimer = setInterval(enforcePolicies, policyConfig.checkIntervalSeconds * 1000);
+  }
+  applySettings(runtimeSettings.values);
+
+  // Tell the other nodes this one is alive, and end the streams of nodes that
+  // are not: their clients are cut off and will connect to a live node
+  function checkNodes() {
+    return streamRegistry.heartbeat()
+      .then(() => streamRegistry.removeStaleNodes())
+      .then(orphaned => orphaned.forEach(record => {
+        logger.warn('Stream ended with its node', { streamId: record.streamId, nodeId: record.nodeId });
+        io.to(record.streamId).emit('stream-ended', { streamId: record.streamId, reason: 'Server went away' });
+        if (!record.isPrivate) {
+          io.emit('stream-ended-broadcast', { streamId: record.streamId });
+        }
+      }))
+      .catch(error => logger.error('Could not check nodes', { err: error }));
+  }
+  const heartbeatTimer = setInterval(checkNodes, HEARTBEAT_INTERVAL_MS);
+
+  // Resolves with the port listened on, so port 0 picks a free one. Streams a
+  // previous run under the same NODE_ID left in the registry are dropped first.
+  async function listen(port = env.PORT || 3000, host = '0.0.0.0') {
+    await streamRegistry.removeNode();
+    await streamRegistry.heartbeat();
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const { port: actualPort } = server.address();
+
+        // Streams held by this node are kept in memory and reset on restart
+        logger.info('Camera streaming server started', {
+          port: actualPort,
+          health: `http://localhost:${actualPort}/health`,
+          metrics: `http://localhost:${actualPort}/metrics${env.METRICS_TOKEN ? ' (token required)' : ''}`,
+          ice: describeIceConfig(iceConfig),
+          relay: relayConfig.mode,
+          notifications: describeNotificationConfig(notificationConfig),
+          push: describePushConfig(pushConfig, pushSubscriptions),
+          policies: describePolicyConfig(policyConfig),
+          admin: describeAdminConfig(adminConfig),
+          chat: describeChatConfig(chatConfig),
+          rateLimits: describeRateLimitConfig(rateLimitConfig),
+          state: describeStateConfig(stateConfig)
+        });
+        resolve(actualPort);
+      });
+    });
+  }
+
+  // Disconnects every client, stops the timers, relays and encoders of the
+  // streams and takes them out of the registry, so a test can shut a server
+  // down completely
+  async function close() {
+    clearInterval(policyTimer);
+    clearInterval(heartbeatTimer);
+    activeStreams.forEach((stream, streamId) => {
+      clearTimeout(stream.graceTimer);
+      clearTimeout(stream.talkTimer);
+      if (stream.relay) {
+        stream.relay.close();
+      }
+      liveOutputs.stop(streamId);
+    });
+    activeStreams.clear();
+    notifier.close();
+
+    await new Promise(resolve => io.close(() => resolve()));
+    await streamRegistry.removeNode().catch(error => {
+      logger.error('Could not remove node from the registry', { err: error });
+    });
+    await stateStore.close();
+  }
+
+  return { app, server, io, activeStreams, streamRegistry, listen, close };
+}
+
+module.exports = {
+  createCameraServer
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// The secret tokens are signed with and how long they last, until
+// configureStreamAuth sets them from the server's env
+const settings = {
+  secret: crypto.randomBytes(32).toString('hex'),
+  ttlMs: DEFAULT_TOKEN_TTL_MS
+};
+
+/**
+ * Token settings, shared by every server in the process.
+ *
+ *   STREAM_TOKEN_SECRET  Secret that viewer, upload, resume and session tokens
+ *                        are signed with. Without it the process keeps a random
+ *                        one, so tokens stop working after a restart (as do the
+ *                        streams themselves).
+ *   VIEWER_TOKEN_TTL_MS  How long tokens stay valid (default 24 hours)
+ */
+function configureStreamAuth(env = process.env) {
+  if (env.STREAM_TOKEN_SECRET) {
+    settings.secret = env.STREAM_TOKEN_SECRET;
+  }
+  settings.ttlMs = parseInt(env.VIEWER_TOKEN_TTL_MS, 10) || DEFAULT_TOKEN_TTL_MS;
+}
+
+function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(passphrase), salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassphrase(passphrase, stored) {
+  if (!stored || typeof passphrase !== 'string') return false;
+
+  const [saltHex, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(passphrase, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', settings.secret).update(payload).digest('base64url');
+}
+
+// Tokens are bound to a purpose, the stream id and a nonce, so a viewer token
+// cannot be used where an upload token is needed. One-off streams get a new
+// nonce per session, so their tokens cannot be replayed against a new stream
+// with the same id. Registered cameras keep theirs across sessions, so their
+// links keep working, until the owner rotates it (lib/cameras.js).
+function createStreamToken(purpose, streamId, nonce, ttlMs = settings.ttlMs) {
+  const expires = Date.now() + ttlMs;
+  return `${expires}.${sign(`${purpose}:${streamId}:${nonce}:${expires}`)}`;
+}
+
+function verifyStreamToken(purpose, token, streamId, nonce) {
+  if (typeof token !== 'string') return false;
+
+  const [expiresStr, signature] = token.split('.');
+  const expires = parseInt(expiresStr, 10);
+  if (!expires || !signature || expires < Date.now()) return false;
+
+  const expected = Buffer.from(sign(`${purpose}:${streamId}:${nonce}:${expires}`));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function createViewerToken(streamId, nonce, ttlMs) {
+  return createStreamToken('view', streamId, nonce, ttlMs);
+}
+
+function verifyViewerToken(token, streamId, nonce) {
+  return verifyStreamToken('view', token, streamId, nonce);
+}
+
+function createNonce() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+module.exports = {
+  configureStreamAuth,
+  hashPassphrase,
+  verifyPassphrase,
+  createStreamToken,
+  verifyStreamToken,
+  createViewerToken,
+  verifyViewerToken,
+  createNonce
+};
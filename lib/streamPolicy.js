@@ -0,0 +1,220 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const MAX_SCHEDULE_WINDOWS = 14;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * When streams end on their own. Registered cameras can override each of these
+ * with their `policy` (see validatePolicyInput); one-off streams get the defaults.
+ *
+ *   STREAM_MAX_DURATION_MINUTES   Streams end after this long (default 120, 0 for no limit)
+ *   STREAM_IDLE_TIMEOUT_MINUTES   Streams end after this long without a viewer
+ *                                 (default 0, never)
+ *   SCHEDULE_TIMEZONE             IANA time zone of camera schedules that do not name
+ *                                 one (default the server's)
+ *   POLICY_CHECK_SECONDS          How often streams are checked against their policy
+ *                                 (default 60)
+ *
+ * The limits and the check interval can also be changed at runtime from the
+ * admin area (lib/admin.js).
+ */
+function loadPolicyConfig(env = process.env) {
+  const maxDurationMinutes = parseMinutes(env.STREAM_MAX_DURATION_MINUTES, 'STREAM_MAX_DURATION_MINUTES', 120);
+  const idleTimeoutMinutes = parseMinutes(env.STREAM_IDLE_TIMEOUT_MINUTES, 'STREAM_IDLE_TIMEOUT_MINUTES', 0);
+  const checkIntervalSeconds = parseInt(env.POLICY_CHECK_SECONDS, 10) || 60;
+
+  const timezone = env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!isTimeZone(timezone)) {
+    throw new Error(`SCHEDULE_TIMEZONE is not a known time zone: ${timezone}`);
+  }
+
+  return { maxDurationMinutes, idleTimeoutMinutes, timezone, checkIntervalSeconds };
+}
+
+function parseMinutes(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new Error(`${name} must be a whole number of minutes`);
+  }
+  return minutes;
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The policy a stream runs under: the camera's own settings where it has them,
+ * the defaults otherwise. A limit of 0 turns it off; a schedule of null means
+ * any time.
+ */
+function resolvePolicy(config, cameraPolicy) {
+  const policy = cameraPolicy || {};
+  const pick = field => policy[field] !== undefined && policy[field] !== null ? policy[field] : config[field];
+  return {
+    maxDurationMs: pick('maxDurationMinutes') * MINUTE_MS,
+    idleTimeoutMs: pick('idleTimeoutMinutes') * MINUTE_MS,
+    schedule: policy.schedule || null,
+    timezone: policy.timezone || config.timezone
+  };
+}
+
+// Weekday (0 is Sunday) and minute of the day at `date` in `timezone`
+function localTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minute: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+// A window whose end is not after its start runs past midnight; its days are
+// the days it starts on
+function isInWindow(window, weekday, minute) {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+
+  if (start < end) {
+    return days.includes(weekday) && minute >= start && minute < end;
+  }
+  return (days.includes(weekday) && minute >= start) ||
+    (days.includes((weekday + 6) % 7) && minute < end);
+}
+
+function isWithinSchedule(policy, date = new Date()) {
+  if (!policy.schedule) return true;
+  const { weekday, minute } = localTime(date, policy.timezone);
+  return policy.schedule.some(window => isInWindow(window, weekday, minute));
+}
+
+// When the next window of the schedule opens, to the minute. Daylight saving
+// changes in between are not accounted for.
+function nextWindowStart(policy, date = new Date()) {
+  if (!policy.schedule || policy.schedule.length === 0) return null;
+
+  const { weekday, minute } = localTime(date, policy.timezone);
+  let soonest = null;
+  for (let day = 0; day <= 7; day++) {
+    policy.schedule.forEach(window => {
+      const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+      const offset = day * DAY_MINUTES + toMinutes(window.start) - minute;
+      if (offset > 0 && days.includes((weekday + day) % 7) && (soonest === null || offset < soonest)) {
+        soonest = offset;
+      }
+    });
+  }
+  if (soonest === null) return null;
+
+  const startOfMinute = date.getTime() - date.getTime() % MINUTE_MS;
+  return new Date(startOfMinute + soonest * MINUTE_MS);
+}
+
+/**
+ * Whether a stream has to end now: null, or { policy, reason, resumeAt } where
+ * `policy` is `max-duration`, `idle` or `schedule` and `resumeAt` is when the
+ * schedule lets the camera stream again. `stream.idleSince` is when its last
+ * viewer left, or null while it has viewers.
+ */
+function checkStreamPolicy(policy, stream, now = new Date()) {
+  if (!isWithinSchedule(policy, now)) {
+    return { policy: 'schedule', reason: 'Outside the camera\'s streaming schedule', resumeAt: nextWindowStart(policy, now) };
+  }
+  if (policy.maxDurationMs > 0 && now - stream.createdAt > policy.maxDurationMs) {
+    return { policy: 'max-duration', reason: 'Stream reached its maximum duration' };
+  }
+  if (policy.idleTimeoutMs > 0 && stream.idleSince && now - stream.idleSince > policy.idleTimeoutMs) {
+    return { policy: 'idle', reason: 'No one watched the stream for a while' };
+  }
+  return null;
+}
+
+// A camera's `policy` as sent to the cameras API: { maxDurationMinutes,
+// idleTimeoutMinutes, schedule: [{ days, start, end }], timezone }. Every field
+// may be null to use the default, and `policy: null` clears them all.
+function validatePolicyInput(policy) {
+  if (policy === null) return { input: null };
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { error: 'policy must be an object' };
+  }
+
+  const input = {};
+  for (const field of ['maxDurationMinutes', 'idleTimeoutMinutes']) {
+    const value = policy[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0 || value > 7 * DAY_MINUTES) {
+      return { error: `policy.${field} must be a whole number of minutes, at most a week` };
+    }
+    input[field] = value;
+  }
+
+  if (policy.schedule !== undefined && policy.schedule !== null) {
+    if (!Array.isArray(policy.schedule) || policy.schedule.length === 0 || policy.schedule.length > MAX_SCHEDULE_WINDOWS) {
+      return { error: `policy.schedule must be a list of 1-${MAX_SCHEDULE_WINDOWS} windows` };
+    }
+    input.schedule = [];
+    for (const window of policy.schedule) {
+      if (typeof window !== 'object' || window === null ||
+          typeof window.start !== 'string' || !TIME_PATTERN.test(window.start) ||
+          typeof window.end !== 'string' || !TIME_PATTERN.test(window.end) ||
+          window.start === window.end) {
+        return { error: 'policy.schedule windows need a different start and end time, as HH:MM' };
+      }
+      if (window.days !== undefined && (!Array.isArray(window.days) || window.days.length === 0 ||
+          !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return { error: 'policy.schedule days must be a list of weekdays, 0 (Sunday) to 6' };
+      }
+      input.schedule.push({
+        days: window.days ? Array.from(new Set(window.days)).sort() : undefined,
+        start: window.start,
+        end: window.end
+      });
+    }
+  }
+
+  if (policy.timezone !== undefined && policy.timezone !== null) {
+    if (typeof policy.timezone !== 'string' || policy.timezone.length > 64 || !isTimeZone(policy.timezone)) {
+      return { error: 'policy.timezone must be an IANA time zone' };
+    }
+    input.timezone = policy.timezone;
+  }
+
+  return { input: Object.keys(input).length > 0 ? input : null };
+}
+
+function describePolicyConfig(config) {
+  const duration = config.maxDurationMinutes > 0 ? `max ${config.maxDurationMinutes} min` : 'no max duration';
+  const idle = config.idleTimeoutMinutes > 0 ? `idle after ${config.idleTimeoutMinutes} min` : 'no idle timeout';
+  return `${duration}, ${idle}, schedules in ${config.timezone}`;
+}
+
+module.exports = {
+  loadPolicyConfig,
+  resolvePolicy,
+  isWithinSchedule,
+  nextWindowStart,
+  checkStreamPolicy,
+  validatePolicyInput,
+  describePolicyConfig
+};
@@ -0,0 +1,150 @@
+const { CHAT_REACTIONS, MAX_MESSAGE_LENGTH, MAX_NAME_LENGTH } = require('./chat');
+
+// Stream ids are typed in by viewers and end up in file names, MQTT topics
+// and metric labels, so they are kept to a safe set of characters
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Socket.io socket ids, or RELAY_PEER_ID
+const PEER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MAX_SECRET_LENGTH = 512; // passphrases, camera keys and tokens
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_THUMBNAIL_LENGTH = 300 * 1024; // a base64 data URL of the 200 KiB motion thumbnail
+
+// Each check returns an error message for a bad value, or null
+
+function streamId(value, field) {
+  return typeof value === 'string' && STREAM_ID_PATTERN.test(value)
+    ? null
+    : `${field} must be 1-64 letters, digits, dashes or underscores`;
+}
+
+function peerId(value, field) {
+  return typeof value === 'string' && PEER_ID_PATTERN.test(value) ? null : `${field} must be a peer id`;
+}
+
+function string(maxLength) {
+  return (value, field) => typeof value === 'string' && value.length <= maxLength
+    ? null
+    : `${field} must be a string of at most ${maxLength} characters`;
+}
+
+function boolean(value, field) {
+  return typeof value === 'boolean' ? null : `${field} must be true or false`;
+}
+
+function number(value, field) {
+  return typeof value === 'number' && Number.isFinite(value) ? null : `${field} must be a number`;
+}
+
+function integer(value, field) {
+  return Number.isInteger(value) && value > 0 ? null : `${field} must be a positive whole number`;
+}
+
+function optional(check) {
+  return (value, field) => value === undefined ? null : check(value, field);
+}
+
+function nullable(check) {
+  return (value, field) => value === undefined || value === null ? null : check(value, field);
+}
+
+function oneOf(values) {
+  return (value, field) => values.includes(value) ? null : `${field} must be one of ${values.join(', ')}`;
+}
+
+// Fields not in `shape` are allowed and ignored by the handlers
+function object(shape) {
+  return (value, field) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return `${field} must be an object`;
+    }
+    for (const [key, check] of Object.entries(shape)) {
+      const error = check(value[key], field === 'payload' ? key : `${field}.${key}`);
+      if (error) return error;
+    }
+    return null;
+  };
+}
+
+// Events that carry nothing but the stream id
+function plainStreamId(value) {
+  return streamId(value, 'streamId');
+}
+
+// A plain stream id, or an object with one
+function streamIdOr(shape) {
+  const checkObject = object({ streamId, ...shape });
+  return (value, field) => typeof value === 'string' ? plainStreamId(value) : checkObject(value, field);
+}
+
+const sessionDescription = type => object({
+  type: oneOf([type]),
+  sdp: string(MAX_SDP_LENGTH)
+});
+
+const iceCandidate = object({
+  candidate: string(MAX_CANDIDATE_LENGTH),
+  sdpMid: nullable(string(64)),
+  sdpMLineIndex: nullable(number),
+  usernameFragment: nullable(string(256))
+});
+
+// Payload schemas of the events clients send, see the handlers in server.js
+const EVENT_SCHEMAS = {
+  'create-stream': streamIdOr({
+    passphrase: optional(string(MAX_SECRET_LENGTH)),
+    private: optional(boolean),
+    cameraKey: optional(string(MAX_SECRET_LENGTH)),
+    resumeToken: optional(string(MAX_SECRET_LENGTH)),
+    relay: optional(boolean)
+  }),
+  'join-stream': streamIdOr({
+    passphrase: optional(string(MAX_SECRET_LENGTH)),
+    token: nullable(string(MAX_SECRET_LENGTH))
+  }),
+  'offer': object({ streamId, targetViewerId: peerId, offer: sessionDescription('offer') }),
+  'answer': object({ streamId, targetStreamerId: peerId, answer: sessionDescription('answer') }),
+  // A null candidate marks the end of candidates
+  'ice-candidate': object({ streamId, target: peerId, candidate: nullable(iceCandidate) }),
+  'talk-request': plainStreamId,
+  'talk-release': plainStreamId,
+  'leave-stream': plainStreamId,
+  'end-stream': plainStreamId,
+  'motion-detected': object({
+    streamId,
+    timestamp: optional(string(64)),
+    score: optional(number),
+    thumbnail: nullable(string(MAX_THUMBNAIL_LENGTH))
+  }),
+  // The numbers themselves are checked by parseStatsReport
+  'stats-report': object({ streamId }),
+  // Guests pick their own chat name; signed-in accounts chat under theirs
+  'chat-message': object({
+    streamId,
+    text: string(MAX_MESSAGE_LENGTH),
+    name: nullable(string(MAX_NAME_LENGTH))
+  }),
+  'chat-reaction': object({
+    streamId,
+    reaction: oneOf(CHAT_REACTIONS),
+    name: nullable(string(MAX_NAME_LENGTH))
+  }),
+  'chat-delete': object({ streamId, messageId: integer }),
+  'chat-mute': object({ streamId, viewerId: peerId, muted: boolean }),
+  'grant-control': object({ streamId, viewerId: peerId, granted: boolean })
+};
+
+/**
+ * Checks the payload of a client event against EVENT_SCHEMAS. Returns an error
+ * message, or null when the payload is fine or the event has no schema.
+ */
+function validateEvent(event, payload) {
+  const check = EVENT_SCHEMAS[event];
+  return check ? check(payload, 'payload') : null;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  validateEvent
+};
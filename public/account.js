@@ -0,0 +1,99 @@
+// Sign in, create an account and sign out, shared by the stream page and the
+// dashboard. The session is an HttpOnly cookie, so the page only learns who is
+// signed in from /api/auth/me. Socket.io reads the cookie during its
+// handshake, so `onChange(user)` is where a page reconnects its socket.
+class AccountPanel {
+    constructor(options) {
+        this.onChange = options.onChange || (() => {});
+        this.canChange = options.canChange || (() => true);
+        this.user = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.ready = this.load();
+    }
+
+    initializeElements() {
+        this.signedOut = document.getElementById('accountSignedOut');
+        this.signedIn = document.getElementById('accountSignedIn');
+        this.accountName = document.getElementById('accountName');
+        this.usernameInput = document.getElementById('accountUsernameInput');
+        this.passwordInput = document.getElementById('accountPasswordInput');
+        this.signInBtn = document.getElementById('signInBtn');
+        this.registerBtn = document.getElementById('registerBtn');
+        this.signOutBtn = document.getElementById('signOutBtn');
+    }
+
+    setupEventListeners() {
+        this.signInBtn.addEventListener('click', () => this.submit('login'));
+        this.registerBtn.addEventListener('click', () => this.submit('register'));
+        this.signOutBtn.addEventListener('click', () => this.signOut());
+        this.passwordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.submit('login');
+        });
+    }
+
+    async load() {
+        try {
+            const data = await (await fetch('/api/auth/me')).json();
+            this.setUser(data.user);
+        } catch (error) {
+            logger.error('Error loading account:', error);
+        }
+    }
+
+    async submit(action) {
+        const username = this.usernameInput.value.trim();
+        const password = this.passwordInput.value;
+        if (!username || !password) {
+            alert('Please enter a username and password');
+            return;
+        }
+        if (!this.canChange()) {
+            alert('End the stream before signing in');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/auth/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}`);
+            }
+
+            logger.debug('Signed in as', data.user.username);
+            this.passwordInput.value = '';
+            this.setUser(data.user);
+            this.onChange(this.user);
+        } catch (error) {
+            logger.error(`Error on ${action}:`, error);
+            alert((action === 'register' ? 'Could not create account: ' : 'Could not sign in: ') + error.message);
+        }
+    }
+
+    async signOut() {
+        if (!this.canChange()) {
+            alert('End the stream before signing out');
+            return;
+        }
+
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            this.setUser(null);
+            this.onChange(null);
+        } catch (error) {
+            logger.error('Error signing out:', error);
+        }
+    }
+
+    setUser(user) {
+        this.user = user || null;
+        this.signedOut.classList.toggle('hidden', Boolean(this.user));
+        this.signedIn.classList.toggle('hidden', !this.user);
+        this.accountName.textContent = this.user ? `${this.user.displayName} (${this.user.username})` : '';
+    }
+}
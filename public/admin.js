@@ -0,0 +1,254 @@
+// The admin area: live streams with their viewers, recent events and the
+// settings that can change at runtime, all from /api/admin. Only accounts
+// listed in ADMIN_USERNAMES get any data; the page refreshes every few seconds.
+const ADMIN_REFRESH_MS = 5000;
+
+const SETTING_LABELS = {
+    maxViewersPerStream: 'Max viewers per stream (0 for no limit)',
+    maxDurationMinutes: 'Max stream duration in minutes (0 for no limit)',
+    idleTimeoutMinutes: 'End streams nobody watches after, in minutes (0 for never)',
+    policyCheckSeconds: 'Check streams against these limits every, in seconds'
+};
+
+class AdminPanel {
+    constructor() {
+        this.settingInputs = new Map();
+        this.settingsLoaded = false;
+
+        this.initializeElements();
+        this.setupEventListeners();
+
+        this.accountPanel = new AccountPanel({
+            onChange: () => this.refresh()
+        });
+        this.accountPanel.ready.then(() => this.refresh());
+        setInterval(() => this.refresh(), ADMIN_REFRESH_MS);
+    }
+
+    initializeElements() {
+        this.status = document.getElementById('adminStatus');
+        this.content = document.getElementById('adminContent');
+        this.streamsList = document.getElementById('adminStreams');
+        this.streamsEmpty = document.getElementById('adminStreamsEmpty');
+        this.settingsForm = document.getElementById('adminSettings');
+        this.saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        this.eventsList = document.getElementById('adminEvents');
+    }
+
+    setupEventListeners() {
+        this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+    }
+
+    // Resolves with the JSON body, or null for 204. Failures throw with the
+    // server's message, and `status` when the account is not an admin.
+    async request(path, options = {}) {
+        const response = await fetch(`/api/admin${path}`, {
+            method: options.method || 'GET',
+            headers: options.body ? { 'Content-Type': 'application/json' } : {},
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        if (response.status === 204) {
+            return null;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || `Server returned ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async refresh() {
+        try {
+            const [streams, events] = await Promise.all([
+                this.request('/streams'),
+                this.request('/events?limit=100')
+            ]);
+            this.renderStreams(streams);
+            this.renderEvents(events);
+
+            // Loaded once, so a refresh does not overwrite what is being typed
+            if (!this.settingsLoaded) {
+                this.renderSettings(await this.request('/settings'));
+            }
+
+            this.content.classList.remove('hidden');
+            this.updateStatus(`Updated at ${new Date().toLocaleTimeString()}`, 'connected');
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                this.content.classList.add('hidden');
+                this.settingsLoaded = false;
+            }
+            logger.error('Error loading admin data:', error);
+            this.updateStatus(error.message, 'disconnected');
+        }
+    }
+
+    // A streamer or viewer: display name, account, address and socket id
+    describePerson(person) {
+        const account = person.username ? ` (@${person.username})` : '';
+        return `${person.name || 'Guest'}${account} · ${person.address || 'other node'} · ${person.socketId}`;
+    }
+
+    renderStreams(streams) {
+        this.streamsList.textContent = '';
+        this.streamsEmpty.classList.toggle('hidden', streams.length > 0);
+
+        streams.forEach(stream => {
+            const item = document.createElement('div');
+            item.className = 'admin-stream';
+
+            const header = document.createElement('div');
+            header.className = 'admin-stream-header';
+
+            const title = document.createElement('strong');
+            title.textContent = stream.name ? `${stream.name} (${stream.id})` : stream.id;
+
+            const meta = document.createElement('span');
+            meta.className = 'admin-meta';
+            meta.textContent = [
+                stream.status,
+                stream.private ? 'private' : 'public',
+                stream.relay ? 'relayed' : null,
+                `${stream.viewerCount} viewer${stream.viewerCount === 1 ? '' : 's'}`,
+                `since ${new Date(stream.createdAt).toLocaleTimeString()}`,
+                `node ${stream.nodeId}`
+            ].filter(Boolean).join(' · ');
+
+            const endBtn = document.createElement('button');
+            endBtn.className = 'btn btn-danger btn-small';
+            endBtn.textContent = 'End stream';
+            endBtn.addEventListener('click', () => this.endStream(stream));
+
+            header.append(title, meta, endBtn);
+            item.appendChild(header);
+
+            // Streams other nodes hold are only listed, with their viewer count
+            if (stream.viewers) {
+                const streamer = document.createElement('p');
+                streamer.className = 'admin-meta';
+                streamer.textContent = stream.streamer
+                    ? `Streamer: ${this.describePerson(stream.streamer)}`
+                    : 'Streamer: reconnecting';
+                item.appendChild(streamer);
+
+                const viewers = document.createElement('ul');
+                viewers.className = 'admin-viewers';
+                stream.viewers.forEach(viewer => {
+                    const entry = document.createElement('li');
+                    const label = document.createElement('span');
+                    label.textContent = `${viewer.talking ? '🎙️ ' : ''}${this.describePerson(viewer)}`;
+
+                    const kickBtn = document.createElement('button');
+                    kickBtn.className = 'btn btn-secondary btn-small';
+                    kickBtn.textContent = 'Remove';
+                    kickBtn.addEventListener('click', () => this.kickViewer(stream, viewer));
+
+                    entry.append(label, kickBtn);
+                    viewers.appendChild(entry);
+                });
+                item.appendChild(viewers);
+            }
+
+            this.streamsList.appendChild(item);
+        });
+    }
+
+    renderEvents(events) {
+        this.eventsList.textContent = '';
+        events.forEach(event => {
+            const entry = document.createElement('li');
+
+            const time = document.createElement('span');
+            time.className = 'admin-meta';
+            time.textContent = new Date(event.time).toLocaleTimeString();
+
+            const type = document.createElement('strong');
+            type.textContent = event.type;
+
+            const details = document.createElement('span');
+            details.textContent = Object.entries(event)
+                .filter(([key, value]) => key !== 'time' && key !== 'type' && value !== null)
+                .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                .join(' ');
+
+            entry.append(time, type, details);
+            this.eventsList.appendChild(entry);
+        });
+    }
+
+    renderSettings({ settings, limits }) {
+        this.settingsForm.textContent = '';
+        this.settingInputs.clear();
+
+        Object.entries(settings).forEach(([field, value]) => {
+            const label = document.createElement('label');
+            label.className = 'select-label';
+            label.textContent = SETTING_LABELS[field] || field;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = limits[field].min;
+            input.max = limits[field].max;
+            input.value = value;
+
+            label.appendChild(input);
+            this.settingsForm.appendChild(label);
+            this.settingInputs.set(field, input);
+        });
+        this.settingsLoaded = true;
+    }
+
+    async saveSettings() {
+        const changes = {};
+        this.settingInputs.forEach((input, field) => {
+            changes[field] = parseInt(input.value, 10);
+        });
+
+        try {
+            this.renderSettings(await this.request('/settings', { method: 'PATCH', body: changes }));
+            this.updateStatus('Settings saved', 'connected');
+        } catch (error) {
+            logger.error('Error saving settings:', error);
+            alert('Could not save settings: ' + error.message);
+        }
+    }
+
+    async endStream(stream) {
+        if (!confirm(`End ${stream.name || stream.id} for the streamer and every viewer?`)) return;
+
+        try {
+            await this.request(`/streams/${encodeURIComponent(stream.id)}`, { method: 'DELETE' });
+            logger.debug('Ended stream:', stream.id);
+        } catch (error) {
+            logger.error('Error ending stream:', error);
+            alert('Could not end the stream: ' + error.message);
+        }
+        this.refresh();
+    }
+
+    async kickViewer(stream, viewer) {
+        try {
+            await this.request(`/streams/${encodeURIComponent(stream.id)}/viewers/${encodeURIComponent(viewer.socketId)}`, {
+                method: 'DELETE'
+            });
+            logger.debug('Removed viewer', viewer.socketId, 'from', stream.id);
+        } catch (error) {
+            logger.error('Error removing viewer:', error);
+            alert('Could not remove the viewer: ' + error.message);
+        }
+        this.refresh();
+    }
+
+    updateStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `status-${status}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    logger.debug('Initializing admin page...');
+    window.adminPanel = new AdminPanel();
+});
@@ -1,21 +1,85 @@
+// Peer id of the server relay in offer/answer/ice-candidate messages
+const RELAY_PEER_ID = 'relay';
+
 class CameraStreamApp {
     constructor() {
         this.socket = null;
         this.localStream = null;
         this.peerConnection = null;
+        this.peerConnections = new Map();
+        this.iceConfiguration = null;
         this.currentStreamId = null;
         this.isStreamer = false;
         this.streamerId = null;
-        this.viewerId = null;
+        this.viewerToken = null;
+        this.resumeToken = null;
+        this.isWatching = false;
+        this.isRelayed = false;
+        this.mediaRecorder = null;
+        this.recording = null;
+        this.camera = this.loadCamera();
+        this.accountPanel = null;
+        this.pushFollows = new PushFollows();
+        this.viewerNames = new Map();
+        this.controlGrants = new Set(); // viewers this streamer lets control the camera
+        this.controlGranted = false; // whether this viewer may control the camera
+        this.statsReporter = null;
+        this.qualityController = null;
+        this.motionDetector = null;
+        this.motionSettings = this.loadMotionSettings();
+        this.isEditingMasks = false;
+        this.cameraController = null;
+        this.uploadToken = null;
+        this.controlChannel = null;
+        this.remoteCameraStateData = null;
+        this.controlRequests = new Map();
+        this.nextControlRequestId = 1;
+        this.snapshotChunks = [];
+        this.viewerAudioStreams = new Map();
+        this.talkbackTransceiver = null;
+        this.framePublishTimer = null;
+        this.snapshotTimer = null;
+        this.frameCanvas = null;
+        this.microphoneStream = null;
+        this.isTalkPressed = false;
         this.hasUserInteracted = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
+        this.scheduledStartTimer = null;
+        this.streamerChat = null;
+        this.viewerChat = null;
         
         this.initializeElements();
         this.setupEventListeners();
         this.setupSocket();
+        this.setupChat();
         this.checkUrlForStreamId();
         
+        // The socket only picks up a new session when it reconnects, so the
+        // account cannot change under a running stream
+        this.accountPanel = new AccountPanel({
+            canChange: () => !(this.isStreamer && this.localStream),
+            onChange: () => this.handleAccountChange()
+        });
+        this.accountPanel.ready.then(() => {
+            this.loadCameraShares();
+            this.updateChatAccount();
+        });
+        
+        // Connection quality for the server's /metrics, from whichever side
+        // of a stream this page is on
+        this.statsReporter = new ConnectionStatsReporter({
+            getPeerConnections: () => this.isStreamer
+                ? Array.from(this.peerConnections.values())
+                : [this.peerConnection],
+            onReport: (summary) => {
+                if (this.currentStreamId && (this.isStreamer || this.isWatching)) {
+                    this.socket.emit('stats-report', { streamId: this.currentStreamId, ...summary });
+                }
+            }
+        });
+        this.statsReporter.start();
+        
         document.addEventListener('click', () => {
             this.hasUserInteracted = true;
         }, { once: true });
@@ -28,10 +92,53 @@ class CameraStreamApp {
         this.stopStreamBtn = document.getElementById('stopStreamBtn');
         this.localVideo = document.getElementById('localVideo');
         this.streamLink = document.getElementById('streamLink');
+        this.hlsLink = document.getElementById('hlsLink');
+        this.mjpegLink = document.getElementById('mjpegLink');
         this.copyLinkBtn = document.getElementById('copyLinkBtn');
         this.viewerCount = document.getElementById('viewerCount');
+        this.viewerList = document.getElementById('viewerList');
         this.streamIdInput = document.getElementById('streamIdInput');
         this.joinStreamBtn = document.getElementById('joinStreamBtn');
+        this.followStreamBtn = document.getElementById('followStreamBtn');
+        this.streamPassphraseInput = document.getElementById('streamPassphraseInput');
+        this.cameraNameInput = document.getElementById('cameraNameInput');
+        this.cameraInfo = document.getElementById('cameraInfo');
+        this.renameCameraBtn = document.getElementById('renameCameraBtn');
+        this.rotateTokensBtn = document.getElementById('rotateTokensBtn');
+        this.deleteCameraBtn = document.getElementById('deleteCameraBtn');
+        this.cameraSharing = document.getElementById('cameraSharing');
+        this.shareUsernameInput = document.getElementById('shareUsernameInput');
+        this.shareCameraBtn = document.getElementById('shareCameraBtn');
+        this.cameraShares = document.getElementById('cameraShares');
+        this.viewerPassphraseInput = document.getElementById('viewerPassphraseInput');
+        this.recordStreamCheckbox = document.getElementById('recordStreamCheckbox');
+        this.relayStreamCheckbox = document.getElementById('relayStreamCheckbox');
+        this.simulcastCheckbox = document.getElementById('simulcastCheckbox');
+        this.qualityPresetSelect = document.getElementById('qualityPresetSelect');
+        this.remoteControls = document.getElementById('remoteControls');
+        this.switchCameraBtn = document.getElementById('switchCameraBtn');
+        this.resolutionSelect = document.getElementById('resolutionSelect');
+        this.frameRateSelect = document.getElementById('frameRateSelect');
+        this.torchBtn = document.getElementById('torchBtn');
+        this.muteMicBtn = document.getElementById('muteMicBtn');
+        this.snapshotBtn = document.getElementById('snapshotBtn');
+        this.remoteCameraState = document.getElementById('remoteCameraState');
+        this.snapshotResult = document.getElementById('snapshotResult');
+        this.snapshotImage = document.getElementById('snapshotImage');
+        this.snapshotDownload = document.getElementById('snapshotDownload');
+        this.pushToTalkBtn = document.getElementById('pushToTalkBtn');
+        this.talkbackAudio = document.getElementById('talkbackAudio');
+        this.talkbackIndicator = document.getElementById('talkbackIndicator');
+        this.recordingsList = document.getElementById('recordingsList');
+        this.recordingsEmpty = document.getElementById('recordingsEmpty');
+        this.recordingPlayer = document.getElementById('recordingPlayer');
+        this.refreshRecordingsBtn = document.getElementById('refreshRecordingsBtn');
+        this.motionDetectionCheckbox = document.getElementById('motionDetectionCheckbox');
+        this.motionSensitivityInput = document.getElementById('motionSensitivityInput');
+        this.editMasksBtn = document.getElementById('editMasksBtn');
+        this.clearMasksBtn = document.getElementById('clearMasksBtn');
+        this.motionMaskCanvas = document.getElementById('motionMaskCanvas');
+        this.motionAlerts = document.getElementById('motionAlerts');
         this.remoteVideo = document.getElementById('remoteVideo');
         this.noStreamMessage = document.getElementById('noStreamMessage');
         this.connectionStatus = document.getElementById('connectionStatus');
@@ -50,6 +157,33 @@ class CameraStreamApp {
         this.streamIdInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.joinStream();
         });
+        this.viewerPassphraseInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinStream();
+        });
+        this.streamIdInput.addEventListener('input', () => this.updateFollowButton());
+        this.followStreamBtn.addEventListener('click', () => this.toggleFollow());
+        this.refreshRecordingsBtn.addEventListener('click', () => this.loadRecordings());
+        this.renameCameraBtn.addEventListener('click', () => this.renameCamera());
+        this.rotateTokensBtn.addEventListener('click', () => this.rotateCameraTokens());
+        this.deleteCameraBtn.addEventListener('click', () => this.deleteCamera());
+        this.shareCameraBtn.addEventListener('click', () => this.shareCamera());
+        this.shareUsernameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.shareCamera();
+        });
+        this.renderCameraInfo();
+        this.setupMotionSettings();
+        this.setupRemoteControls();
+        this.setupQualityControl();
+        
+        // Push-to-talk works with mouse, touch and pen alike
+        this.pushToTalkBtn.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.startTalking();
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            this.pushToTalkBtn.addEventListener(type, () => this.stopTalking());
+        });
+        this.pushToTalkBtn.addEventListener('contextmenu', (e) => e.preventDefault());
         this.switchToStreamerBtn.addEventListener('click', () => this.showStreamerView());
         this.switchToViewerBtn.addEventListener('click', () => this.showViewerView());
         
@@ -63,65 +197,142 @@ class CameraStreamApp {
     }
 
     setupSocket() {
-        console.log('🔌 Connecting to server...');
+        logger.debug('Connecting to server...');
         
         // Get the current host for Socket.io connection
         const socketUrl = window.location.origin;
-        console.log('📍 Connecting to:', socketUrl);
+        logger.debug('Connecting to:', socketUrl);
         
         this.socket = io(socketUrl, {
             transports: ['websocket', 'polling'],
             timeout: 10000,
-            reconnectionAttempts: 5,
+            // Keep retrying: a camera should come back on its own after network drops
+            reconnectionAttempts: Infinity,
             reconnectionDelay: 1000
         });
 
         this.socket.on('connect', () => {
-            console.log('✅ Connected to server with ID:', this.socket.id);
+            logger.debug('Connected to server with ID:', this.socket.id);
             this.updateStatus('Connected to server', 'connected');
             this.reconnectAttempts = 0;
+            
+            // A streamer reclaims its stream after the socket reconnects; the
+            // server kept it alive for a grace period
+            if (this.isStreamer && this.localStream && this.currentStreamId) {
+                logger.debug('Reclaiming stream:', this.currentStreamId);
+                this.updateStatus('Reconnected - Resuming stream...', 'reconnecting');
+                this.emitCreateStream();
+            }
+            
+            // A viewer has a new socket id after reconnecting, so it joins again
+            if (!this.isStreamer && this.isWatching && this.currentStreamId) {
+                logger.debug('Rejoining stream:', this.currentStreamId);
+                this.updateStatus('Reconnected - Rejoining stream...', 'reconnecting');
+                this.emitJoinStream(this.currentStreamId);
+            }
         });
 
         this.socket.on('disconnect', (reason) => {
-            console.log('❌ Disconnected from server:', reason);
-            this.updateStatus('Disconnected from server', 'disconnected');
+            logger.debug('Disconnected from server:', reason);
+            
+            if ((this.isStreamer && this.localStream) || this.isWatching) {
+                this.updateStatus('Connection lost - Reconnecting...', 'reconnecting');
+            } else {
+                this.updateStatus('Disconnected from server', 'disconnected');
+            }
         });
 
         this.socket.on('connect_error', (error) => {
-            console.error('🔌 Connection error:', error);
+            logger.error('Connection error:', error);
             this.updateStatus('Connection failed - Retrying...', 'disconnected');
             
             this.reconnectAttempts++;
             if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-                this.updateStatus('Connection failed - Please refresh', 'disconnected');
+                this.updateStatus('Connection failed - Still retrying, check your network', 'disconnected');
             }
         });
 
         this.socket.on('active-streams', (streams) => {
-            console.log('📊 Active streams from server:', streams);
+            logger.debug('Active streams from server:', streams);
         });
 
         this.socket.on('stream-created', (data) => {
-            console.log('✅ Stream created:', data.streamId);
+            logger.debug('Stream created:', data.streamId, data.private ? '(private)' : '(public)');
+            
+            this.setStreamTokens(data);
+            
             this.updateStatus('Stream active - Share the link with viewers', 'connected');
+            this.streamerChat.open(data.streamId);
+            
+            // Keep a recent still frame on the server for the snapshot API
+            this.startSnapshotUploads(data.snapshotIntervalMs);
+            
+            // A reclaimed stream may have gained or lost viewers in the meantime
+            if (data.viewers) {
+                this.viewerNames = new Map(data.viewers.map(viewer => [viewer.viewerId, viewer.name]));
+                this.controlGrants = new Set(data.viewers.filter(viewer => viewer.controlGranted).map(viewer => viewer.viewerId));
+                this.viewerCount.textContent = this.viewerNames.size;
+                this.renderViewerList();
+            }
+            
+            // With the server relay the camera is sent once, to the server, which
+            // connects the viewers; a reclaimed stream publishes to it again
+            this.isRelayed = Boolean(data.relay);
+            if (this.isRelayed) {
+                logger.debug('Streaming through the server relay');
+                this.createOfferForViewer(RELAY_PEER_ID);
+            }
+            
+            // Recording and motion detection keep running across a reclaim
+            if (data.reclaimed) {
+                logger.debug('Stream resumed after reconnect');
+                return;
+            }
+            
+            if (this.recordStreamCheckbox.checked) {
+                this.startRecording(data.uploadToken);
+            }
+            if (this.motionSettings.enabled) {
+                this.startMotionDetection();
+            }
+        });
+
+        // The camera's links were reset: the old tokens no longer work
+        this.socket.on('stream-tokens', (data) => {
+            if (!this.isStreamer || data.streamId !== this.currentStreamId) return;
+            logger.debug('New stream tokens for', data.streamId);
+            this.setStreamTokens(data);
         });
 
         this.socket.on('stream-exists', (data) => {
-            console.log('❌ Stream already exists:', data.streamId);
+            logger.debug('Stream already exists:', data.streamId);
             alert('Stream ID already exists. Please try a different one.');
             this.startStreamBtn.classList.remove('hidden');
             this.stopStreamBtn.classList.add('hidden');
         });
 
         this.socket.on('stream-joined', (data) => {
-            console.log('✅ Joined stream:', data.streamId, 'Streamer:', data.streamerId);
+            logger.debug('Joined stream:', data.streamId, 'Streamer:', data.streamerId);
             this.streamerId = data.streamerId;
-            this.updateStatus('Connected to stream - Setting up video...', 'connected');
+            if (data.viewerToken) {
+                this.viewerToken = data.viewerToken;
+            }
+            this.isWatching = true;
+            this.controlGranted = Boolean(data.controlGranted);
+            this.updateRemoteControls();
+            this.viewerChat.open(data.streamId);
+            
+            if (data.status === 'reconnecting') {
+                this.updateStatus('Camera is reconnecting - Waiting for video...', 'reconnecting');
+            } else {
+                this.updateStatus('Connected to stream - Setting up video...', 'connected');
+            }
+            this.loadRecordings();
         });
 
         this.socket.on('stream-not-found', (data) => {
-            console.log('❌ Stream not found:', data.streamId);
-            console.log('📊 Available streams:', data.availableStreams);
+            logger.debug('Stream not found:', data.streamId);
+            logger.debug('Available streams:', data.availableStreams);
             this.updateStatus('Stream not found', 'disconnected');
             
             let message = `Stream "${data.streamId}" not found. `;
@@ -133,84 +344,271 @@ class CameraStreamApp {
             alert(message);
         });
 
+        this.socket.on('stream-full', (data) => {
+            logger.debug('Stream is full:', data.streamId, 'max viewers:', data.maxViewers);
+            this.isWatching = false;
+            this.updateStatus(`Stream is full (${data.maxViewers} viewers) - Try again later`, 'disconnected');
+        });
+
+        this.socket.on('stream-auth-required', (data) => {
+            logger.debug('Stream requires authentication:', data.streamId, data.reason);
+            this.viewerToken = null;
+            this.viewerPassphraseInput.classList.remove('hidden');
+            this.viewerPassphraseInput.focus();
+            
+            if (data.reason === 'access-revoked') {
+                this.isWatching = false;
+                this.updateStatus('The owner stopped sharing this camera with you', 'disconnected');
+            } else if (data.reason === 'invalid-credentials') {
+                this.updateStatus('Wrong passphrase or expired link', 'disconnected');
+            } else {
+                this.updateStatus('This stream is private - Enter the passphrase', 'disconnected');
+            }
+        });
+
+        this.socket.on('unauthorized', (data) => {
+            logger.warn('Server rejected', data.event, 'for stream', data.streamId);
+            
+            if (data.event === 'create-stream') {
+                this.stopStreaming();
+                this.updateStatus(data.message, 'disconnected');
+                if (confirm(`${data.message}. Forget this camera on this device?`)) {
+                    this.forgetCamera();
+                }
+            }
+        });
+
+        // The server dropped one of our messages: { event, code, message, retryAfterMs }
+        this.socket.on('request-error', (data) => {
+            logger.warn(`Server dropped ${data.event} (${data.code}):`, data.message);
+
+            if (data.event.startsWith('chat-')) {
+                (this.isStreamer ? this.streamerChat : this.viewerChat).handleRequestError(data);
+            } else if (data.event === 'join-stream') {
+                this.isWatching = false;
+                this.updateStatus(data.code === 'invalid-payload' ? 'Invalid Stream ID' : data.message, 'disconnected');
+            } else if (data.event === 'create-stream') {
+                this.stopStreaming();
+                this.updateStatus(data.message, 'disconnected');
+            }
+        });
+
+        this.socket.on('stream-taken-over', (data) => {
+            logger.debug('Camera stream taken over by another connection:', data.streamId);
+            this.stopStreaming();
+            this.updateStatus('This camera is now streaming from another connection', 'disconnected');
+        });
+
         this.socket.on('streamer-disconnected', (data) => {
-            console.log('❌ Streamer disconnected:', data.streamId);
-            this.updateStatus('Streamer disconnected', 'disconnected');
-            alert('The streamer has disconnected. Please try again later.');
+            logger.debug('Streamer disconnected:', data.streamId);
+            this.isWatching = false;
+            this.viewerChat.close();
+            this.updateStatus('Streamer disconnected - Try again later', 'disconnected');
+        });
+
+        this.socket.on('stream-reconnecting', (data) => {
+            logger.debug('Streamer reconnecting:', data.streamId);
+            this.updateStatus('Camera connection lost - Waiting for it to reconnect...', 'reconnecting');
+        });
+
+        this.socket.on('stream-resumed', (data) => {
+            logger.debug('Stream resumed:', data.streamId, 'Streamer:', data.streamerId);
+            this.streamerId = data.streamerId;
+            this.updateStatus('Camera reconnected - Restoring video...', 'connected');
         });
 
         this.socket.on('viewer-joined', (data) => {
-            console.log('👀 Viewer joined:', data.viewerId);
+            logger.debug('Viewer joined:', data.viewerId, data.viewerName || '(guest)');
+            this.viewerCount.textContent = data.viewerCount;
+            this.viewerNames.set(data.viewerId, data.viewerName);
+            this.renderViewerList();
+        });
+
+        this.socket.on('viewer-left', (data) => {
+            logger.debug('Viewer left:', data.viewerId);
             this.viewerCount.textContent = data.viewerCount;
-            this.viewerId = data.viewerId;
+            this.viewerNames.delete(data.viewerId);
+            this.controlGrants.delete(data.viewerId);
+            this.renderViewerList();
+            this.closeViewerConnection(data.viewerId);
+        });
+
+        // The streamer gave a viewer control of the camera or took it back
+        this.socket.on('control-granted', (data) => {
+            if (this.isStreamer && data.streamId === this.currentStreamId) {
+                if (data.granted) {
+                    this.controlGrants.add(data.viewerId);
+                } else {
+                    this.controlGrants.delete(data.viewerId);
+                }
+                this.renderViewerList();
+            } else if (data.viewerId === this.socket.id) {
+                this.controlGranted = data.granted;
+                this.updateRemoteControls();
+            }
         });
 
         this.socket.on('create-offer', async (data) => {
-            console.log('📨 Request to create offer for viewer:', data.viewerId);
+            logger.debug('Request to create offer for viewer:', data.viewerId);
             if (this.isStreamer) {
                 await this.createOfferForViewer(data.viewerId);
             }
         });
 
         this.socket.on('offer', async (data) => {
-            console.log('📨 Received offer from streamer:', data.from);
+            logger.debug('Received offer from streamer:', data.from);
             if (!this.isStreamer) {
                 await this.handleOffer(data);
             }
         });
 
         this.socket.on('answer', async (data) => {
-            console.log('📨 Received answer from viewer:', data.from);
+            logger.debug('Received answer from viewer:', data.from);
             if (this.isStreamer) {
                 await this.handleAnswer(data);
             }
         });
 
         this.socket.on('ice-candidate', async (data) => {
-            console.log('❄️ Received ICE candidate from:', data.from);
+            logger.debug('Received ICE candidate from:', data.from);
             await this.handleIceCandidate(data);
         });
 
+        this.socket.on('live-output-demand', (data) => {
+            if (!this.isStreamer || data.streamId !== this.currentStreamId) return;
+            
+            if (data.active) {
+                this.startFramePublishing(data.frameRate);
+            } else {
+                this.stopFramePublishing();
+            }
+        });
+
+        this.socket.on('snapshot-request', (data) => {
+            if (this.isStreamer && data.streamId === this.currentStreamId) {
+                this.publishFrame();
+            }
+        });
+
+        this.socket.on('motion-alert', (event) => {
+            logger.debug('Motion detected on stream:', event.streamId);
+            this.showMotionAlert(event);
+        });
+
+        this.socket.on('talk-granted', () => this.handleTalkGranted());
+
+        this.socket.on('talk-denied', (data) => {
+            logger.debug('Talk denied:', data.reason);
+            this.isTalkPressed = false;
+            this.resetPushToTalkButton(data.reason);
+        });
+
+        this.socket.on('talk-state', (data) => {
+            if (this.isStreamer) return;
+            
+            const someoneElse = Boolean(data.talkerId) && data.talkerId !== this.socket.id;
+            this.pushToTalkBtn.disabled = someoneElse;
+            if (someoneElse) {
+                this.pushToTalkBtn.textContent = '🗣️ Someone else is talking';
+            } else if (!this.isTalkPressed) {
+                this.resetPushToTalkButton();
+            }
+        });
+
+        this.socket.on('talk-started', (data) => {
+            if (this.isStreamer) {
+                // Through the relay all talkback audio arrives on the relay connection
+                this.playTalkback(this.isRelayed ? RELAY_PEER_ID : data.viewerId, data.viewerName);
+            }
+        });
+
+        this.socket.on('talk-stopped', (data) => {
+            if (this.isStreamer) {
+                this.stopTalkback();
+            } else {
+                // The server ends a talk turn that runs too long
+                this.isTalkPressed = false;
+                this.stopMicrophone();
+                this.resetPushToTalkButton();
+            }
+        });
+
+        // The server ends a camera outside its schedule and tells it when to come back
+        this.socket.on('stream-scheduled', (data) => {
+            logger.debug('Camera is outside its schedule until', data.resumeAt);
+            this.pauseUntil(data.resumeAt);
+        });
+
         this.socket.on('stream-ended', (data) => {
-            console.log('🛑 Stream ended:', data);
-            this.updateStatus('Stream ended', 'disconnected');
+            logger.debug('Stream ended:', data);
+            
+            // Streamers only hear about endings they did not ask for: by the
+            // stream's policy or by an administrator
+            if (this.isStreamer && data.streamId === this.currentStreamId) {
+                if (data.policy === 'schedule') {
+                    this.pauseUntil(data.resumeAt);
+                } else {
+                    this.stopStreaming();
+                    this.updateStatus(`Stream ended - ${data.reason}`, 'disconnected');
+                }
+                return;
+            }
+            
+            this.isWatching = false;
+            this.controlGranted = false;
+            this.viewerChat.close();
+            const resumes = data.resumeAt ? ` - Back at ${new Date(data.resumeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+            this.updateStatus(`Stream ended${data.reason ? ` - ${data.reason}` : ''}${resumes}`, 'disconnected');
+            if (this.peerConnection) {
+                this.peerConnection.close();
+                this.peerConnection = null;
+            }
             this.remoteVideo.srcObject = null;
             this.noStreamMessage.classList.remove('hidden');
             this.playOverlay.classList.add('hidden');
-            alert('The stream has ended. The host stopped streaming.');
+            this.remoteControls.classList.add('hidden');
+            this.pushToTalkBtn.classList.add('hidden');
+            this.isTalkPressed = false;
+            this.stopMicrophone();
         });
     }
 
     async startStreaming() {
+        clearTimeout(this.scheduledStartTimer);
+        this.scheduledStartTimer = null;
         try {
             this.updateStatus('Starting camera...', 'connected');
             
-            // Access camera
+            // Access camera, at the size and frame rate of the quality preset
+            await this.qualityController.setPreset(this.qualityPresetSelect.value);
             this.localStream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 640 },
-                    height: { ideal: 480 },
-                    frameRate: { ideal: 24 }
-                },
+                video: this.qualityController.captureConstraints,
                 audio: true
             });
 
             this.localVideo.srcObject = this.localStream;
+            
+            this.cameraController = new CameraController({
+                getStream: () => this.localStream,
+                getPeerConnections: () => Array.from(this.peerConnections.values()),
+                video: this.localVideo,
+                isAllowed: (viewerId) => this.controlGrants.has(viewerId),
+                onVideoTrackChanged: () => this.handleVideoTrackChanged()
+            });
 
-            // Generate stream ID
-            this.currentStreamId = this.generateStreamId();
+            // Named cameras keep their id, otherwise generate a one-off stream ID
+            this.currentStreamId = await this.resolveStreamId();
             
-            console.log('🎥 Creating stream with ID:', this.currentStreamId);
+            logger.debug('Creating stream with ID:', this.currentStreamId);
             
             // Create stream on server
-            this.socket.emit('create-stream', this.currentStreamId);
+            this.emitCreateStream();
 
             // Update UI
             this.startStreamBtn.classList.add('hidden');
             this.stopStreamBtn.classList.remove('hidden');
             
-            const streamUrl = `${window.location.origin}?stream=${this.currentStreamId}`;
-            this.streamLink.value = streamUrl;
+            this.streamLink.value = `${window.location.origin}?stream=${this.currentStreamId}`;
             this.streamLink.parentElement.parentElement.classList.remove('hidden');
             
             this.viewerCount.textContent = '0';
@@ -219,238 +617,1412 @@ class CameraStreamApp {
             this.isStreamer = true;
 
         } catch (error) {
-            console.error('❌ Error starting stream:', error);
+            logger.error('Error starting stream:', error);
             this.updateStatus(`Error: ${error.message}`, 'disconnected');
             alert('Error accessing camera: ' + error.message);
         }
     }
 
-    async joinStream() {
-        const streamId = this.streamIdInput.value.trim();
-        if (!streamId) {
-            alert('Please enter a Stream ID');
-            return;
-        }
+    emitCreateStream() {
+        this.socket.emit('create-stream', {
+            streamId: this.currentStreamId,
+            passphrase: this.streamPassphraseInput.value,
+            cameraKey: this.camera ? this.camera.key : undefined,
+            resumeToken: this.resumeToken || undefined,
+            relay: this.relayStreamCheckbox.checked
+        });
+    }
 
-        console.log('👀 Joining stream:', streamId);
-        this.currentStreamId = streamId;
-        this.updateStatus('Connecting to stream...', 'connected');
+    async resolveStreamId() {
+        if (this.camera) {
+            return this.camera.id;
+        }
         
-        // First check if stream exists via API
-        try {
-            console.log('🔍 Checking if stream exists via API...');
-            const response = await fetch(`/api/stream/${streamId}`);
-            const data = await response.json();
-            
-            console.log('🔍 Stream check result:', data);
-            
-            if (!data.exists) {
-                this.updateStatus('Stream not found', 'disconnected');
-                alert(`Stream "${streamId}" not found. Please check the Stream ID and make sure the streamer is online.`);
-                return;
-            }
-            
-            console.log('✅ Stream exists, joining via socket...');
-            this.socket.emit('join-stream', streamId);
-            
-        } catch (error) {
-            console.error('❌ Error checking stream:', error);
-            // If API check fails, try joining anyway
-            this.socket.emit('join-stream', streamId);
+        const name = this.cameraNameInput.value.trim();
+        if (name) {
+            await this.registerCamera(name);
+            return this.camera.id;
         }
+        
+        return this.generateStreamId();
     }
 
-    // ... rest of the methods remain the same as previous version ...
-
-    async createOfferForViewer(viewerId) {
+    loadCamera() {
         try {
-            console.log('🎯 Creating offer for viewer:', viewerId);
-            
-            if (!this.peerConnection) {
-                await this.createPeerConnection();
-                
-                this.localStream.getTracks().forEach(track => {
-                    this.peerConnection.addTrack(track, this.localStream);
-                });
-            }
-
-            const offer = await this.peerConnection.createOffer();
-            await this.peerConnection.setLocalDescription(offer);
-            
-            console.log('📤 Sending offer to viewer:', viewerId);
-            
-            this.socket.emit('offer', {
-                offer: offer,
-                targetViewerId: viewerId,
-                streamId: this.currentStreamId
-            });
-
+            return JSON.parse(localStorage.getItem('camera'));
         } catch (error) {
-            console.error('❌ Error creating offer:', error);
+            return null;
         }
     }
 
-    async createPeerConnection() {
-        console.log('🔗 Creating peer connection...');
-        
-        const configuration = {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' }
-            ]
-        };
-
-        this.peerConnection = new RTCPeerConnection(configuration);
-
-        this.peerConnection.onicecandidate = (event) => {
-            if (event.candidate) {
-                const target = this.isStreamer ? this.viewerId : this.streamerId;
-                if (target) {
-                    this.socket.emit('ice-candidate', {
-                        candidate: event.candidate,
-                        target: target,
-                        streamId: this.currentStreamId
-                    });
-                }
-            }
-        };
-
-        this.peerConnection.onconnectionstatechange = () => {
-            console.log('🔗 Connection state:', this.peerConnection.connectionState);
-            this.updateStatus(`Connection: ${this.peerConnection.connectionState}`, 'connected');
-            
-            if (this.peerConnection.connectionState === 'connected') {
-                console.log('✅ Peer connection established!');
-                this.updateStatus('Connected - Tap play to start video', 'connected');
-            }
-        };
+    saveCamera(camera) {
+        this.camera = camera;
+        if (camera) {
+            localStorage.setItem('camera', JSON.stringify(camera));
+        } else {
+            localStorage.removeItem('camera');
+        }
+        this.renderCameraInfo();
+        this.loadCameraShares();
+    }
 
-        this.peerConnection.ontrack = (event) => {
-            console.log('🎬 Received remote track, streams:', event.streams.length);
-            if (event.streams && event.streams[0]) {
-                this.remoteVideo.srcObject = event.streams[0];
-                this.noStreamMessage.classList.add('hidden');
-                this.updateStatus('Connected - Tap the play button to start video', 'connected');
-                
-                this.playOverlay.classList.remove('hidden');
-                
-                if (this.hasUserInteracted) {
-                    setTimeout(() => {
-                        this.playRemoteVideo();
-                    }, 1000);
-                }
-            }
-        };
+    renderCameraInfo() {
+        const hasCamera = Boolean(this.camera);
+        this.cameraInfo.classList.toggle('hidden', !hasCamera);
+        this.renameCameraBtn.classList.toggle('hidden', !hasCamera);
+        this.rotateTokensBtn.classList.toggle('hidden', !hasCamera);
+        this.deleteCameraBtn.classList.toggle('hidden', !hasCamera);
+        
+        if (hasCamera) {
+            this.cameraNameInput.value = this.camera.name;
+            this.cameraInfo.textContent = `ID: ${this.camera.id}`;
+        }
+    }
 
-        return this.peerConnection;
+    async registerCamera(name) {
+        const response = await fetch('/api/cameras', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Could not register camera (${response.status})`);
+        }
+        
+        logger.debug('Camera registered:', data.camera.id);
+        this.saveCamera({ id: data.camera.id, name: data.camera.name, key: data.key });
     }
 
-    async playRemoteVideo() {
+    async renameCamera() {
+        const name = this.cameraNameInput.value.trim();
+        if (!this.camera || !name || name === this.camera.name) return;
+        
         try {
-            console.log('▶️ Attempting to play video...');
-            
-            if (!this.remoteVideo.srcObject) {
-                console.log('❌ No video source available');
-                return;
+            const response = await fetch(`/api/cameras/${this.camera.id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.camera.key}`
+                },
+                body: JSON.stringify({ name })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}`);
             }
-            
-            this.remoteVideo.muted = true;
-            await this.remoteVideo.play();
-            
-            this.playOverlay.classList.add('hidden');
-            this.updateStatus('Connected - Watching live stream', 'connected');
-            
-            console.log('✅ Video playback started successfully');
-            
-            setTimeout(() => {
-                if (this.remoteVideo.muted) {
-                    this.remoteVideo.muted = false;
-                }
-            }, 1000);
-            
+            this.saveCamera({ ...this.camera, name: data.name });
         } catch (error) {
-            console.error('❌ Error playing video:', error);
-            this.updateStatus('Tap play button to start video', 'connected');
-            
-            if (error.name === 'NotAllowedError') {
-                this.playOverlay.classList.remove('hidden');
-                this.playVideoBtn.textContent = '▶️ Tap to Play Video (Browser blocked autoplay)';
-            }
+            logger.error('Error renaming camera:', error);
+            alert('Could not rename camera: ' + error.message);
         }
     }
 
-    async handleOffer(data) {
-        try {
-            console.log('📨 Handling offer from streamer');
-            
-            await this.createPeerConnection();
-            await this.peerConnection.setRemoteDescription(data.offer);
-            
-            const answer = await this.peerConnection.createAnswer();
-            await this.peerConnection.setLocalDescription(answer);
-            
-            this.socket.emit('answer', {
-                answer: answer,
-                targetStreamerId: data.from,
-                streamId: this.currentStreamId
-            });
-            
-            console.log('✅ Sent answer to streamer');
-
-        } catch (error) {
-            console.error('❌ Error handling offer:', error);
+    // Private streams share a signed viewer token in the link instead of the passphrase
+    setStreamTokens(data) {
+        this.resumeToken = data.resumeToken;
+        this.uploadToken = data.uploadToken;
+        
+        // A camera's recordings follow its current tokens, so a running
+        // recording carries on with the new upload token
+        if (this.recording && data.uploadToken) {
+            this.recording.uploadToken = data.uploadToken;
+            this.rememberUploadToken(this.recording.streamId, this.recording.sessionId, data.uploadToken);
         }
+        
+        let streamUrl = `${window.location.origin}?stream=${data.streamId}`;
+        if (data.viewerToken) {
+            streamUrl += `&token=${encodeURIComponent(data.viewerToken)}`;
+        }
+        this.streamLink.value = streamUrl;
+        
+        const outputUrl = `${window.location.origin}/api/stream/${encodeURIComponent(data.streamId)}`;
+        const outputQuery = data.viewerToken ? `?token=${encodeURIComponent(data.viewerToken)}` : '';
+        this.hlsLink.href = `${outputUrl}/live.m3u8${outputQuery}`;
+        this.mjpegLink.href = `${outputUrl}/mjpeg${outputQuery}`;
     }
 
-    async handleAnswer(data) {
+    async rotateCameraTokens() {
+        if (!this.camera || !confirm('Reset the links of this camera? Every link shared so far stops working.')) return;
+        
         try {
-            console.log('📨 Handling answer from viewer');
-            
-            if (this.peerConnection) {
-                await this.peerConnection.setRemoteDescription(data.answer);
+            const response = await fetch(`/api/cameras/${this.camera.id}/rotate-tokens`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.camera.key}` }
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `Server returned ${response.status}`);
             }
+            logger.debug('Camera links reset:', this.camera.id);
         } catch (error) {
-            console.error('❌ Error handling answer:', error);
+            logger.error('Error resetting camera links:', error);
+            alert('Could not reset the links: ' + error.message);
         }
     }
 
-    async handleIceCandidate(data) {
+    async deleteCamera() {
+        if (!this.camera || !confirm(`Delete camera "${this.camera.name}"? Its link will stop working.`)) return;
+        
         try {
-            if (this.peerConnection && data.candidate) {
-                await this.peerConnection.addIceCandidate(data.candidate);
+            const response = await fetch(`/api/cameras/${this.camera.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${this.camera.key}` }
+            });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            if (this.currentStreamId === this.camera.id) {
+                this.stopStreaming();
             }
+            this.forgetCamera();
         } catch (error) {
-            console.error('❌ Error adding ICE candidate:', error);
+            logger.error('Error deleting camera:', error);
+            alert('Could not delete camera: ' + error.message);
         }
     }
 
-    showStreamerView() {
-        this.streamerView.classList.remove('hidden');
-        this.viewerView.classList.add('hidden');
-        this.isStreamer = true;
-        this.hasUserInteracted = true;
+    forgetCamera() {
+        this.saveCamera(null);
+        this.cameraNameInput.value = '';
     }
 
-    showViewerView() {
-        this.streamerView.classList.add('hidden');
-        this.viewerView.classList.remove('hidden');
-        this.isStreamer = false;
-        this.hasUserInteracted = true;
-        this.checkUrlForStreamId();
-    }
+    // Guests have no name, so they are numbered instead. Each viewer has a
+    // button to give it control of the camera or take control back.
+    renderViewerList() {
+        let guests = 0;
+        
+        this.viewerList.replaceChildren(...Array.from(this.viewerNames, ([viewerId, name]) => {
+            const item = document.createElement('li');
+            item.textContent = name || `Guest ${++guests}`;
+            
+            const granted = this.controlGrants.has(viewerId);
+            const controlBtn = document.createElement('button');
+            controlBtn.type = 'button';
+            controlBtn.className = 'viewer-control';
+            controlBtn.textContent = granted ? '🎛️ Take control' : '🎛️ Give control';
+            controlBtn.title = granted ? 'Stop this viewer controlling the camera' : 'Let this viewer control the camera';
+            controlBtn.addEventListener('click', () => {
+                this.socket.emit('grant-control', { streamId: this.currentStreamId, viewerId, granted: !granted });
+            });
+            item.appendChild(controlBtn);
+            return item;
+        }));
+    }
+
+    handleAccountChange() {
+        if (this.socket.connected) {
+            logger.debug('Reconnecting with the new session');
+            this.socket.disconnect();
+            this.socket.connect();
+        }
+        this.loadCameraShares();
+        this.pushFollows.resync();
+        this.updateChatAccount();
+    }
+
+    // One chat panel per view, both on this socket; the streamer's moderates
+    setupChat() {
+        const getUser = () => this.accountPanel && this.accountPanel.user;
+        this.streamerChat = new ChatPanel({
+            socket: this.socket,
+            root: document.getElementById('streamerChat'),
+            isModerator: true,
+            getUser
+        });
+        this.viewerChat = new ChatPanel({
+            socket: this.socket,
+            root: document.getElementById('viewerChat'),
+            getUser
+        });
+    }
+
+    updateChatAccount() {
+        this.streamerChat.updateAccount();
+        this.viewerChat.updateAccount();
+    }
+
+    // Sharing is only offered for a camera the signed-in account owns
+    async loadCameraShares() {
+        const user = this.accountPanel && this.accountPanel.user;
+        if (!this.camera || !user) {
+            this.cameraSharing.classList.add('hidden');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/cameras/${this.camera.id}`);
+            const camera = response.ok ? await response.json() : null;
+            this.renderCameraShares(camera && camera.ownerAccount && camera.ownerAccount.id === user.id ? camera : null);
+        } catch (error) {
+            logger.error('Error loading camera shares:', error);
+        }
+    }
+
+    renderCameraShares(camera) {
+        this.cameraSharing.classList.toggle('hidden', !camera);
+        if (!camera) return;
+        
+        const shares = camera.sharedWith || [];
+        this.cameraShares.textContent = shares.length ? 'Shared with:' : 'Not shared with anyone';
+        shares.forEach(user => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-outline btn-small';
+            button.textContent = `${user.displayName} ✕`;
+            button.title = `Stop sharing with ${user.username}`;
+            button.addEventListener('click', () => this.updateCameraShare('DELETE', user.username));
+            this.cameraShares.append(' ', button);
+        });
+    }
+
+    shareCamera() {
+        const username = this.shareUsernameInput.value.trim();
+        if (!username) return;
+        
+        this.updateCameraShare('PUT', username).then(shared => {
+            if (shared) this.shareUsernameInput.value = '';
+        });
+    }
+
+    async updateCameraShare(method, username) {
+        try {
+            const response = await fetch(`/api/cameras/${this.camera.id}/shares/${encodeURIComponent(username)}`, { method });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}`);
+            }
+            this.renderCameraShares(data);
+            return true;
+        } catch (error) {
+            logger.error('Error updating camera shares:', error);
+            alert('Could not update sharing: ' + error.message);
+            return false;
+        }
+    }
+
+    stopStreaming() {
+        logger.debug('Stopping stream:', this.currentStreamId);
+        
+        clearTimeout(this.scheduledStartTimer);
+        this.scheduledStartTimer = null;
+        this.stopRecording();
+        this.stopMotionDetection();
+        this.stopFramePublishing();
+        this.stopSnapshotUploads();
+        this.qualityController.stop();
+        if (this.currentStreamId) {
+            this.socket.emit('end-stream', this.currentStreamId);
+        }
+        
+        for (const viewerId of Array.from(this.peerConnections.keys())) {
+            this.closeViewerConnection(viewerId);
+        }
+        
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream = null;
+        }
+        this.localVideo.srcObject = null;
+        this.cameraController = null;
+        
+        this.startStreamBtn.classList.remove('hidden');
+        this.stopStreamBtn.classList.add('hidden');
+        this.streamLink.parentElement.parentElement.classList.add('hidden');
+        this.viewerCount.textContent = '0';
+        this.viewerNames.clear();
+        this.controlGrants.clear();
+        this.renderViewerList();
+        this.currentStreamId = null;
+        this.resumeToken = null;
+        this.isRelayed = false;
+        this.streamerChat.close();
+        this.updateStatus('Stream ended', 'disconnected');
+    }
+
+    // Outside its schedule the camera is switched off and started again when
+    // the next window opens. Stopping the stream cancels that.
+    pauseUntil(resumeAt) {
+        this.stopStreaming();
+        if (!resumeAt) {
+            this.updateStatus('Outside the camera\'s streaming schedule', 'disconnected');
+            return;
+        }
+        
+        const time = new Date(resumeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        this.updateStatus(`Paused by the camera's schedule - Resuming at ${time}`, 'reconnecting');
+        this.startStreamBtn.classList.add('hidden');
+        this.stopStreamBtn.classList.remove('hidden');
+        this.scheduledStartTimer = setTimeout(() => this.startStreaming(), Math.max(0, new Date(resumeAt) - Date.now()));
+    }
+
+    loadMotionSettings() {
+        const defaults = { enabled: false, sensitivity: 50, masks: [] };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('motionSettings')) };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    saveMotionSettings() {
+        localStorage.setItem('motionSettings', JSON.stringify(this.motionSettings));
+    }
+
+    setupMotionSettings() {
+        this.motionDetectionCheckbox.checked = this.motionSettings.enabled;
+        this.motionSensitivityInput.value = this.motionSettings.sensitivity;
+        
+        this.motionDetectionCheckbox.addEventListener('change', () => {
+            this.motionSettings.enabled = this.motionDetectionCheckbox.checked;
+            this.saveMotionSettings();
+            
+            if (this.motionSettings.enabled && this.currentStreamId && this.localStream) {
+                this.startMotionDetection();
+            } else {
+                this.stopMotionDetection();
+            }
+        });
+        
+        this.motionSensitivityInput.addEventListener('input', () => {
+            this.motionSettings.sensitivity = parseInt(this.motionSensitivityInput.value, 10);
+            this.saveMotionSettings();
+            if (this.motionDetector) {
+                this.motionDetector.setSensitivity(this.motionSettings.sensitivity);
+            }
+        });
+        
+        this.editMasksBtn.addEventListener('click', () => this.toggleMaskEditing());
+        this.clearMasksBtn.addEventListener('click', () => {
+            this.motionSettings.masks = [];
+            this.saveMotionSettings();
+            this.applyMasks();
+        });
+        
+        // Drag on the camera preview to mask out a region
+        let dragStart = null;
+        this.motionMaskCanvas.addEventListener('pointerdown', (e) => {
+            dragStart = this.toVideoCoordinates(e);
+        });
+        this.motionMaskCanvas.addEventListener('pointermove', (e) => {
+            if (dragStart) {
+                this.drawMasks(this.rectFromPoints(dragStart, this.toVideoCoordinates(e)));
+            }
+        });
+        this.motionMaskCanvas.addEventListener('pointerup', (e) => {
+            if (!dragStart) return;
+            const mask = this.rectFromPoints(dragStart, this.toVideoCoordinates(e));
+            dragStart = null;
+            if (mask.width > 0.01 && mask.height > 0.01) {
+                this.motionSettings.masks.push(mask);
+                this.saveMotionSettings();
+            }
+            this.applyMasks();
+        });
+        
+        window.addEventListener('resize', () => this.drawMasks());
+        this.localVideo.addEventListener('loadedmetadata', () => this.drawMasks());
+    }
+
+    startMotionDetection() {
+        this.stopMotionDetection();
+        
+        this.motionDetector = new MotionDetector(this.localVideo, {
+            sensitivity: this.motionSettings.sensitivity,
+            masks: this.motionSettings.masks,
+            onMotion: (motion) => {
+                logger.debug('Motion detected, score:', motion.score);
+                this.socket.emit('motion-detected', {
+                    streamId: this.currentStreamId,
+                    ...motion
+                });
+            }
+        });
+        this.motionDetector.start();
+        logger.debug('Motion detection started');
+    }
+
+    stopMotionDetection() {
+        if (this.motionDetector) {
+            this.motionDetector.stop();
+            this.motionDetector = null;
+            logger.debug('Motion detection stopped');
+        }
+    }
+
+    toggleMaskEditing() {
+        this.isEditingMasks = !this.isEditingMasks;
+        this.motionMaskCanvas.classList.toggle('editing', this.isEditingMasks);
+        this.editMasksBtn.textContent = this.isEditingMasks ? 'Done editing' : 'Edit masked areas';
+        this.drawMasks();
+    }
+
+    applyMasks() {
+        if (this.motionDetector) {
+            this.motionDetector.setMasks(this.motionSettings.masks);
+        }
+        this.drawMasks();
+    }
+
+    // The video is letterboxed inside its element, so masks are stored relative to the picture itself
+    getVideoContentRect() {
+        const width = this.motionMaskCanvas.clientWidth;
+        const height = this.motionMaskCanvas.clientHeight;
+        const videoWidth = this.localVideo.videoWidth || width;
+        const videoHeight = this.localVideo.videoHeight || height;
+        const scale = Math.min(width / videoWidth, height / videoHeight);
+        
+        return {
+            x: (width - videoWidth * scale) / 2,
+            y: (height - videoHeight * scale) / 2,
+            width: videoWidth * scale,
+            height: videoHeight * scale
+        };
+    }
+
+    toVideoCoordinates(event) {
+        const bounds = this.motionMaskCanvas.getBoundingClientRect();
+        const content = this.getVideoContentRect();
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        
+        return {
+            x: clamp((event.clientX - bounds.left - content.x) / content.width),
+            y: clamp((event.clientY - bounds.top - content.y) / content.height)
+        };
+    }
+
+    rectFromPoints(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        };
+    }
+
+    drawMasks(pendingMask) {
+        const canvas = this.motionMaskCanvas;
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.isEditingMasks && this.motionSettings.masks.length === 0) return;
+        
+        const content = this.getVideoContentRect();
+        const masks = pendingMask ? [...this.motionSettings.masks, pendingMask] : this.motionSettings.masks;
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.strokeStyle = '#ffc107';
+        masks.forEach(mask => {
+            const x = content.x + mask.x * content.width;
+            const y = content.y + mask.y * content.height;
+            const w = mask.width * content.width;
+            const h = mask.height * content.height;
+            context.fillRect(x, y, w, h);
+            context.strokeRect(x, y, w, h);
+        });
+    }
+
+    showMotionAlert(event) {
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        const thumbnailUrl = event.thumbnailUrl && this.viewerToken
+            ? `${event.thumbnailUrl}?token=${encodeURIComponent(this.viewerToken)}`
+            : event.thumbnailUrl;
+        
+        const alertEl = document.createElement('div');
+        alertEl.className = 'motion-alert';
+        if (thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = thumbnailUrl;
+            img.alt = 'Motion snapshot';
+            alertEl.appendChild(img);
+        }
+        const text = document.createElement('span');
+        text.textContent = `🏃 Motion detected at ${time}`;
+        alertEl.appendChild(text);
+        
+        this.motionAlerts.prepend(alertEl);
+        setTimeout(() => alertEl.remove(), 10000);
+        
+        // Also notify when the tab is in the background, if the user allowed notifications
+        if (document.hidden && window.Notification && Notification.permission === 'granted') {
+            new Notification('Motion detected', {
+                body: `Stream ${event.streamId} at ${time}`,
+                icon: thumbnailUrl || undefined
+            });
+        }
+    }
+
+    startTalking() {
+        if (this.isTalkPressed || !this.talkbackTransceiver || this.pushToTalkBtn.disabled) return;
+        
+        this.isTalkPressed = true;
+        this.pushToTalkBtn.classList.add('talking');
+        this.pushToTalkBtn.textContent = '⏳ Waiting...';
+        this.socket.emit('talk-request', this.currentStreamId);
+    }
+
+    stopTalking() {
+        if (!this.isTalkPressed) return;
+        
+        this.isTalkPressed = false;
+        this.socket.emit('talk-release', this.currentStreamId);
+        this.stopMicrophone();
+        this.resetPushToTalkButton();
+    }
+
+    async handleTalkGranted() {
+        // The button may have been released while the server was deciding
+        if (!this.isTalkPressed) {
+            this.socket.emit('talk-release', this.currentStreamId);
+            return;
+        }
+        
+        try {
+            if (!this.microphoneStream) {
+                this.microphoneStream = await navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: true, noiseSuppression: true }
+                });
+            }
+            if (!this.isTalkPressed) {
+                this.stopMicrophone();
+                return;
+            }
+            
+            await this.talkbackTransceiver.sender.replaceTrack(this.microphoneStream.getAudioTracks()[0]);
+            this.pushToTalkBtn.textContent = '🔴 Talking... release to stop';
+            logger.debug('Talking to camera');
+            
+        } catch (error) {
+            logger.error('Error accessing microphone:', error);
+            this.stopTalking();
+            this.resetPushToTalkButton('Microphone unavailable');
+        }
+    }
+
+    stopMicrophone() {
+        if (this.talkbackTransceiver) {
+            this.talkbackTransceiver.sender.replaceTrack(null).catch(() => {});
+        }
+        if (this.microphoneStream) {
+            this.microphoneStream.getTracks().forEach(track => track.stop());
+            this.microphoneStream = null;
+        }
+    }
+
+    resetPushToTalkButton(reason) {
+        this.pushToTalkBtn.classList.remove('talking');
+        this.pushToTalkBtn.textContent = '🎙️ Hold to talk';
+        this.pushToTalkBtn.title = reason || '';
+    }
+
+    // Only the viewer the server granted the talk slot is played
+    playTalkback(viewerId, viewerName) {
+        const stream = this.viewerAudioStreams.get(viewerId);
+        if (!stream) return;
+        
+        logger.debug('Viewer talking:', viewerId, viewerName || '(guest)');
+        this.talkbackIndicator.textContent = `🗣️ ${viewerName || 'A viewer'} is talking`;
+        this.talkbackAudio.srcObject = stream;
+        this.talkbackAudio.play().catch(error => logger.error('Error playing talkback audio:', error));
+        this.talkbackIndicator.classList.remove('hidden');
+    }
+
+    stopTalkback() {
+        this.talkbackAudio.srcObject = null;
+        this.talkbackIndicator.classList.add('hidden');
+    }
+
+    // Upload the current camera frame as JPEG, for MJPEG/HLS and snapshots
+    publishFrame() {
+        if (!this.localStream || !this.localVideo.videoWidth) {
+            return Promise.resolve();
+        }
+        
+        const canvas = this.frameCanvas || (this.frameCanvas = document.createElement('canvas'));
+        canvas.width = this.localVideo.videoWidth;
+        canvas.height = this.localVideo.videoHeight;
+        canvas.getContext('2d').drawImage(this.localVideo, 0, 0, canvas.width, canvas.height);
+        
+        return new Promise(resolve => {
+            canvas.toBlob(async (blob) => {
+                try {
+                    if (blob) {
+                        await fetch(`/api/stream/${encodeURIComponent(this.currentStreamId)}/frames`, {
+                            method: 'POST',
+                            headers: {
+                                'Content-Type': 'image/jpeg',
+                                Authorization: `Bearer ${this.uploadToken}`
+                            },
+                            body: blob
+                        });
+                    }
+                } catch (error) {
+                    logger.error('Error publishing frame:', error);
+                } finally {
+                    resolve();
+                }
+            }, 'image/jpeg', 0.7);
+        });
+    }
+
+    // MJPEG/HLS players are watching: push frames continuously, skipping a
+    // frame while the previous one is still uploading
+    startFramePublishing(frameRate) {
+        this.stopFramePublishing();
+        logger.debug('Publishing frames for MJPEG/HLS at', frameRate, 'fps');
+        
+        let uploading = false;
+        this.framePublishTimer = setInterval(() => {
+            if (uploading) return;
+            
+            uploading = true;
+            this.publishFrame().then(() => {
+                uploading = false;
+            });
+        }, 1000 / frameRate);
+    }
+
+    stopFramePublishing() {
+        if (this.framePublishTimer) {
+            logger.debug('Stopped publishing frames');
+            clearInterval(this.framePublishTimer);
+            this.framePublishTimer = null;
+        }
+    }
+
+    startSnapshotUploads(intervalMs) {
+        this.stopSnapshotUploads();
+        if (!intervalMs) return;
+        
+        this.snapshotTimer = setInterval(() => {
+            // Frames already flow while MJPEG/HLS players are watching
+            if (!this.framePublishTimer) {
+                this.publishFrame();
+            }
+        }, intervalMs);
+    }
+
+    stopSnapshotUploads() {
+        clearInterval(this.snapshotTimer);
+        this.snapshotTimer = null;
+    }
+
+    // The camera was switched remotely: refresh the preview and start a new
+    // recording, since MediaRecorder cannot follow a replaced track
+    handleVideoTrackChanged() {
+        this.localVideo.srcObject = this.localStream;
+        
+        if (this.mediaRecorder) {
+            this.stopRecording();
+            this.startRecording(this.uploadToken);
+        }
+    }
+
+    setupQualityControl() {
+        this.qualityController = new QualityController({
+            getStream: () => this.localStream,
+            getPeerConnections: () => Array.from(this.peerConnections.values())
+        });
+        
+        this.qualityPresetSelect.value = localStorage.getItem('qualityPreset') || 'balanced';
+        if (!this.qualityPresetSelect.value) {
+            this.qualityPresetSelect.value = 'balanced';
+        }
+        this.qualityPresetSelect.addEventListener('change', () => {
+            localStorage.setItem('qualityPreset', this.qualityPresetSelect.value);
+            if (this.localStream) {
+                this.qualityController.setPreset(this.qualityPresetSelect.value);
+            }
+        });
+    }
+
+    setupRemoteControls() {
+        this.switchCameraBtn.addEventListener('click', () => this.sendCameraCommand('switch-camera'));
+        this.resolutionSelect.addEventListener('change', () => {
+            const [width, height] = this.resolutionSelect.value.split('x').map(Number);
+            this.sendCameraCommand('set-resolution', { width, height });
+        });
+        this.frameRateSelect.addEventListener('change', () => {
+            this.sendCameraCommand('set-frame-rate', parseInt(this.frameRateSelect.value, 10));
+        });
+        this.torchBtn.addEventListener('click', () => {
+            this.sendCameraCommand('set-torch', !(this.remoteCameraStateData && this.remoteCameraStateData.torch));
+        });
+        this.muteMicBtn.addEventListener('click', () => {
+            this.sendCameraCommand('mute-microphone', !(this.remoteCameraStateData && this.remoteCameraStateData.microphoneMuted));
+        });
+        this.snapshotBtn.addEventListener('click', () => {
+            this.snapshotBtn.disabled = true;
+            this.sendCameraCommand('snapshot').finally(() => {
+                this.snapshotBtn.disabled = false;
+            });
+        });
+    }
+
+    setupControlChannel(channel) {
+        this.controlChannel = channel;
+        channel.onmessage = (event) => {
+            try {
+                this.handleControlMessage(JSON.parse(event.data));
+            } catch (error) {
+                logger.error('Invalid control message:', error);
+            }
+        };
+        channel.onclose = () => {
+            if (this.controlChannel === channel) {
+                this.controlChannel = null;
+                this.updateRemoteControls();
+            }
+        };
+    }
+
+    sendCameraCommand(action, value) {
+        if (!this.controlChannel || this.controlChannel.readyState !== 'open') {
+            return Promise.resolve();
+        }
+        
+        const id = this.nextControlRequestId++;
+        this.controlChannel.send(JSON.stringify({ type: 'command', id, action, value }));
+        
+        return new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                this.controlRequests.delete(id);
+                this.remoteCameraState.textContent = `${action} timed out`;
+                resolve();
+            }, 15000);
+            this.controlRequests.set(id, { action, resolve, timeout });
+        });
+    }
+
+    handleControlMessage(message) {
+        if (message.type === 'state') {
+            this.renderRemoteCameraState(message.state);
+        } else if (message.type === 'snapshot-chunk') {
+            this.snapshotChunks[message.index] = message.data;
+            if (this.snapshotChunks.filter(Boolean).length === message.total) {
+                this.showSnapshot(this.snapshotChunks.join(''));
+                this.snapshotChunks = [];
+            }
+        } else if (message.type === 'result') {
+            const request = this.controlRequests.get(message.id);
+            if (!request) return;
+            
+            clearTimeout(request.timeout);
+            this.controlRequests.delete(message.id);
+            if (!message.ok) {
+                logger.warn('Camera command failed:', request.action, message.error);
+                this.remoteCameraState.textContent = `${request.action} failed: ${message.error}`;
+            }
+            request.resolve();
+        }
+    }
+
+    renderRemoteCameraState(state) {
+        this.remoteCameraStateData = state;
+        this.updateRemoteControls();
+        
+        this.switchCameraBtn.disabled = !state.canSwitchCamera;
+        this.torchBtn.disabled = !state.torchSupported;
+        this.torchBtn.textContent = state.torch ? '🔦 Torch off' : '🔦 Torch on';
+        this.muteMicBtn.textContent = state.microphoneMuted ? '🎤 Unmute mic' : '🎤 Mute mic';
+        
+        const resolution = `${state.width}x${state.height}`;
+        if (Array.from(this.resolutionSelect.options).some(option => option.value === resolution)) {
+            this.resolutionSelect.value = resolution;
+        }
+        if (state.frameRate) {
+            this.frameRateSelect.value = String(state.frameRate);
+        }
+        
+        this.remoteCameraState.textContent = [
+            state.facingMode === 'environment' ? 'Back camera' : 'Front camera',
+            state.width && state.height ? `${state.width}×${state.height}` : null,
+            state.frameRate ? `${state.frameRate} fps` : null,
+            state.microphoneMuted ? 'mic muted' : 'mic on'
+        ].filter(Boolean).join(' · ');
+    }
+
+    // The controls show once the streamer gave this viewer control and the camera answered
+    updateRemoteControls() {
+        const ready = this.controlGranted && Boolean(this.controlChannel) && Boolean(this.remoteCameraStateData);
+        this.remoteControls.classList.toggle('hidden', !ready);
+    }
+
+    showSnapshot(dataUrl) {
+        this.snapshotImage.src = dataUrl;
+        this.snapshotDownload.href = dataUrl;
+        this.snapshotDownload.download = `snapshot-${this.currentStreamId}-${Date.now()}.jpg`;
+        this.snapshotResult.classList.remove('hidden');
+    }
+
+    async startRecording(uploadToken) {
+        if (!window.MediaRecorder) {
+            alert('Recording is not supported in this browser.');
+            return;
+        }
+        
+        try {
+            const streamId = this.currentStreamId;
+            const mimeType = ['video/webm;codecs=vp8,opus', 'video/webm']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            
+            const response = await fetch(`/api/recordings/${streamId}/sessions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${uploadToken}`
+                },
+                body: JSON.stringify({ mimeType })
+            });
+            if (!response.ok) {
+                throw new Error(`Server refused recording (${response.status})`);
+            }
+            const { sessionId } = await response.json();
+            
+            this.recording = {
+                streamId,
+                sessionId,
+                uploadToken,
+                chunkIndex: 0,
+                uploads: Promise.resolve()
+            };
+            this.rememberUploadToken(streamId, sessionId, uploadToken);
+            
+            this.mediaRecorder = new MediaRecorder(this.localStream, mimeType ? { mimeType } : undefined);
+            const recording = this.recording;
+            
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    this.queueRecordingUpload(recording, event.data);
+                }
+            };
+            this.mediaRecorder.onstop = () => {
+                this.queueRecordingUpload(recording, null);
+            };
+            
+            // Upload a chunk every few seconds so little is lost if the phone dies
+            this.mediaRecorder.start(5000);
+            logger.debug('Recording started:', sessionId);
+            
+        } catch (error) {
+            logger.error('Error starting recording:', error);
+            this.updateStatus(`Recording failed: ${error.message}`, 'disconnected');
+        }
+    }
+
+    stopRecording() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+        this.recording = null;
+    }
+
+    // Uploads run one at a time so chunks reach the server in order.
+    // A null chunk marks the end of the recording.
+    queueRecordingUpload(recording, chunk) {
+        const baseUrl = `/api/recordings/${recording.streamId}/${recording.sessionId}`;
+        
+        recording.uploads = recording.uploads.then(async () => {
+            // Read when the upload runs, as rotated tokens replace it
+            const headers = { 'Authorization': `Bearer ${recording.uploadToken}` };
+            if (chunk) {
+                await fetch(`${baseUrl}/chunks`, {
+                    method: 'POST',
+                    headers: { ...headers, 'Content-Type': 'application/octet-stream', 'X-Chunk-Index': recording.chunkIndex },
+                    body: chunk
+                });
+                recording.chunkIndex++;
+            } else {
+                await fetch(`${baseUrl}/finish`, { method: 'POST', headers });
+                logger.debug('Recording finished:', recording.sessionId);
+            }
+        }).catch(error => {
+            logger.error('Error uploading recording chunk:', error);
+        });
+    }
+
+    rememberUploadToken(streamId, sessionId, uploadToken) {
+        const tokens = this.getUploadTokens();
+        tokens[`${streamId}/${sessionId}`] = uploadToken;
+        localStorage.setItem('recordingUploadTokens', JSON.stringify(tokens));
+    }
+
+    getUploadTokens() {
+        try {
+            return JSON.parse(localStorage.getItem('recordingUploadTokens')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async loadRecordings() {
+        const streamId = this.currentStreamId || this.streamIdInput.value.trim();
+        if (!streamId) return;
+        
+        try {
+            const headers = this.viewerToken ? { 'Authorization': `Bearer ${this.viewerToken}` } : {};
+            const response = await fetch(`/api/recordings/${encodeURIComponent(streamId)}`, { headers });
+            const recordings = response.ok ? await response.json() : [];
+            this.renderRecordings(recordings);
+        } catch (error) {
+            logger.error('Error loading recordings:', error);
+        }
+    }
+
+    renderRecordings(recordings) {
+        this.recordingsList.innerHTML = '';
+        this.recordingsEmpty.textContent = 'No recordings for this stream';
+        this.recordingsEmpty.classList.toggle('hidden', recordings.length > 0);
+        
+        const uploadTokens = this.getUploadTokens();
+        const tokenQuery = this.viewerToken ? `token=${encodeURIComponent(this.viewerToken)}` : '';
+        
+        recordings.forEach(recording => {
+            const item = document.createElement('li');
+            
+            const title = document.createElement('div');
+            title.textContent = new Date(recording.startedAt).toLocaleString();
+            
+            const meta = document.createElement('div');
+            meta.className = 'recording-meta';
+            const sizeMb = (recording.size / (1024 * 1024)).toFixed(1);
+            meta.textContent = `${sizeMb} MB${recording.endedAt ? '' : ' · recording…'}`;
+            
+            const actions = document.createElement('div');
+            actions.className = 'recording-actions';
+            
+            const playBtn = document.createElement('button');
+            playBtn.className = 'btn btn-secondary btn-small';
+            playBtn.textContent = 'Play';
+            playBtn.addEventListener('click', () => {
+                this.recordingPlayer.src = tokenQuery ? `${recording.url}?${tokenQuery}` : recording.url;
+                this.recordingPlayer.classList.remove('hidden');
+                this.recordingPlayer.play().catch(() => {});
+            });
+            
+            const downloadLink = document.createElement('a');
+            downloadLink.className = 'btn btn-secondary btn-small';
+            downloadLink.textContent = 'Download';
+            downloadLink.href = `${recording.url}?download=1${tokenQuery ? `&${tokenQuery}` : ''}`;
+            
+            actions.append(playBtn, downloadLink);
+            
+            // Only the browser that made the recording holds the token to delete it
+            const uploadToken = uploadTokens[`${recording.streamId}/${recording.sessionId}`];
+            if (uploadToken) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn btn-danger btn-small';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', () => this.deleteRecording(recording, uploadToken));
+                actions.append(deleteBtn);
+            }
+            
+            item.append(title, meta, actions);
+            this.recordingsList.appendChild(item);
+        });
+    }
+
+    async deleteRecording(recording, uploadToken) {
+        if (!confirm('Delete this recording?')) return;
+        
+        try {
+            const response = await fetch(recording.url, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${uploadToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            this.loadRecordings();
+        } catch (error) {
+            logger.error('Error deleting recording:', error);
+            alert('Could not delete recording: ' + error.message);
+        }
+    }
+
+    async joinStream() {
+        const streamId = this.streamIdInput.value.trim();
+        if (!streamId) {
+            alert('Please enter a Stream ID');
+            return;
+        }
+
+        logger.debug('Joining stream:', streamId);
+        this.currentStreamId = streamId;
+        this.updateStatus('Connecting to stream...', 'connected');
+        
+        // Recordings stay available after a stream ends
+        this.loadRecordings();
+        
+        // Motion alerts can notify in the background once the viewer allows it
+        if (window.Notification && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        
+        // First check if stream exists via API
+        try {
+            logger.debug('Checking if stream exists via API...');
+            const response = await fetch(`/api/stream/${streamId}`);
+            const data = await response.json();
+            
+            logger.debug('Stream check result:', data);
+            
+            if (!data.exists) {
+                this.updateStatus('Stream not found', 'disconnected');
+                alert(`Stream "${streamId}" not found. Please check the Stream ID and make sure the streamer is online.`);
+                return;
+            }
+            
+            if (data.private && !this.viewerToken && !this.viewerPassphraseInput.value) {
+                this.viewerPassphraseInput.classList.remove('hidden');
+                this.viewerPassphraseInput.focus();
+                this.updateStatus('This stream is private - Enter the passphrase', 'disconnected');
+                return;
+            }
+            
+            logger.debug('Stream exists, joining via socket...');
+            this.emitJoinStream(streamId);
+            
+        } catch (error) {
+            logger.error('Error checking stream:', error);
+            // If API check fails, try joining anyway
+            this.emitJoinStream(streamId);
+        }
+    }
+
+    emitJoinStream(streamId) {
+        this.socket.emit('join-stream', {
+            streamId,
+            token: this.viewerToken,
+            passphrase: this.viewerPassphraseInput.value || undefined
+        });
+    }
+
+    // ... rest of the methods remain the same as previous version ...
+
+    async createOfferForViewer(viewerId) {
+        try {
+            logger.debug('Creating offer for viewer:', viewerId);
+            
+            // A viewer that rejoins gets a fresh connection
+            this.closeViewerConnection(viewerId);
+            
+            const configuration = await this.getIceConfiguration();
+            const peerConnection = this.createPeerConnection(viewerId, configuration);
+            this.peerConnections.set(viewerId, peerConnection);
+            
+            // Viewers send camera control commands over this channel
+            this.cameraController.attachChannel(viewerId, peerConnection.createDataChannel('control'));
+            
+            // Simulcast only helps with the relay, which picks a layer per viewer;
+            // a direct connection has just the one viewer
+            const simulcast = viewerId === RELAY_PEER_ID && this.simulcastCheckbox.checked;
+            this.localStream.getTracks().forEach(track => {
+                if (simulcast && track.kind === 'video') {
+                    peerConnection.addTransceiver(track, {
+                        direction: 'sendonly',
+                        streams: [this.localStream],
+                        sendEncodings: SIMULCAST_ENCODINGS
+                    });
+                } else {
+                    peerConnection.addTrack(track, this.localStream);
+                }
+            });
+            
+            // Without a microphone there is no audio transceiver for the
+            // viewer's push-to-talk audio, so add a receive-only one
+            if (this.localStream.getAudioTracks().length === 0) {
+                peerConnection.addTransceiver('audio', { direction: 'recvonly' });
+            }
+
+            const offer = await peerConnection.createOffer();
+            await peerConnection.setLocalDescription(offer);
+            this.qualityController.configurePeerConnection(peerConnection);
+            
+            logger.debug('Sending offer to viewer:', viewerId);
+            
+            this.socket.emit('offer', {
+                offer: offer,
+                targetViewerId: viewerId,
+                streamId: this.currentStreamId
+            });
+
+        } catch (error) {
+            logger.error('Error creating offer:', error);
+        }
+    }
+
+    closeViewerConnection(viewerId) {
+        const peerConnection = this.peerConnections.get(viewerId);
+        if (this.cameraController) {
+            this.cameraController.detachChannel(viewerId);
+        }
+        this.viewerAudioStreams.delete(viewerId);
+        if (peerConnection) {
+            logger.debug('Closing peer connection for viewer:', viewerId);
+            peerConnection.close();
+            this.peerConnections.delete(viewerId);
+        }
+    }
+
+    // ICE servers come from the server, including short-lived TURN credentials,
+    // and are cached until shortly before those expire
+    async getIceConfiguration() {
+        const cached = this.iceConfiguration;
+        if (cached && (!cached.expiresAt || new Date(cached.expiresAt) - Date.now() > 60 * 1000)) {
+            return cached.configuration;
+        }
+        
+        try {
+            const response = await fetch(`/api/ice-config?peer=${encodeURIComponent(this.socket.id || '')}`);
+            const data = await response.json();
+            const configuration = {
+                iceServers: data.iceServers,
+                iceTransportPolicy: data.iceTransportPolicy
+            };
+            
+            logger.debug('ICE servers:', data.iceServers.length === 0 ? 'none (LAN-only)' : data.iceServers.length);
+            this.iceConfiguration = { configuration, expiresAt: data.expiresAt };
+            return configuration;
+            
+        } catch (error) {
+            logger.error('Error loading ICE configuration, using local candidates only:', error);
+            return cached ? cached.configuration : { iceServers: [] };
+        }
+    }
+
+    createPeerConnection(remoteId, configuration) {
+        logger.debug('Creating peer connection with:', remoteId);
+
+        const peerConnection = new RTCPeerConnection(configuration);
+
+        peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('ice-candidate', {
+                    candidate: event.candidate,
+                    target: remoteId,
+                    streamId: this.currentStreamId
+                });
+            }
+        };
+
+        peerConnection.onconnectionstatechange = () => {
+            const state = peerConnection.connectionState;
+            logger.debug(`Connection state with ${remoteId}:`, state);
+            
+            if (this.isStreamer) {
+                if (state === 'failed') {
+                    this.closeViewerConnection(remoteId);
+                    
+                    // Viewers depend on the relay connection, so set it up again
+                    if (remoteId === RELAY_PEER_ID && this.isRelayed && this.socket.connected) {
+                        this.createOfferForViewer(RELAY_PEER_ID);
+                    }
+                }
+                return;
+            }
+            
+            this.updateStatus(`Connection: ${state}`, 'connected');
+            
+            if (state === 'connected') {
+                logger.debug('Peer connection established!');
+                this.pushToTalkBtn.classList.toggle('hidden', !this.talkbackTransceiver);
+                this.updateStatus('Connected - Tap play to start video', 'connected');
+            }
+        };
+
+        peerConnection.ondatachannel = (event) => {
+            if (event.channel.label === 'control') {
+                this.setupControlChannel(event.channel);
+            }
+        };
+
+        peerConnection.ontrack = (event) => {
+            logger.debug('Received remote track, streams:', event.streams.length);
+            
+            // The streamer only ever receives push-to-talk audio from a viewer
+            if (this.isStreamer) {
+                if (event.track.kind === 'audio') {
+                    this.viewerAudioStreams.set(remoteId, new MediaStream([event.track]));
+                }
+                return;
+            }
+            
+            if (event.streams && event.streams[0]) {
+                this.remoteVideo.srcObject = event.streams[0];
+                this.noStreamMessage.classList.add('hidden');
+                this.updateStatus('Connected - Tap the play button to start video', 'connected');
+                
+                this.playOverlay.classList.remove('hidden');
+                
+                if (this.hasUserInteracted) {
+                    setTimeout(() => {
+                        this.playRemoteVideo();
+                    }, 1000);
+                }
+            }
+        };
+
+        return peerConnection;
+    }
+
+    async playRemoteVideo() {
+        try {
+            logger.debug('Attempting to play video...');
+            
+            if (!this.remoteVideo.srcObject) {
+                logger.debug('No video source available');
+                return;
+            }
+            
+            this.remoteVideo.muted = true;
+            await this.remoteVideo.play();
+            
+            this.playOverlay.classList.add('hidden');
+            this.updateStatus('Connected - Watching live stream', 'connected');
+            
+            logger.debug('Video playback started successfully');
+            
+            setTimeout(() => {
+                if (this.remoteVideo.muted) {
+                    this.remoteVideo.muted = false;
+                }
+            }, 1000);
+            
+        } catch (error) {
+            logger.error('Error playing video:', error);
+            this.updateStatus('Tap play button to start video', 'connected');
+            
+            if (error.name === 'NotAllowedError') {
+                this.playOverlay.classList.remove('hidden');
+                this.playVideoBtn.textContent = '▶️ Tap to Play Video (Browser blocked autoplay)';
+            }
+        }
+    }
+
+    async handleOffer(data) {
+        try {
+            logger.debug('Handling offer from streamer');
+            
+            if (this.peerConnection) {
+                this.peerConnection.close();
+            }
+            this.isTalkPressed = false;
+            this.stopMicrophone();
+            
+            const configuration = await this.getIceConfiguration();
+            this.peerConnection = this.createPeerConnection(data.from, configuration);
+            await this.peerConnection.setRemoteDescription(data.offer);
+            
+            // Negotiate sending on the audio transceiver up front, so push-to-talk
+            // only has to swap a microphone track in without renegotiating
+            this.talkbackTransceiver = this.peerConnection.getTransceivers()
+                .find(transceiver => transceiver.receiver.track && transceiver.receiver.track.kind === 'audio') || null;
+            if (this.talkbackTransceiver) {
+                this.talkbackTransceiver.direction = 'sendrecv';
+            }
+            
+            const answer = await this.peerConnection.createAnswer();
+            await this.peerConnection.setLocalDescription(answer);
+            
+            this.socket.emit('answer', {
+                answer: answer,
+                targetStreamerId: data.from,
+                streamId: this.currentStreamId
+            });
+            
+            logger.debug('Sent answer to streamer');
+
+        } catch (error) {
+            logger.error('Error handling offer:', error);
+        }
+    }
+
+    async handleAnswer(data) {
+        try {
+            logger.debug('Handling answer from viewer:', data.from);
+            
+            const peerConnection = this.peerConnections.get(data.from);
+            if (peerConnection) {
+                await peerConnection.setRemoteDescription(data.answer);
+            }
+        } catch (error) {
+            logger.error('Error handling answer:', error);
+        }
+    }
+
+    async handleIceCandidate(data) {
+        try {
+            const peerConnection = this.isStreamer
+                ? this.peerConnections.get(data.from)
+                : this.peerConnection;
+            
+            if (peerConnection && data.candidate) {
+                await peerConnection.addIceCandidate(data.candidate);
+            }
+        } catch (error) {
+            logger.error('Error adding ICE candidate:', error);
+        }
+    }
+
+    showStreamerView() {
+        this.streamerView.classList.remove('hidden');
+        this.viewerView.classList.add('hidden');
+        this.isStreamer = true;
+        this.hasUserInteracted = true;
+    }
+
+    showViewerView() {
+        this.streamerView.classList.add('hidden');
+        this.viewerView.classList.remove('hidden');
+        this.isStreamer = false;
+        this.hasUserInteracted = true;
+        this.checkUrlForStreamId();
+    }
 
     checkUrlForStreamId() {
         const urlParams = new URLSearchParams(window.location.search);
         const streamId = urlParams.get('stream');
         if (streamId) {
             this.streamIdInput.value = streamId;
-            console.log('🔗 Found stream ID in URL:', streamId);
+            this.viewerToken = urlParams.get('token');
+            this.updateFollowButton();
+            logger.debug('Found stream ID in URL:', streamId);
             setTimeout(() => {
                 this.joinStream();
             }, 500);
         }
     }
 
+    // Offered for whichever stream id is in the join box
+    updateFollowButton() {
+        const streamId = this.streamIdInput.value.trim();
+        if (!streamId || !this.pushFollows.isSupported) {
+            this.followStreamBtn.classList.add('hidden');
+            return;
+        }
+        this.followStreamBtn.classList.remove('hidden');
+        this.followStreamBtn.textContent = this.pushFollows.isFollowing(streamId) ? '🔕 Stop notifying' : '🔔 Notify me';
+    }
+
+    async toggleFollow() {
+        const streamId = this.streamIdInput.value.trim();
+        if (!streamId) return;
+
+        this.followStreamBtn.disabled = true;
+        try {
+            await this.pushFollows.toggle(streamId);
+        } catch (error) {
+            logger.error('Error following stream:', error);
+            alert('Could not change notifications: ' + error.message);
+        } finally {
+            this.followStreamBtn.disabled = false;
+            this.updateFollowButton();
+        }
+    }
+
     copyStreamLink() {
         this.streamLink.select();
         document.execCommand('copy');
@@ -468,6 +2040,6 @@ class CameraStreamApp {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    console.log('🚀 Initializing Camera Stream App...');
+    logger.debug('Initializing Camera Stream App...');
     window.cameraApp = new CameraStreamApp();
 });
\ No newline at end of file
@@ -0,0 +1,277 @@
+// Streamer side of the remote camera control protocol. Each viewer gets a
+// "control" RTCDataChannel and sends commands over it:
+//   { type: 'command', id, action, value }
+// Only viewers the streamer granted control (`isAllowed(viewerId)`) are obeyed.
+// With the server relay all commands share one channel and carry the viewerId
+// of the sender, which the relay has already checked. The streamer answers with
+// { type: 'result', id, ok, error }, pushes { type: 'state', state } to every
+// viewer after each change, and returns snapshots as a series of
+// { type: 'snapshot-chunk', id, index, total, data }.
+class CameraController {
+    constructor(options) {
+        this.getStream = options.getStream;
+        this.getPeerConnections = options.getPeerConnections;
+        this.video = options.video;
+        this.isAllowed = options.isAllowed;
+        this.onVideoTrackChanged = options.onVideoTrackChanged || (() => {});
+
+        this.channels = new Map();
+        this.facingMode = 'user';
+        this.canSwitchCamera = false;
+
+        // Data channel messages are kept well below the SCTP message size limit
+        this.snapshotChunkSize = 16 * 1024;
+
+        this.detectCameras();
+    }
+
+    async detectCameras() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.canSwitchCamera = devices.filter(device => device.kind === 'videoinput').length > 1;
+            this.broadcastState();
+        } catch (error) {
+            logger.error('Error listing cameras:', error);
+        }
+    }
+
+    attachChannel(viewerId, channel) {
+        this.channels.set(viewerId, channel);
+        channel.onopen = () => this.send(channel, { type: 'state', state: this.getState() });
+        channel.onmessage = (event) => this.handleMessage(viewerId, channel, event.data);
+        channel.onclose = () => {
+            if (this.channels.get(viewerId) === channel) {
+                this.channels.delete(viewerId);
+            }
+        };
+    }
+
+    detachChannel(viewerId) {
+        const channel = this.channels.get(viewerId);
+        if (channel) {
+            channel.close();
+            this.channels.delete(viewerId);
+        }
+    }
+
+    send(channel, message) {
+        if (channel.readyState === 'open') {
+            channel.send(JSON.stringify(message));
+        }
+    }
+
+    broadcastState() {
+        const message = { type: 'state', state: this.getState() };
+        this.channels.forEach(channel => this.send(channel, message));
+    }
+
+    getVideoTrack() {
+        const stream = this.getStream();
+        return stream ? stream.getVideoTracks()[0] : null;
+    }
+
+    getAudioTrack() {
+        const stream = this.getStream();
+        return stream ? stream.getAudioTracks()[0] : null;
+    }
+
+    getState() {
+        const videoTrack = this.getVideoTrack();
+        const audioTrack = this.getAudioTrack();
+        const settings = videoTrack ? videoTrack.getSettings() : {};
+        const capabilities = videoTrack && videoTrack.getCapabilities ? videoTrack.getCapabilities() : {};
+
+        return {
+            facingMode: settings.facingMode || this.facingMode,
+            canSwitchCamera: this.canSwitchCamera,
+            width: settings.width,
+            height: settings.height,
+            frameRate: settings.frameRate ? Math.round(settings.frameRate) : undefined,
+            torchSupported: Boolean(capabilities.torch),
+            torch: Boolean(settings.torch),
+            microphoneMuted: audioTrack ? !audioTrack.enabled : true
+        };
+    }
+
+    async handleMessage(viewerId, channel, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+        if (!message || message.type !== 'command') return;
+
+        logger.debug('Camera command from viewer:', message.action, message.value);
+
+        const senderId = viewerId === RELAY_PEER_ID ? message.viewerId : viewerId;
+        if (!this.isAllowed(senderId)) {
+            this.send(channel, { type: 'result', id: message.id, ok: false, error: 'The streamer has not given you control' });
+            return;
+        }
+
+        try {
+            const result = await this.execute(message.action, message.value);
+            if (message.action === 'snapshot') {
+                this.sendSnapshot(channel, message.id, result);
+            }
+            this.send(channel, { type: 'result', id: message.id, ok: true });
+        } catch (error) {
+            logger.error('Camera command failed:', error);
+            this.send(channel, { type: 'result', id: message.id, ok: false, error: error.message });
+        }
+        this.broadcastState();
+    }
+
+    async execute(action, value) {
+        switch (action) {
+            case 'switch-camera':
+                return this.switchCamera();
+            case 'set-resolution':
+                return this.setResolution(value);
+            case 'set-frame-rate':
+                return this.setFrameRate(value);
+            case 'set-torch':
+                return this.setTorch(Boolean(value));
+            case 'mute-microphone':
+                return this.setMicrophoneMuted(Boolean(value));
+            case 'snapshot':
+                return this.takeSnapshot();
+            default:
+                throw new Error(`Unknown action: ${action}`);
+        }
+    }
+
+    requireVideoTrack() {
+        const track = this.getVideoTrack();
+        if (!track) {
+            throw new Error('Camera is not running');
+        }
+        return track;
+    }
+
+    async switchCamera() {
+        const current = this.requireVideoTrack();
+        const settings = current.getSettings();
+        const facingMode = (settings.facingMode || this.facingMode) === 'environment' ? 'user' : 'environment';
+        const constraints = {
+            video: {
+                facingMode: { exact: facingMode },
+                width: { ideal: settings.width },
+                height: { ideal: settings.height },
+                frameRate: { ideal: settings.frameRate }
+            }
+        };
+
+        let newStream;
+        try {
+            newStream = await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (error) {
+            // Many phones cannot open two cameras at once, so release the current one and retry
+            if (error.name !== 'NotReadableError') throw error;
+            current.stop();
+            newStream = await navigator.mediaDevices.getUserMedia(constraints);
+        }
+
+        const track = newStream.getVideoTracks()[0];
+        await this.replaceVideoTrack(current, track);
+        this.facingMode = track.getSettings().facingMode || facingMode;
+    }
+
+    async replaceVideoTrack(oldTrack, newTrack) {
+        const stream = this.getStream();
+        stream.removeTrack(oldTrack);
+        stream.addTrack(newTrack);
+        oldTrack.stop();
+
+        const replacements = [];
+        this.getPeerConnections().forEach(peerConnection => {
+            peerConnection.getSenders()
+                .filter(sender => sender.track && sender.track.kind === 'video')
+                .forEach(sender => replacements.push(sender.replaceTrack(newTrack)));
+        });
+        await Promise.all(replacements);
+
+        this.onVideoTrackChanged(newTrack);
+    }
+
+    async setResolution(value) {
+        const width = parseInt(value && value.width, 10);
+        const height = parseInt(value && value.height, 10);
+        if (!(width >= 160 && width <= 3840 && height >= 120 && height <= 2160)) {
+            throw new Error('Invalid resolution');
+        }
+        await this.requireVideoTrack().applyConstraints({
+            width: { ideal: width },
+            height: { ideal: height }
+        });
+    }
+
+    async setFrameRate(value) {
+        const frameRate = parseInt(value, 10);
+        if (!(frameRate >= 1 && frameRate <= 60)) {
+            throw new Error('Invalid frame rate');
+        }
+        await this.requireVideoTrack().applyConstraints({ frameRate: { ideal: frameRate } });
+    }
+
+    async setTorch(on) {
+        const track = this.requireVideoTrack();
+        const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+        if (!capabilities.torch) {
+            throw new Error('This camera has no torch');
+        }
+        await track.applyConstraints({ advanced: [{ torch: on }] });
+    }
+
+    setMicrophoneMuted(muted) {
+        const track = this.getAudioTrack();
+        if (!track) {
+            throw new Error('No microphone');
+        }
+        track.enabled = !muted;
+    }
+
+    // Full resolution still: ImageCapture where available, otherwise the current video frame
+    async takeSnapshot() {
+        const track = this.requireVideoTrack();
+
+        if (window.ImageCapture) {
+            try {
+                const blob = await new ImageCapture(track).takePhoto();
+                return await this.blobToDataUrl(blob);
+            } catch (error) {
+                logger.warn('takePhoto failed, falling back to video frame:', error);
+            }
+        }
+
+        const settings = track.getSettings();
+        const canvas = document.createElement('canvas');
+        canvas.width = settings.width || this.video.videoWidth;
+        canvas.height = settings.height || this.video.videoHeight;
+        canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.92);
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    sendSnapshot(channel, id, dataUrl) {
+        const total = Math.ceil(dataUrl.length / this.snapshotChunkSize);
+        for (let index = 0; index < total; index++) {
+            this.send(channel, {
+                type: 'snapshot-chunk',
+                id,
+                index,
+                total,
+                data: dataUrl.slice(index * this.snapshotChunkSize, (index + 1) * this.snapshotChunkSize)
+            });
+        }
+    }
+}
@@ -0,0 +1,265 @@
+// Reactions the server accepts, in the order of the reaction buttons
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '👏', '🔥'];
+
+// How long a reaction floats over the panel
+const REACTION_DISPLAY_MS = 2500;
+
+// Guests choose a chat name once per device
+const CHAT_NAME_KEY = 'chatName';
+
+// The chat panel of the stream page, one in each view. The streamer's panel
+// moderates: it can delete any message and mute or unmute viewers. Messages
+// are always shown as text, never as HTML.
+class ChatPanel {
+    constructor(options) {
+        this.socket = options.socket;
+        this.root = options.root;
+        this.isModerator = Boolean(options.isModerator);
+        this.getUser = options.getUser || (() => null);
+
+        this.streamId = null;
+        this.isMuted = false;
+        this.mutedViewers = new Set();
+        this.messageItems = new Map(); // message id -> <li>
+        this.noticeTimer = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.setupSocket();
+    }
+
+    initializeElements() {
+        this.messagesList = this.root.querySelector('.chat-messages');
+        this.emptyMessage = this.root.querySelector('.chat-empty');
+        this.reactionLayer = this.root.querySelector('.chat-reaction-layer');
+        this.reactionBar = this.root.querySelector('.chat-reactions');
+        this.form = this.root.querySelector('.chat-form');
+        this.nameInput = this.root.querySelector('.chat-name');
+        this.textInput = this.root.querySelector('.chat-input');
+        this.sendBtn = this.root.querySelector('.chat-send');
+        this.notice = this.root.querySelector('.chat-notice');
+
+        this.nameInput.value = localStorage.getItem(CHAT_NAME_KEY) || '';
+        CHAT_REACTIONS.forEach(reaction => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary btn-small chat-reaction-btn';
+            button.textContent = reaction;
+            button.addEventListener('click', () => this.sendReaction(reaction));
+            this.reactionBar.appendChild(button);
+        });
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendMessage();
+        });
+        this.nameInput.addEventListener('change', () => {
+            localStorage.setItem(CHAT_NAME_KEY, this.nameInput.value.trim());
+        });
+    }
+
+    // Both panels hear every chat event; each only takes those of its stream
+    setupSocket() {
+        this.socket.on('chat-history', (data) => {
+            if (data.streamId !== this.streamId) return;
+            this.messagesList.textContent = '';
+            this.messageItems.clear();
+            data.messages.forEach(message => this.addMessage(message));
+            this.setMuted(Boolean(data.muted));
+            this.updateEmpty();
+        });
+
+        this.socket.on('chat-message', (message) => {
+            if (message.streamId !== this.streamId) return;
+            this.addMessage(message);
+            this.updateEmpty();
+        });
+
+        this.socket.on('chat-deleted', (data) => {
+            if (data.streamId !== this.streamId) return;
+            const item = this.messageItems.get(data.messageId);
+            if (item) {
+                item.remove();
+                this.messageItems.delete(data.messageId);
+            }
+            this.updateEmpty();
+        });
+
+        this.socket.on('chat-muted', (data) => {
+            if (data.streamId !== this.streamId) return;
+            if (this.isModerator) {
+                if (data.muted) {
+                    this.mutedViewers.add(data.viewerId);
+                } else {
+                    this.mutedViewers.delete(data.viewerId);
+                }
+                this.updateMuteButtons(data.viewerId);
+            } else if (data.viewerId === this.socket.id) {
+                this.setMuted(data.muted);
+            }
+        });
+
+        this.socket.on('chat-reaction', (data) => {
+            if (data.streamId === this.streamId) {
+                this.showReaction(data);
+            }
+        });
+    }
+
+    // Signed-in accounts chat under their own name, so only guests pick one
+    updateAccount() {
+        this.nameInput.classList.toggle('hidden', Boolean(this.getUser()));
+    }
+
+    // Shows the chat of `streamId`; the server sends its history on join
+    open(streamId) {
+        if (streamId !== this.streamId) {
+            this.messagesList.textContent = '';
+            this.messageItems.clear();
+            this.mutedViewers.clear();
+            this.setMuted(false);
+        }
+        this.streamId = streamId;
+        this.updateEmpty();
+        this.setEnabled(true);
+        this.root.classList.remove('hidden');
+    }
+
+    // The stream ended: the messages stay readable but nothing can be sent
+    close() {
+        this.setEnabled(false);
+        this.streamId = null;
+    }
+
+    setEnabled(enabled) {
+        [this.textInput, this.sendBtn, ...this.reactionBar.querySelectorAll('button')].forEach(element => {
+            element.disabled = !enabled || this.isMuted;
+        });
+    }
+
+    setMuted(muted) {
+        this.isMuted = muted;
+        this.notice.textContent = muted ? 'The streamer muted you in this chat' : '';
+        this.notice.classList.toggle('hidden', !muted);
+        this.setEnabled(Boolean(this.streamId));
+    }
+
+    // The name a guest chats under; the server ignores it for accounts
+    getGuestName() {
+        return this.getUser() ? null : this.nameInput.value.trim() || null;
+    }
+
+    sendMessage() {
+        const text = this.textInput.value.trim();
+        if (!text || !this.streamId) return;
+
+        this.socket.emit('chat-message', { streamId: this.streamId, text, name: this.getGuestName() });
+        this.textInput.value = '';
+    }
+
+    sendReaction(reaction) {
+        if (this.streamId) {
+            this.socket.emit('chat-reaction', { streamId: this.streamId, reaction, name: this.getGuestName() });
+        }
+    }
+
+    // The server turned away a chat event: muted, too fast or not in the stream
+    handleRequestError(data) {
+        if (data.code === 'muted') {
+            this.setMuted(true);
+        } else if (data.code === 'rate-limited') {
+            this.showNotice('Slow down - you are sending messages too fast');
+        } else {
+            this.showNotice(data.message);
+        }
+    }
+
+    showNotice(message) {
+        this.notice.textContent = message;
+        this.notice.classList.remove('hidden');
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            if (!this.isMuted) {
+                this.notice.classList.add('hidden');
+            }
+        }, 5000);
+    }
+
+    addMessage(message) {
+        const item = document.createElement('li');
+        item.className = `chat-message chat-${message.author.role}`;
+
+        const author = document.createElement('strong');
+        author.className = 'chat-author';
+        author.textContent = message.author.role === 'streamer' ? `🎥 ${message.author.name}` : message.author.name;
+        author.title = message.author.signedIn ? 'Signed-in account' : 'Guest';
+
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+
+        item.append(time, author, text);
+
+        if (this.isModerator) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'chat-action';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.socket.emit('chat-delete', { streamId: this.streamId, messageId: message.id });
+            });
+            item.appendChild(deleteBtn);
+
+            if (message.author.role === 'viewer') {
+                const muteBtn = document.createElement('button');
+                muteBtn.type = 'button';
+                muteBtn.className = 'chat-action chat-mute';
+                muteBtn.dataset.viewerId = message.author.id;
+                muteBtn.textContent = this.mutedViewers.has(message.author.id) ? 'Unmute' : 'Mute';
+                muteBtn.addEventListener('click', () => {
+                    this.socket.emit('chat-mute', {
+                        streamId: this.streamId,
+                        viewerId: message.author.id,
+                        muted: !this.mutedViewers.has(message.author.id)
+                    });
+                });
+                item.appendChild(muteBtn);
+            }
+        }
+
+        this.messageItems.set(message.id, item);
+        const atBottom = this.messagesList.scrollHeight - this.messagesList.scrollTop - this.messagesList.clientHeight < 40;
+        this.messagesList.appendChild(item);
+        if (atBottom) {
+            this.messagesList.scrollTop = this.messagesList.scrollHeight;
+        }
+    }
+
+    updateMuteButtons(viewerId) {
+        this.messagesList.querySelectorAll('.chat-mute').forEach(button => {
+            if (button.dataset.viewerId === viewerId) {
+                button.textContent = this.mutedViewers.has(viewerId) ? 'Unmute' : 'Mute';
+            }
+        });
+    }
+
+    updateEmpty() {
+        this.emptyMessage.classList.toggle('hidden', this.messageItems.size > 0);
+    }
+
+    showReaction(data) {
+        const bubble = document.createElement('span');
+        bubble.className = 'chat-reaction-float';
+        bubble.textContent = data.reaction;
+        bubble.title = data.from;
+        bubble.style.left = `${10 + Math.random() * 80}%`;
+        this.reactionLayer.appendChild(bubble);
+        setTimeout(() => bubble.remove(), REACTION_DISPLAY_MS);
+    }
+}
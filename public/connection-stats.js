@@ -0,0 +1,104 @@
+// Summarises RTCPeerConnection getStats() into the few numbers the server
+// exports as metrics: video bitrate (bits/s), packet loss (0-1), round trip
+// time (s) and frame rate. Bitrate and loss are measured between two reports,
+// so the first report after start() only sets the baseline.
+class ConnectionStatsReporter {
+    constructor(options) {
+        this.getPeerConnections = options.getPeerConnections;
+        this.onReport = options.onReport;
+        this.intervalMs = options.intervalMs || 10000;
+
+        this.timer = null;
+        this.previous = new Map(); // RTCPeerConnection -> counters at the last report
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.report(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.previous.clear();
+    }
+
+    async report() {
+        const peerConnections = this.getPeerConnections().filter(pc => pc && pc.connectionState === 'connected');
+        Array.from(this.previous.keys())
+            .filter(pc => !peerConnections.includes(pc))
+            .forEach(pc => this.previous.delete(pc));
+        if (peerConnections.length === 0) return;
+
+        try {
+            const samples = await Promise.all(peerConnections.map(pc => this.sample(pc)));
+            const measured = samples.filter(Boolean);
+            if (measured.length === 0) return;
+
+            // The streamer sends to several viewers in mesh mode: bitrate adds
+            // up, the rest is averaged over the connections
+            this.onReport({
+                bitrate: ConnectionStatsReporter.sum(measured.map(s => s.bitrate)),
+                packetLoss: ConnectionStatsReporter.mean(measured.map(s => s.packetLoss)),
+                rtt: ConnectionStatsReporter.mean(measured.map(s => s.rtt)),
+                frameRate: ConnectionStatsReporter.mean(measured.map(s => s.frameRate))
+            });
+        } catch (error) {
+            logger.error('Error collecting connection stats:', error);
+        }
+    }
+
+    async sample(peerConnection) {
+        const stats = await peerConnection.getStats();
+        const counters = { timestamp: performance.now(), bytes: 0, packets: 0, lost: 0 };
+        let frameRate = null;
+        let rtt = null;
+        let remoteLoss = null;
+
+        stats.forEach(report => {
+            if (report.kind !== 'video' && report.type !== 'candidate-pair') return;
+
+            if (report.type === 'outbound-rtp') {
+                counters.bytes += report.bytesSent || 0;
+                frameRate = report.framesPerSecond ?? frameRate;
+            } else if (report.type === 'inbound-rtp') {
+                counters.bytes += report.bytesReceived || 0;
+                counters.packets += report.packetsReceived || 0;
+                counters.lost += report.packetsLost || 0;
+                frameRate = report.framesPerSecond ?? frameRate;
+            } else if (report.type === 'remote-inbound-rtp') {
+                // What the viewer told us about our outgoing video
+                remoteLoss = report.fractionLost ?? remoteLoss;
+                rtt = report.roundTripTime ?? rtt;
+            } else if (report.type === 'candidate-pair' && report.nominated && report.currentRoundTripTime !== undefined) {
+                rtt = rtt ?? report.currentRoundTripTime;
+            }
+        });
+
+        const previous = this.previous.get(peerConnection);
+        this.previous.set(peerConnection, counters);
+        if (!previous) return null;
+
+        const seconds = (counters.timestamp - previous.timestamp) / 1000;
+        const packets = (counters.packets - previous.packets) + (counters.lost - previous.lost);
+        const localLoss = packets > 0 ? Math.max(0, counters.lost - previous.lost) / packets : null;
+
+        return {
+            bitrate: seconds > 0 ? Math.max(0, counters.bytes - previous.bytes) * 8 / seconds : null,
+            packetLoss: remoteLoss ?? localLoss,
+            rtt,
+            frameRate
+        };
+    }
+
+    // Connections without a value for a field are left out rather than counted as 0
+    static sum(values) {
+        const known = values.filter(value => value !== null);
+        return known.length > 0 ? known.reduce((total, value) => total + value, 0) : null;
+    }
+
+    static mean(values) {
+        const known = values.filter(value => value !== null);
+        return known.length > 0 ? ConnectionStatsReporter.sum(known) / known.length : null;
+    }
+}
@@ -0,0 +1,447 @@
+// One live camera in the dashboard grid. Every tile has its own
+// RTCPeerConnection to its camera; all tiles share the dashboard's socket and
+// route signaling by stream id.
+class StreamTile {
+    constructor(dashboard, streamId, options = {}) {
+        this.dashboard = dashboard;
+        this.streamId = streamId;
+        this.name = options.name || null;
+        this.token = options.token || null;
+        this.passphrase = options.passphrase || null;
+        this.peerConnection = null;
+        this.motionTimer = null;
+
+        this.render();
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'stream-tile';
+
+        this.video = document.createElement('video');
+        this.video.autoplay = true;
+        this.video.muted = true;
+        this.video.playsInline = true;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'tile-overlay';
+
+        this.nameLabel = document.createElement('span');
+        this.nameLabel.className = 'tile-name';
+
+        this.statusLabel = document.createElement('span');
+        this.statusLabel.className = 'tile-status';
+
+        this.expandBtn = document.createElement('button');
+        this.expandBtn.className = 'btn btn-secondary btn-small tile-expand';
+        this.expandBtn.textContent = '⛶';
+        this.expandBtn.title = 'Full screen';
+        this.expandBtn.addEventListener('click', () => this.toggleExpanded());
+
+        this.followBtn = document.createElement('button');
+        this.followBtn.className = 'btn btn-secondary btn-small tile-follow';
+        this.followBtn.addEventListener('click', () => this.toggleFollow());
+        this.updateFollowButton();
+
+        overlay.append(this.nameLabel, this.statusLabel, this.followBtn, this.expandBtn);
+        this.element.append(this.video, overlay);
+        this.element.addEventListener('dblclick', () => this.toggleExpanded());
+
+        this.setName(this.name);
+    }
+
+    setName(name) {
+        this.name = name || this.name;
+        this.nameLabel.textContent = this.name ? `${this.name} (${this.streamId})` : this.streamId;
+    }
+
+    setStatus(text) {
+        this.statusLabel.textContent = text;
+    }
+
+    updateFollowButton() {
+        const pushFollows = this.dashboard.pushFollows;
+        this.followBtn.classList.toggle('hidden', !pushFollows.isSupported);
+        const following = pushFollows.isFollowing(this.streamId);
+        this.followBtn.textContent = following ? '🔕' : '🔔';
+        this.followBtn.title = following ? 'Stop notifying' : 'Notify me when this camera goes live or offline';
+    }
+
+    async toggleFollow() {
+        this.followBtn.disabled = true;
+        try {
+            await this.dashboard.pushFollows.toggle(this.streamId);
+        } catch (error) {
+            logger.error('Error following stream:', error);
+            alert('Could not change notifications: ' + error.message);
+        } finally {
+            this.followBtn.disabled = false;
+            this.updateFollowButton();
+        }
+    }
+
+    join() {
+        this.setStatus('Connecting...');
+        this.dashboard.socket.emit('join-stream', {
+            streamId: this.streamId,
+            token: this.token || undefined,
+            passphrase: this.passphrase || undefined
+        });
+    }
+
+    async handleOffer(data) {
+        try {
+            this.closeConnection();
+
+            const configuration = await this.dashboard.getIceConfiguration();
+            const peerConnection = new RTCPeerConnection(configuration);
+            this.peerConnection = peerConnection;
+
+            peerConnection.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.dashboard.socket.emit('ice-candidate', {
+                        candidate: event.candidate,
+                        target: data.from,
+                        streamId: this.streamId
+                    });
+                }
+            };
+
+            peerConnection.onconnectionstatechange = () => {
+                const state = peerConnection.connectionState;
+                this.setStatus(state === 'connected' ? '🔴 Live' : state);
+            };
+
+            peerConnection.ontrack = (event) => {
+                if (event.streams && event.streams[0]) {
+                    this.video.srcObject = event.streams[0];
+                    this.video.play().catch(error => logger.error('Error playing tile video:', error));
+                }
+            };
+
+            await peerConnection.setRemoteDescription(data.offer);
+            const answer = await peerConnection.createAnswer();
+            await peerConnection.setLocalDescription(answer);
+
+            this.dashboard.socket.emit('answer', {
+                answer,
+                targetStreamerId: data.from,
+                streamId: this.streamId
+            });
+        } catch (error) {
+            logger.error(`Error handling offer for ${this.streamId}:`, error);
+            this.setStatus('Connection failed');
+        }
+    }
+
+    async handleIceCandidate(data) {
+        try {
+            if (this.peerConnection && data.candidate) {
+                await this.peerConnection.addIceCandidate(data.candidate);
+            }
+        } catch (error) {
+            logger.error(`Error adding ICE candidate for ${this.streamId}:`, error);
+        }
+    }
+
+    showMotion() {
+        this.element.classList.add('motion');
+        clearTimeout(this.motionTimer);
+        this.motionTimer = setTimeout(() => this.element.classList.remove('motion'), 3000);
+    }
+
+    toggleExpanded() {
+        if (document.fullscreenElement === this.element) {
+            document.exitFullscreen();
+        } else if (this.element.requestFullscreen) {
+            this.element.requestFullscreen().catch(() => this.element.classList.toggle('expanded'));
+        } else {
+            // iOS Safari has no element fullscreen, so fill the window instead
+            this.element.classList.toggle('expanded');
+        }
+    }
+
+    closeConnection() {
+        if (this.peerConnection) {
+            this.peerConnection.close();
+            this.peerConnection = null;
+        }
+    }
+
+    remove() {
+        this.closeConnection();
+        clearTimeout(this.motionTimer);
+        this.element.remove();
+    }
+}
+
+class CameraDashboard {
+    constructor() {
+        this.socket = null;
+        this.tiles = new Map();
+        this.iceConfiguration = null;
+        this.privateStreams = this.loadPrivateStreams();
+        this.pushFollows = new PushFollows();
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.setupSocket();
+
+        // Signing in or out reconnects the socket, which joins every tile again
+        // with the new account
+        this.accountPanel = new AccountPanel({
+            onChange: () => {
+                this.socket.disconnect();
+                this.socket.connect();
+                this.pushFollows.resync();
+            }
+        });
+
+        // Private cameras are never announced, so check on them now and then
+        setInterval(() => this.checkPrivateStreams(), 30 * 1000);
+    }
+
+    initializeElements() {
+        this.grid = document.getElementById('dashboardGrid');
+        this.emptyMessage = document.getElementById('dashboardEmpty');
+        this.connectionStatus = document.getElementById('connectionStatus');
+        this.privateStreamIdInput = document.getElementById('privateStreamIdInput');
+        this.privatePassphraseInput = document.getElementById('privatePassphraseInput');
+        this.addPrivateStreamBtn = document.getElementById('addPrivateStreamBtn');
+    }
+
+    setupEventListeners() {
+        this.addPrivateStreamBtn.addEventListener('click', () => this.addPrivateStream());
+        this.privatePassphraseInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addPrivateStream();
+        });
+    }
+
+    setupSocket() {
+        this.socket = io(window.location.origin, {
+            transports: ['websocket', 'polling'],
+            timeout: 10000,
+            reconnectionAttempts: Infinity,
+            reconnectionDelay: 1000
+        });
+
+        this.socket.on('connect', () => {
+            logger.debug('Dashboard connected with ID:', this.socket.id);
+            this.updateStatus('Connected to server', 'connected');
+
+            // A new socket id means every tile has to join again
+            this.tiles.forEach(tile => tile.join());
+            this.checkPrivateStreams();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateStatus('Connection lost - Reconnecting...', 'reconnecting');
+        });
+
+        this.socket.on('active-streams', (streamIds) => {
+            logger.debug('Active streams:', streamIds);
+            streamIds.forEach(streamId => this.addTile(streamId));
+            this.loadStreamNames();
+        });
+
+        this.socket.on('stream-started', (data) => {
+            logger.debug('Stream started:', data.streamId);
+            this.addTile(data.streamId, { name: data.name });
+        });
+
+        this.socket.on('stream-ended-broadcast', (data) => this.removeTile(data.streamId));
+        this.socket.on('stream-ended', (data) => this.removeTile(data.streamId));
+        this.socket.on('stream-not-found', (data) => this.removeTile(data.streamId));
+        this.socket.on('streamer-disconnected', (data) => this.removeTile(data.streamId));
+
+        this.socket.on('stream-joined', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (!tile) return;
+
+            tile.passphrase = null;
+            if (data.viewerToken) {
+                tile.token = data.viewerToken;
+                this.savePrivateStream(data.streamId, data.viewerToken);
+            }
+            tile.setStatus(data.status === 'reconnecting' ? 'Camera reconnecting...' : 'Waiting for video...');
+        });
+
+        this.socket.on('stream-auth-required', (data) => {
+            logger.debug('Not authorized for stream:', data.streamId);
+            this.forgetPrivateStream(data.streamId);
+            this.removeTile(data.streamId);
+            this.updateStatus(`Camera ${data.streamId}: wrong passphrase or expired access`, 'disconnected');
+        });
+
+        this.socket.on('stream-full', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (tile) {
+                tile.setStatus(`Full (${data.maxViewers} viewers)`);
+            }
+        });
+
+        this.socket.on('request-error', (data) => {
+            logger.warn(`Server dropped ${data.event} (${data.code}):`, data.message);
+            this.updateStatus(`Server rejected ${data.event}: ${data.message}`, 'disconnected');
+        });
+
+        this.socket.on('stream-reconnecting', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (tile) tile.setStatus('Camera reconnecting...');
+        });
+
+        this.socket.on('stream-resumed', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (tile) tile.setStatus('Restoring video...');
+        });
+
+        this.socket.on('offer', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (tile) tile.handleOffer(data);
+        });
+
+        this.socket.on('ice-candidate', (data) => {
+            const tile = this.tiles.get(data.streamId);
+            if (tile) tile.handleIceCandidate(data);
+        });
+
+        this.socket.on('motion-alert', (event) => {
+            const tile = this.tiles.get(event.streamId);
+            if (tile) tile.showMotion();
+        });
+    }
+
+    addTile(streamId, options = {}) {
+        if (this.tiles.has(streamId)) {
+            this.tiles.get(streamId).setName(options.name);
+            return;
+        }
+
+        const tile = new StreamTile(this, streamId, {
+            token: this.privateStreams[streamId],
+            ...options
+        });
+        this.tiles.set(streamId, tile);
+        this.grid.appendChild(tile.element);
+        this.updateEmptyMessage();
+
+        if (this.socket.connected) {
+            tile.join();
+        }
+    }
+
+    removeTile(streamId) {
+        const tile = this.tiles.get(streamId);
+        if (!tile) return;
+
+        logger.debug('Removing tile:', streamId);
+        tile.remove();
+        this.tiles.delete(streamId);
+        this.updateEmptyMessage();
+    }
+
+    updateEmptyMessage() {
+        this.emptyMessage.classList.toggle('hidden', this.tiles.size > 0);
+    }
+
+    async loadStreamNames() {
+        try {
+            const streams = await (await fetch('/api/streams')).json();
+            streams.forEach(stream => {
+                const tile = this.tiles.get(stream.id);
+                if (tile && stream.name) tile.setName(stream.name);
+            });
+        } catch (error) {
+            logger.error('Error loading stream names:', error);
+        }
+    }
+
+    async addPrivateStream() {
+        const streamId = this.privateStreamIdInput.value.trim();
+        const passphrase = this.privatePassphraseInput.value;
+        if (!streamId || !passphrase) {
+            alert('Please enter the camera ID and its passphrase');
+            return;
+        }
+
+        this.privateStreamIdInput.value = '';
+        this.privatePassphraseInput.value = '';
+        this.removeTile(streamId);
+        this.addTile(streamId, { passphrase });
+    }
+
+    // Show followed private cameras, and cameras shared with the signed-in
+    // account, that came online since the last check
+    async checkPrivateStreams() {
+        try {
+            const cameras = await (await fetch('/api/cameras')).json();
+            cameras
+                .filter(camera => camera.access && camera.status === 'online')
+                .forEach(camera => this.addTile(camera.id, { name: camera.name }));
+        } catch (error) {
+            logger.error('Error checking shared cameras:', error);
+        }
+
+        for (const streamId of Object.keys(this.privateStreams)) {
+            if (this.tiles.has(streamId)) continue;
+
+            try {
+                const data = await (await fetch(`/api/stream/${encodeURIComponent(streamId)}`)).json();
+                if (data.exists) {
+                    this.addTile(streamId);
+                }
+            } catch (error) {
+                logger.error('Error checking private stream:', error);
+            }
+        }
+    }
+
+    loadPrivateStreams() {
+        try {
+            return JSON.parse(localStorage.getItem('dashboardPrivateStreams')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    savePrivateStream(streamId, token) {
+        this.privateStreams[streamId] = token;
+        localStorage.setItem('dashboardPrivateStreams', JSON.stringify(this.privateStreams));
+    }
+
+    forgetPrivateStream(streamId) {
+        delete this.privateStreams[streamId];
+        localStorage.setItem('dashboardPrivateStreams', JSON.stringify(this.privateStreams));
+    }
+
+    // Same ICE configuration endpoint as the single stream viewer
+    async getIceConfiguration() {
+        const cached = this.iceConfiguration;
+        if (cached && (!cached.expiresAt || new Date(cached.expiresAt) - Date.now() > 60 * 1000)) {
+            return cached.configuration;
+        }
+
+        try {
+            const data = await (await fetch(`/api/ice-config?peer=${encodeURIComponent(this.socket.id || '')}`)).json();
+            const configuration = {
+                iceServers: data.iceServers,
+                iceTransportPolicy: data.iceTransportPolicy
+            };
+            this.iceConfiguration = { configuration, expiresAt: data.expiresAt };
+            return configuration;
+        } catch (error) {
+            logger.error('Error loading ICE configuration, using local candidates only:', error);
+            return cached ? cached.configuration : { iceServers: [] };
+        }
+    }
+
+    updateStatus(message, status) {
+        this.connectionStatus.textContent = message;
+        this.connectionStatus.className = `status-${status}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    logger.debug('Initializing Camera Dashboard...');
+    window.cameraDashboard = new CameraDashboard();
+});
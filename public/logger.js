@@ -0,0 +1,76 @@
+// Console logging for the pages. Debug and info messages only show while
+// debugging is on, so production browsers stay quiet: open a page with
+// ?debug=1 to turn it on in this browser (?debug=0 turns it off again), or run
+// `logger.setDebug(true)` in the console. Warnings and errors always show.
+// Signaling payloads and credentials in logged objects are redacted.
+const REDACTED_LOG_KEYS = [
+    'sdp', 'offer', 'answer', 'candidate',
+    'password', 'passphrase', 'token', 'viewerToken', 'uploadToken', 'resumeToken', 'cameraKey', 'key',
+    'thumbnail'
+];
+
+class ClientLogger {
+    constructor() {
+        this.debugEnabled = false;
+        try {
+            const param = new URLSearchParams(window.location.search).get('debug');
+            if (param !== null) {
+                this.setDebug(param !== '0' && param !== 'false');
+            } else {
+                this.debugEnabled = localStorage.getItem('debug') === '1';
+            }
+        } catch (error) {
+            // Storage can be unavailable, e.g. in private windows; stay quiet
+        }
+    }
+
+    setDebug(enabled) {
+        this.debugEnabled = Boolean(enabled);
+        try {
+            if (this.debugEnabled) {
+                localStorage.setItem('debug', '1');
+            } else {
+                localStorage.removeItem('debug');
+            }
+        } catch (error) {
+            // Only this page load is affected then
+        }
+    }
+
+    debug(...args) {
+        if (this.debugEnabled) console.log(...args.map(arg => ClientLogger.redact(arg)));
+    }
+
+    info(...args) {
+        if (this.debugEnabled) console.info(...args.map(arg => ClientLogger.redact(arg)));
+    }
+
+    warn(...args) {
+        console.warn(...args.map(arg => ClientLogger.redact(arg)));
+    }
+
+    error(...args) {
+        console.error(...args.map(arg => ClientLogger.redact(arg)));
+    }
+
+    // Plain objects and arrays are copied with sensitive fields replaced;
+    // errors, DOM objects and the like are logged as they are
+    static redact(value, depth = 0) {
+        if (Array.isArray(value)) {
+            return depth < 5 ? value.map(item => ClientLogger.redact(item, depth + 1)) : value;
+        }
+        if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype || depth >= 5) {
+            return value;
+        }
+
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            copy[key] = REDACTED_LOG_KEYS.includes(key) && item !== undefined && item !== null
+                ? '[redacted]'
+                : ClientLogger.redact(item, depth + 1);
+        });
+        return copy;
+    }
+}
+
+const logger = new ClientLogger();
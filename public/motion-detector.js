@@ -0,0 +1,115 @@
+// Detects motion by comparing downscaled grayscale frames of a video element.
+// Masked regions are given as rectangles in normalized (0-1) video coordinates
+// and are ignored, e.g. to skip a window with moving trees.
+class MotionDetector {
+    constructor(video, options = {}) {
+        this.video = video;
+        this.sensitivity = options.sensitivity || 50;
+        this.masks = options.masks || [];
+        this.interval = options.interval || 500;
+        this.cooldown = options.cooldown || 5000;
+        this.onMotion = options.onMotion || (() => {});
+
+        // Comparing tiny frames keeps CPU usage low on phones
+        this.width = 64;
+        this.height = 48;
+        this.pixelThreshold = 25;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.previousFrame = null;
+        this.lastMotionAt = 0;
+        this.timer = null;
+        this.maskMap = this.buildMaskMap();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.previousFrame = null;
+        this.timer = setInterval(() => this.analyzeFrame(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.previousFrame = null;
+    }
+
+    setSensitivity(sensitivity) {
+        this.sensitivity = Math.min(100, Math.max(1, sensitivity));
+    }
+
+    setMasks(masks) {
+        this.masks = masks;
+        this.maskMap = this.buildMaskMap();
+    }
+
+    // Fraction of changed pixels needed to count as motion: 0.5% at sensitivity 100, 20% at 1
+    get triggerRatio() {
+        return 0.005 + 0.195 * (1 - this.sensitivity / 100);
+    }
+
+    buildMaskMap() {
+        const map = new Uint8Array(this.width * this.height);
+        this.masks.forEach(mask => {
+            const x0 = Math.floor(mask.x * this.width);
+            const y0 = Math.floor(mask.y * this.height);
+            const x1 = Math.ceil((mask.x + mask.width) * this.width);
+            const y1 = Math.ceil((mask.y + mask.height) * this.height);
+            for (let y = Math.max(0, y0); y < Math.min(this.height, y1); y++) {
+                for (let x = Math.max(0, x0); x < Math.min(this.width, x1); x++) {
+                    map[y * this.width + x] = 1;
+                }
+            }
+        });
+        return map;
+    }
+
+    analyzeFrame() {
+        if (this.video.readyState < 2) return;
+
+        this.context.drawImage(this.video, 0, 0, this.width, this.height);
+        const { data } = this.context.getImageData(0, 0, this.width, this.height);
+
+        const frame = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < frame.length; i++) {
+            frame[i] = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) | 0;
+        }
+
+        if (this.previousFrame) {
+            let changed = 0;
+            let considered = 0;
+            for (let i = 0; i < frame.length; i++) {
+                if (this.maskMap[i]) continue;
+                considered++;
+                if (Math.abs(frame[i] - this.previousFrame[i]) > this.pixelThreshold) {
+                    changed++;
+                }
+            }
+
+            const score = considered > 0 ? changed / considered : 0;
+            const now = Date.now();
+            if (score >= this.triggerRatio && now - this.lastMotionAt >= this.cooldown) {
+                this.lastMotionAt = now;
+                this.onMotion({
+                    timestamp: new Date(now).toISOString(),
+                    score: Math.round(score * 1000) / 1000,
+                    thumbnail: this.captureThumbnail()
+                });
+            }
+        }
+
+        this.previousFrame = frame;
+    }
+
+    captureThumbnail() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 120;
+        canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+}
@@ -0,0 +1,117 @@
+// Follow cameras to get a notification when they go live or offline, even with
+// no page open. Registers the service worker (sw.js), which also keeps the app
+// shell around offline. The followed stream ids are kept in localStorage and
+// sent to the server with this browser's push subscription.
+class PushFollows {
+    constructor() {
+        this.streams = this.loadStreams();
+        this.registration = null;
+        this.ready = this.register();
+    }
+
+    get isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    async register() {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            this.registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            logger.error('Service worker registration failed:', error);
+        }
+    }
+
+    loadStreams() {
+        try {
+            return JSON.parse(localStorage.getItem('followedStreams')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveStreams() {
+        localStorage.setItem('followedStreams', JSON.stringify(this.streams));
+    }
+
+    isFollowing(streamId) {
+        return this.streams.includes(streamId);
+    }
+
+    // Returns whether the stream is followed afterwards
+    async toggle(streamId) {
+        const streams = this.isFollowing(streamId)
+            ? this.streams.filter(id => id !== streamId)
+            : [...this.streams, streamId];
+        await this.update(streams);
+        return this.isFollowing(streamId);
+    }
+
+    // Which private cameras a subscription hears about depends on the account
+    // it was sent with, so it is sent again after signing in or out
+    async resync() {
+        if (this.streams.length === 0 || !this.isSupported) return;
+        try {
+            await this.update(this.streams);
+        } catch (error) {
+            logger.error('Error updating push subscription:', error);
+        }
+    }
+
+    async update(streams) {
+        if (!this.isSupported) {
+            throw new Error('This browser cannot show notifications');
+        }
+        // Asked before anything else, while the click still counts as a user gesture
+        if (streams.length > 0 && Notification.permission !== 'granted' &&
+            await Notification.requestPermission() !== 'granted') {
+            throw new Error('Notifications are blocked for this site');
+        }
+
+        await this.ready;
+        if (!this.registration) {
+            throw new Error('The service worker is not available');
+        }
+
+        let subscription = await this.registration.pushManager.getSubscription();
+        if (streams.length === 0) {
+            // Following nothing, so the subscription goes
+            if (subscription) {
+                await fetch('/api/push/subscriptions', {
+                    method: 'DELETE',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ endpoint: subscription.endpoint })
+                });
+                await subscription.unsubscribe();
+            }
+        } else {
+            if (!subscription) {
+                const { publicKey } = await (await fetch('/api/push/vapid-public-key')).json();
+                subscription = await this.registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: PushFollows.decodeKey(publicKey)
+                });
+            }
+
+            const response = await fetch('/api/push/subscriptions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ subscription, streams })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}`);
+            }
+        }
+
+        logger.debug('Following streams:', streams);
+        this.streams = streams;
+        this.saveStreams();
+    }
+
+    // VAPID keys come base64url encoded, pushManager wants the bytes
+    static decodeKey(base64) {
+        const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+}
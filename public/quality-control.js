@@ -0,0 +1,179 @@
+// Quality presets for the streamer. Each preset sets the capture size and
+// frame rate, and the encoding limits of every outgoing video sender.
+const QUALITY_PRESETS = {
+    low: {
+        capture: { width: 640, height: 360, frameRate: 15 },
+        encoding: { maxBitrate: 300000, scaleResolutionDownBy: 1, maxFramerate: 15 }
+    },
+    balanced: {
+        capture: { width: 640, height: 480, frameRate: 24 },
+        encoding: { maxBitrate: 800000, scaleResolutionDownBy: 1, maxFramerate: 24 }
+    },
+    high: {
+        capture: { width: 1280, height: 720, frameRate: 30 },
+        encoding: { maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 }
+    },
+    // Captures like `high` and lets each connection find its own level
+    auto: {
+        capture: { width: 1280, height: 720, frameRate: 30 }
+    }
+};
+
+// Steps `auto` moves through per connection, worst first
+const AUTO_QUALITY_LEVELS = [
+    { maxBitrate: 150000, scaleResolutionDownBy: 4, maxFramerate: 10 },
+    { maxBitrate: 300000, scaleResolutionDownBy: 2, maxFramerate: 15 },
+    { maxBitrate: 600000, scaleResolutionDownBy: 2, maxFramerate: 24 },
+    { maxBitrate: 1200000, scaleResolutionDownBy: 1, maxFramerate: 24 },
+    { maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 }
+];
+
+// Layers sent to the server relay with simulcast; the relay forwards each
+// viewer the one its connection can carry
+const SIMULCAST_ENCODINGS = [
+    { rid: 'l', scaleResolutionDownBy: 4, maxBitrate: 150000, maxFramerate: 15 },
+    { rid: 'm', scaleResolutionDownBy: 2, maxBitrate: 600000, maxFramerate: 24 },
+    { rid: 'h', scaleResolutionDownBy: 1, maxBitrate: 2500000, maxFramerate: 30 }
+];
+
+// Watches the outbound stats of each video RTCRtpSender and, in `auto`,
+// lowers bitrate, resolution and frame rate on a connection that loses
+// packets, is slow or is limited by bandwidth, and raises them again once it
+// has been healthy for a while. Simulcast senders are left alone: the relay
+// adapts those per viewer by picking a layer.
+class QualityController {
+    constructor(options) {
+        this.getStream = options.getStream;
+        this.getPeerConnections = options.getPeerConnections;
+        this.intervalMs = options.intervalMs || 3000;
+
+        this.preset = 'balanced';
+        this.timer = null;
+        this.senderStates = new WeakMap(); // RTCRtpSender -> { level, healthySamples }
+    }
+
+    get captureConstraints() {
+        const { width, height, frameRate } = QUALITY_PRESETS[this.preset].capture;
+        return {
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: frameRate }
+        };
+    }
+
+    async setPreset(preset) {
+        if (!QUALITY_PRESETS[preset]) {
+            throw new Error(`Unknown quality preset: ${preset}`);
+        }
+
+        logger.debug('Quality preset:', preset);
+        this.preset = preset;
+
+        const track = this.getStream() && this.getStream().getVideoTracks()[0];
+        if (track) {
+            await track.applyConstraints(this.captureConstraints).catch(error => {
+                logger.warn('Camera could not apply the capture settings:', error);
+            });
+        }
+
+        this.getPeerConnections().forEach(peerConnection => this.configurePeerConnection(peerConnection));
+        this.updateTimer();
+    }
+
+    // New connections start at the preset, or in `auto` at the middle level
+    configurePeerConnection(peerConnection) {
+        this.getVideoSenders(peerConnection)
+            .filter(sender => !this.isSimulcast(sender))
+            .forEach(sender => {
+                if (this.preset === 'auto') {
+                    const state = { level: Math.floor(AUTO_QUALITY_LEVELS.length / 2), healthySamples: 0 };
+                    this.senderStates.set(sender, state);
+                    this.applyEncoding(sender, AUTO_QUALITY_LEVELS[state.level]);
+                } else {
+                    this.applyEncoding(sender, QUALITY_PRESETS[this.preset].encoding);
+                }
+            });
+    }
+
+    isSimulcast(sender) {
+        const encodings = sender.getParameters().encodings;
+        return Boolean(encodings && encodings.length > 1);
+    }
+
+    getVideoSenders(peerConnection) {
+        return peerConnection.getSenders().filter(sender => sender.track && sender.track.kind === 'video');
+    }
+
+    async applyEncoding(sender, encoding) {
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || parameters.encodings.length !== 1) return;
+
+        Object.assign(parameters.encodings[0], encoding);
+        try {
+            await sender.setParameters(parameters);
+        } catch (error) {
+            logger.warn('Could not set encoding parameters:', error);
+        }
+    }
+
+    updateTimer() {
+        clearInterval(this.timer);
+        this.timer = this.preset === 'auto'
+            ? setInterval(() => this.adapt(), this.intervalMs)
+            : null;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async adapt() {
+        const senders = this.getPeerConnections()
+            .filter(peerConnection => peerConnection.connectionState === 'connected')
+            .flatMap(peerConnection => this.getVideoSenders(peerConnection));
+
+        for (const sender of senders) {
+            try {
+                await this.adaptSender(sender);
+            } catch (error) {
+                logger.error('Error adapting video quality:', error);
+            }
+        }
+    }
+
+    async adaptSender(sender) {
+        const state = this.senderStates.get(sender);
+        if (!state) return;
+
+        let fractionLost = 0;
+        let roundTripTime = 0;
+        let limitation = 'none';
+        (await sender.getStats()).forEach(report => {
+            if (report.type === 'remote-inbound-rtp') {
+                fractionLost = report.fractionLost || 0;
+                roundTripTime = report.roundTripTime || 0;
+            } else if (report.type === 'outbound-rtp') {
+                limitation = report.qualityLimitationReason || 'none';
+            }
+        });
+
+        let level = state.level;
+        if (fractionLost > 0.05 || roundTripTime > 0.4 || limitation === 'bandwidth') {
+            state.healthySamples = 0;
+            level = Math.max(0, level - 1);
+        } else if (fractionLost < 0.02 && roundTripTime < 0.25 && limitation === 'none') {
+            state.healthySamples++;
+            if (state.healthySamples >= 3) {
+                state.healthySamples = 0;
+                level = Math.min(AUTO_QUALITY_LEVELS.length - 1, level + 1);
+            }
+        }
+
+        if (level !== state.level) {
+            logger.debug(`Video quality level ${state.level} → ${level} (loss ${fractionLost}, rtt ${roundTripTime}s, limited by ${limitation})`);
+            state.level = level;
+            await this.applyEncoding(sender, AUTO_QUALITY_LEVELS[level]);
+        }
+    }
+}
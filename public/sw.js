@@ -0,0 +1,130 @@
+// Service worker: keeps the app shell available offline and shows push
+// notifications for followed cameras while no page is open. Bump
+// CACHE_VERSION when the list of shell files changes.
+const CACHE_VERSION = 3;
+const CACHE_NAME = `camera-shell-v${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/dashboard',
+    '/dashboard.html',
+    '/style.css',
+    '/app.js',
+    '/logger.js',
+    '/account.js',
+    '/dashboard.js',
+    '/push.js',
+    '/motion-detector.js',
+    '/camera-control.js',
+    '/connection-stats.js',
+    '/quality-control.js',
+    '/chat.js',
+    '/socket.io/socket.io.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('camera-shell-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Shell files come from the network when it is there, so a deploy shows up on
+// the next load, and from the cache when it is not. Everything else, the API
+// and Socket.io included, is left to the browser.
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || !SHELL_FILES.includes(url.pathname)) return;
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(url.pathname))
+            .then(response => response || Response.error())
+    );
+});
+
+// The server sends { type, streamId, title, body, url } when a followed camera
+// goes live or offline. Both use the same tag, so the latest replaces the other.
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { title: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Camera update', {
+            body: data.body || '',
+            icon: '/icon.svg',
+            badge: '/icon.svg',
+            tag: data.streamId ? `stream-${data.streamId}` : undefined,
+            renotify: data.type === 'stream-started',
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+// Opens the stream in a window of the app if one is open, or a new one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = windows.find(client => new URL(client.url).pathname === '/');
+            if (existing) {
+                return existing.navigate(url).then(client => (client || existing).focus());
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
+// Push services renew subscriptions now and then. The new one is sent to the
+// server with the old endpoint, so it keeps following the same cameras.
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil((async () => {
+        const previousEndpoint = event.oldSubscription ? event.oldSubscription.endpoint : undefined;
+        let subscription = event.newSubscription;
+        if (!subscription) {
+            const { publicKey } = await (await fetch('/api/push/vapid-public-key')).json();
+            subscription = await self.registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+            });
+        }
+
+        await fetch('/api/push/subscriptions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription, previousEndpoint })
+        });
+    })());
+});
+
+function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
@@ -0,0 +1,145 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startStream, TestClient } = require('./helpers');
+
+describe('admin API', () => {
+  let server;
+  let clients = [];
+  let admin;
+  let someone;
+
+  // Registers an account and returns its session cookie
+  async function signUp(username, headers = {}) {
+    const response = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { username, password: 'correct horse' },
+      headers
+    });
+    assert.equal(response.status, 201);
+    return response.headers.get('set-cookie').split(';')[0];
+  }
+
+  function adminRequest(pathname, options = {}) {
+    return server.request(`/api/admin${pathname}`, { ...options, headers: { cookie: admin, ...options.headers } });
+  }
+
+  async function stream(streamId, viewerCount) {
+    const started = await startStream(server, streamId, viewerCount);
+    clients.push(started.streamer, ...started.viewers);
+    return started;
+  }
+
+  before(async () => {
+    server = await startServer({ ADMIN_USERNAMES: 'boss,admin', ADMIN_TOKEN: 'admin-token' });
+    admin = await signUp('boss', { authorization: 'Bearer admin-token' });
+    someone = await signUp('someone');
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    clients = [];
+    await adminRequest('/settings', { method: 'PATCH', body: { maxViewersPerStream: 0 } });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('only lets administrators in', async () => {
+    assert.equal((await server.request('/api/admin/streams')).status, 401);
+    assert.equal((await server.request('/api/admin/streams', { headers: { cookie: someone } })).status, 403);
+    assert.equal((await adminRequest('/streams')).status, 200);
+
+    const withToken = await server.request('/api/admin/streams', { headers: { authorization: 'Bearer admin-token' } });
+    assert.equal(withToken.status, 200);
+    const wrongToken = await server.request('/api/admin/streams', { headers: { authorization: 'Bearer guess' } });
+    assert.equal(wrongToken.status, 401);
+  });
+
+  it('keeps strangers from registering an unclaimed admin username', async () => {
+    const response = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { username: 'Admin', password: 'correct horse' }
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get('set-cookie'), null);
+
+    const login = await server.request('/api/auth/login', {
+      method: 'POST',
+      body: { username: 'admin', password: 'correct horse' }
+    });
+    assert.equal(login.status, 401);
+  });
+
+  it('lists streams with their streamer and viewers', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    const [listing] = await (await adminRequest('/streams')).json();
+    assert.equal(listing.id, 'CAM1');
+    assert.equal(listing.viewerCount, 1);
+    assert.equal(listing.streamer.socketId, streamer.id);
+    assert.equal(listing.streamer.address, '127.0.0.1');
+    assert.deepEqual(listing.viewers.map(entry => entry.socketId), [viewer.id]);
+
+    // The public health check no longer gives socket ids away
+    const health = await (await server.request('/health')).json();
+    assert.equal(health.activeStreams[0].streamer, undefined);
+  });
+
+  it('ends a stream for its streamer and viewers', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    assert.equal((await adminRequest('/streams/CAM1', { method: 'DELETE' })).status, 204);
+    const ended = { streamId: 'CAM1', reason: 'Ended by an administrator', endedBy: 'admin' };
+    assert.deepEqual(await viewer.waitFor('stream-ended'), ended);
+    assert.deepEqual(await streamer.waitFor('stream-ended'), ended);
+    assert.equal(server.activeStreams.has('CAM1'), false);
+
+    assert.equal((await adminRequest('/streams/CAM1', { method: 'DELETE' })).status, 404);
+  });
+
+  it('removes a viewer from a stream', async () => {
+    const { streamer, viewers: [kicked, other] } = await stream('CAM1', 2);
+
+    const response = await adminRequest(`/streams/CAM1/viewers/${kicked.id}`, { method: 'DELETE' });
+    assert.equal(response.status, 204);
+    assert.equal((await kicked.waitFor('stream-ended')).reason, 'Removed by an administrator');
+    assert.deepEqual(await streamer.waitFor('viewer-left'), { viewerId: kicked.id, viewerCount: 1 });
+    await other.expectNo('stream-ended');
+
+    assert.equal((await adminRequest(`/streams/CAM1/viewers/${kicked.id}`, { method: 'DELETE' })).status, 404);
+  });
+
+  it('changes the maximum viewers per stream at runtime', async () => {
+    await stream('CAM1', 1);
+
+    const response = await adminRequest('/settings', { method: 'PATCH', body: { maxViewersPerStream: 1 } });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).settings.maxViewersPerStream, 1);
+
+    const latecomer = await TestClient.connect(server.url);
+    clients.push(latecomer);
+    latecomer.emit('join-stream', 'CAM1');
+    assert.deepEqual(await latecomer.waitFor('stream-full'), { streamId: 'CAM1', maxViewers: 1 });
+  });
+
+  it('rejects invalid settings', async () => {
+    for (const body of [{ maxViewersPerStream: -1 }, { policyCheckSeconds: 1 }, { maxDurationMinutes: '60' }, { colour: 3 }]) {
+      const response = await adminRequest('/settings', { method: 'PATCH', body });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('keeps a log of recent events', async () => {
+    await stream('CAM2');
+    await adminRequest('/streams/CAM2', { method: 'DELETE' });
+
+    const events = await (await adminRequest('/events?limit=20')).json();
+    const types = events.map(event => event.type);
+    assert.ok(types.includes('client-connected'));
+    assert.ok(types.includes('stream-started'));
+    assert.equal(events[0].type, 'stream-ended');
+    assert.equal(events[1].type, 'admin-ended-stream');
+    assert.equal(events[1].admin, 'boss');
+  });
+});
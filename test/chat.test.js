@@ -0,0 +1,226 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, TestClient, startStream } = require('./helpers');
+
+describe('chat', () => {
+  let server;
+  let clients;
+
+  async function connect(options) {
+    const client = await TestClient.connect(server.url, options);
+    clients.push(client);
+    return client;
+  }
+
+  async function stream(streamId, viewerCount) {
+    const started = await startStream(server, streamId, viewerCount);
+    clients.push(started.streamer, ...started.viewers);
+    return started;
+  }
+
+  beforeEach(async () => {
+    server = await startServer({ CHAT_HISTORY_SIZE: '3', RATE_LIMIT_CHAT: '5' });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await server.stop();
+  });
+
+  it('sends messages to everyone in the stream', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+    const outsider = await connect();
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Hello there', name: 'Ann' });
+    const message = await streamer.waitFor('chat-message');
+    assert.equal(message.streamId, 'CAM1');
+    assert.equal(message.text, 'Hello there');
+    assert.deepEqual(message.author, { id: viewer.id, name: 'Ann', role: 'viewer', signedIn: false });
+    assert.deepEqual(await viewer.waitFor('chat-message'), message);
+
+    streamer.emit('chat-message', { streamId: 'CAM1', text: 'Hi Ann' });
+    const reply = await viewer.waitFor('chat-message');
+    assert.deepEqual(reply.author, { id: streamer.id, name: 'Camera', role: 'streamer', signedIn: false });
+    assert.ok(reply.id > message.id);
+
+    await outsider.expectNo('chat-message');
+  });
+
+  it('uses the display name of signed-in accounts', async () => {
+    const response = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { username: 'ann', password: 'correct horse' }
+    });
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const { streamer } = await stream('CAM1');
+    const viewer = await connect({ extraHeaders: { cookie } });
+    viewer.emit('join-stream', 'CAM1');
+    await viewer.waitFor('stream-joined');
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Hi', name: 'Someone else' });
+    const { author } = await streamer.waitFor('chat-message');
+    assert.equal(author.name, 'ann');
+    assert.equal(author.signedIn, true);
+  });
+
+  it('only lets members of the stream chat', async () => {
+    await stream('CAM1');
+    const outsider = await connect();
+
+    outsider.emit('chat-message', { streamId: 'CAM1', text: 'Let me in' });
+    assert.equal((await outsider.waitFor('unauthorized')).event, 'chat-message');
+  });
+
+  it('strips control characters and drops empty messages', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: ' <b>bold</b>\u202e\u0007 ', name: 'Guest\u200f\n' });
+    const message = await streamer.waitFor('chat-message');
+    assert.equal(message.text, '<b>bold</b>');
+    assert.equal(message.author.name, 'Guest');
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: '\u0000 \n' });
+    assert.deepEqual(await viewer.waitFor('request-error', { match: data => data.event === 'chat-message' }), {
+      event: 'chat-message',
+      code: 'invalid-payload',
+      message: 'Message is empty'
+    });
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'x'.repeat(501) });
+    assert.equal((await viewer.waitFor('request-error')).code, 'invalid-payload');
+  });
+
+  it('sends the recent history to viewers who join later', async () => {
+    const { streamer } = await stream('CAM1');
+    for (const text of ['one', 'two', 'three', 'four']) {
+      streamer.emit('chat-message', { streamId: 'CAM1', text });
+      await streamer.waitFor('chat-message');
+    }
+
+    const latecomer = await connect();
+    latecomer.emit('join-stream', 'CAM1');
+    const history = await latecomer.waitFor('chat-history');
+    assert.deepEqual(history.messages.map(message => message.text), ['two', 'three', 'four']);
+    assert.equal(history.muted, false);
+  });
+
+  it('lets the streamer delete messages', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Something rude' });
+    const message = await streamer.waitFor('chat-message');
+
+    viewer.emit('chat-delete', { streamId: 'CAM1', messageId: message.id });
+    assert.equal((await viewer.waitFor('unauthorized')).event, 'chat-delete');
+
+    streamer.emit('chat-delete', { streamId: 'CAM1', messageId: message.id });
+    assert.deepEqual(await viewer.waitFor('chat-deleted'), { streamId: 'CAM1', messageId: message.id });
+
+    const latecomer = await connect();
+    latecomer.emit('join-stream', 'CAM1');
+    assert.deepEqual((await latecomer.waitFor('chat-history')).messages, []);
+  });
+
+  it('deletes messages that are no longer in the history', async () => {
+    await server.stop();
+    server = await startServer({ CHAT_HISTORY_SIZE: '0' });
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Something rude' });
+    const message = await streamer.waitFor('chat-message');
+    streamer.emit('chat-delete', { streamId: 'CAM1', messageId: message.id });
+    assert.deepEqual(await viewer.waitFor('chat-deleted'), { streamId: 'CAM1', messageId: message.id });
+
+    streamer.emit('chat-delete', { streamId: 'CAM1', messageId: message.id + 1 });
+    assert.deepEqual(await streamer.waitFor('request-error'), {
+      event: 'chat-delete',
+      code: 'invalid-payload',
+      message: 'No such message in this chat'
+    });
+    await viewer.expectNo('chat-deleted');
+  });
+
+  it('keeps a signed-in viewer muted when it reconnects', async () => {
+    const response = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { username: 'ann', password: 'correct horse' }
+    });
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const join = async () => {
+      const viewer = await connect({ extraHeaders: { cookie } });
+      viewer.emit('join-stream', 'CAM1');
+      return { viewer, history: await viewer.waitFor('chat-history') };
+    };
+    const { streamer } = await stream('CAM1');
+
+    const first = await join();
+    streamer.emit('chat-mute', { streamId: 'CAM1', viewerId: first.viewer.id, muted: true });
+    await first.viewer.waitFor('chat-muted');
+    first.viewer.close();
+
+    const { viewer, history } = await join();
+    assert.equal(history.muted, true);
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'I am back' });
+    assert.equal((await viewer.waitFor('request-error')).code, 'muted');
+    await streamer.expectNo('chat-message');
+  });
+
+  it('lets the streamer mute and unmute a viewer', async () => {
+    const { streamer, viewers: [muted, other] } = await stream('CAM1', 2);
+
+    streamer.emit('chat-mute', { streamId: 'CAM1', viewerId: muted.id, muted: true });
+    const update = { streamId: 'CAM1', viewerId: muted.id, muted: true };
+    assert.deepEqual(await muted.waitFor('chat-muted'), update);
+    assert.deepEqual(await streamer.waitFor('chat-muted'), update);
+
+    muted.emit('chat-message', { streamId: 'CAM1', text: 'Can you hear me?' });
+    assert.equal((await muted.waitFor('request-error')).code, 'muted');
+    muted.emit('chat-reaction', { streamId: 'CAM1', reaction: '👍' });
+    assert.equal((await muted.waitFor('request-error')).code, 'muted');
+    await other.expectNo('chat-message');
+    await other.expectNo('chat-reaction');
+
+    // Rejoining does not lift it
+    await muted.waitFor('chat-history');
+    muted.emit('join-stream', 'CAM1');
+    assert.equal((await muted.waitFor('chat-history')).muted, true);
+
+    streamer.emit('chat-mute', { streamId: 'CAM1', viewerId: muted.id, muted: false });
+    await muted.waitFor('chat-muted', { match: data => !data.muted });
+    muted.emit('chat-message', { streamId: 'CAM1', text: 'Sorry' });
+    assert.equal((await other.waitFor('chat-message')).text, 'Sorry');
+
+    other.emit('chat-mute', { streamId: 'CAM1', viewerId: muted.id, muted: true });
+    assert.equal((await other.waitFor('unauthorized')).event, 'chat-mute');
+  });
+
+  it('passes reactions on without keeping them', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    viewer.emit('chat-reaction', { streamId: 'CAM1', reaction: '🔥', name: 'Ann' });
+    assert.deepEqual(await streamer.waitFor('chat-reaction'), { streamId: 'CAM1', reaction: '🔥', from: 'Ann' });
+
+    viewer.emit('chat-reaction', { streamId: 'CAM1', reaction: '<script>' });
+    assert.equal((await viewer.waitFor('request-error')).code, 'invalid-payload');
+
+    const latecomer = await connect();
+    latecomer.emit('join-stream', 'CAM1');
+    assert.deepEqual((await latecomer.waitFor('chat-history')).messages, []);
+  });
+
+  it('limits how fast a socket may chat', async () => {
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    for (let i = 0; i < 6; i++) {
+      viewer.emit('chat-message', { streamId: 'CAM1', text: `message ${i}` });
+    }
+    const error = await viewer.waitFor('request-error');
+    assert.equal(error.event, 'chat-message');
+    assert.equal(error.code, 'rate-limited');
+
+    for (let i = 0; i < 5; i++) {
+      await streamer.waitFor('chat-message', { match: data => data.text === `message ${i}` });
+    }
+    await streamer.expectNo('chat-message');
+  });
+});
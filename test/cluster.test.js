@@ -0,0 +1,185 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, TestClient } = require('./helpers');
+const { FakeRedisServer } = require('./fakeRedis');
+
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\n' };
+const CANDIDATE = { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54321 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+
+// Two servers sharing streams through a Redis stand-in, as if behind a load
+// balancer that sent the streamer to one and the viewers to the other
+describe('cluster', () => {
+  let redis;
+  let nodeA;
+  let nodeB;
+  let clients;
+
+  before(async () => {
+    redis = await FakeRedisServer.start();
+  });
+
+  after(async () => {
+    await redis.close();
+  });
+
+  beforeEach(async () => {
+    const env = { STATE_BACKEND: 'redis', REDIS_URL: redis.url, STREAMER_GRACE_MS: '300' };
+    nodeA = await startServer({ ...env, NODE_ID: 'node-a' });
+    nodeB = await startServer({ ...env, NODE_ID: 'node-b' });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await Promise.all([nodeA.stop(), nodeB.stop()]);
+  });
+
+  async function connect(node) {
+    const client = await TestClient.connect(node.url);
+    clients.push(client);
+    return client;
+  }
+
+  async function createStream(node, streamId) {
+    const streamer = await connect(node);
+    streamer.emit('create-stream', { streamId });
+    const created = await streamer.waitFor('stream-created');
+    return { streamer, created };
+  }
+
+  async function joinStream(node, streamer, streamId) {
+    const viewer = await connect(node);
+    viewer.emit('join-stream', streamId);
+    await viewer.waitFor('stream-joined');
+    await streamer.waitFor('create-offer', { match: data => data.viewerId === viewer.id });
+    return viewer;
+  }
+
+  it('lists streams of every node', async () => {
+    await createStream(nodeA, 'CAM1');
+    await createStream(nodeB, 'CAM2');
+
+    for (const node of [nodeA, nodeB]) {
+      const streams = await (await node.request('/api/streams')).json();
+      assert.deepEqual(streams.map(stream => stream.id).sort(), ['CAM1', 'CAM2']);
+      assert.equal((await (await node.request('/api/stream/CAM1')).json()).exists, true);
+    }
+
+    const newcomer = await connect(nodeB);
+    assert.deepEqual((await newcomer.waitFor('active-streams')).sort(), ['CAM1', 'CAM2']);
+  });
+
+  it('keeps a stream id unique across nodes', async () => {
+    await createStream(nodeA, 'CAM1');
+    const other = await connect(nodeB);
+    other.emit('create-stream', { streamId: 'CAM1' });
+    assert.deepEqual(await other.waitFor('stream-exists'), { streamId: 'CAM1' });
+  });
+
+  it('joins and signals a stream on another node', async () => {
+    const { streamer } = await createStream(nodeA, 'CAM1');
+    const viewer = await connect(nodeB);
+    viewer.emit('join-stream', 'CAM1');
+
+    assert.equal((await viewer.waitFor('stream-joined')).streamerId, streamer.id);
+    assert.equal((await streamer.waitFor('viewer-joined')).viewerId, viewer.id);
+    await streamer.waitFor('create-offer');
+
+    streamer.emit('offer', { streamId: 'CAM1', targetViewerId: viewer.id, offer: OFFER });
+    assert.deepEqual(await viewer.waitFor('offer'), { offer: OFFER, streamId: 'CAM1', from: streamer.id });
+
+    viewer.emit('answer', { streamId: 'CAM1', targetStreamerId: streamer.id, answer: ANSWER });
+    assert.deepEqual(await streamer.waitFor('answer'), { answer: ANSWER, streamId: 'CAM1', from: viewer.id });
+
+    viewer.emit('ice-candidate', { streamId: 'CAM1', target: streamer.id, candidate: CANDIDATE });
+    assert.deepEqual(await streamer.waitFor('ice-candidate'), { candidate: CANDIDATE, streamId: 'CAM1', from: viewer.id });
+
+    const stream = await (await nodeB.request('/api/stream/CAM1')).json();
+    assert.equal(stream.viewers, 1);
+  });
+
+  it('still keeps viewers of another node from signaling each other', async () => {
+    const { streamer } = await createStream(nodeA, 'CAM1');
+    const first = await joinStream(nodeB, streamer, 'CAM1');
+    const second = await joinStream(nodeB, streamer, 'CAM1');
+
+    first.emit('ice-candidate', { streamId: 'CAM1', target: second.id, candidate: CANDIDATE });
+    assert.equal((await first.waitFor('unauthorized')).event, 'ice-candidate');
+    await second.expectNo('ice-candidate');
+  });
+
+  it('chats across nodes, with the history kept by the node of the stream', async () => {
+    const { streamer } = await createStream(nodeA, 'CAM1');
+    const viewer = await joinStream(nodeB, streamer, 'CAM1');
+
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Hello from B', name: 'Ann' });
+    const message = await streamer.waitFor('chat-message');
+    assert.equal(message.text, 'Hello from B');
+    assert.equal(message.author.id, viewer.id);
+
+    streamer.emit('chat-mute', { streamId: 'CAM1', viewerId: viewer.id, muted: true });
+    await viewer.waitFor('chat-muted');
+    viewer.emit('chat-message', { streamId: 'CAM1', text: 'Still here' });
+    assert.equal((await viewer.waitFor('request-error')).code, 'muted');
+
+    const latecomer = await connect(nodeB);
+    latecomer.emit('join-stream', 'CAM1');
+    assert.deepEqual((await latecomer.waitFor('chat-history')).messages, [message]);
+  });
+
+  it('ends the stream for viewers on every node', async () => {
+    const { streamer } = await createStream(nodeA, 'CAM1');
+    const viewer = await joinStream(nodeB, streamer, 'CAM1');
+    const bystander = await connect(nodeB);
+
+    streamer.emit('end-stream', 'CAM1');
+    assert.deepEqual(await viewer.waitFor('stream-ended'), { streamId: 'CAM1', reason: 'Streamer ended the stream' });
+    assert.deepEqual(await bystander.waitFor('stream-ended-broadcast'), { streamId: 'CAM1' });
+    assert.deepEqual(await (await nodeB.request('/api/streams')).json(), []);
+  });
+
+  it('tells the streamer when a viewer on another node disconnects', async () => {
+    const { streamer } = await createStream(nodeA, 'CAM1');
+    const viewer = await joinStream(nodeB, streamer, 'CAM1');
+    const viewerId = viewer.id;
+    viewer.close();
+
+    assert.deepEqual(await streamer.waitFor('viewer-left'), { viewerId, viewerCount: 0 });
+  });
+
+  it('lets a streamer reclaim its stream through another node', async () => {
+    const { streamer, created } = await createStream(nodeA, 'CAM1');
+    const viewer = await joinStream(nodeA, streamer, 'CAM1');
+    streamer.socket.io.engine.close();
+    await viewer.waitFor('stream-reconnecting');
+
+    const returning = await connect(nodeB);
+    returning.emit('create-stream', { streamId: 'CAM1', resumeToken: created.resumeToken });
+    const resumed = await returning.waitFor('stream-created');
+    assert.equal(resumed.reclaimed, true);
+    assert.deepEqual(await returning.waitFor('create-offer'), { viewerId: viewer.id, streamId: 'CAM1' });
+    assert.equal((await viewer.waitFor('stream-resumed')).streamerId, returning.id);
+
+    // The stream stays on node A, where it was created, and the new streamer
+    // on node B is checked for there
+    await viewer.expectNo('stream-ended', 400);
+    const latecomer = await joinStream(nodeB, returning, 'CAM1');
+    assert.equal(nodeA.activeStreams.get('CAM1').viewers.has(latecomer.id), true);
+  });
+
+  it('drops the streams of a node that stopped sending heartbeats', async () => {
+    await createStream(nodeA, 'CAM1');
+    // Node A's last heartbeat was a minute ago
+    await nodeA.streamRegistry.heartbeat(Date.now() - 60 * 1000);
+
+    const viewer = await connect(nodeB);
+    viewer.emit('join-stream', 'CAM1');
+    assert.deepEqual(await viewer.waitFor('stream-not-found'), { streamId: 'CAM1', availableStreams: [] });
+    assert.deepEqual(await (await nodeB.request('/api/streams')).json(), []);
+
+    // Its stream ids are free again
+    const { created } = await createStream(nodeB, 'CAM1');
+    assert.equal(created.streamId, 'CAM1');
+  });
+});
@@ -0,0 +1,193 @@
+const net = require('net');
+
+/**
+ * A stand-in for Redis that speaks just enough of its protocol for the stream
+ * registry (hashes) and the Socket.io adapter (pub/sub), so cluster tests need
+ * no Redis server. Everything lives in memory and goes away with `close()`.
+ */
+class FakeRedisServer {
+  constructor() {
+    this.hashes = new Map(); // key -> Map(field -> Buffer)
+    this.clients = new Set();
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  static async start() {
+    const fake = new FakeRedisServer();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    return fake;
+  }
+
+  get url() {
+    return `redis://127.0.0.1:${this.server.address().port}`;
+  }
+
+  accept(socket) {
+    const client = { socket, buffer: Buffer.alloc(0), channels: new Set(), patterns: new Set() };
+    this.clients.add(client);
+    socket.on('data', (data) => {
+      client.buffer = Buffer.concat([client.buffer, data]);
+      let command;
+      while ((command = parseCommand(client))) {
+        this.run(client, command);
+      }
+    });
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', () => {});
+  }
+
+  run(client, [name, ...args]) {
+    const command = name.toString().toUpperCase();
+    const text = args.map(arg => arg.toString());
+
+    switch (command) {
+      case 'PING':
+        return reply(client, '+PONG');
+      case 'INFO':
+        return reply(client, bulk('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n'));
+      case 'SELECT':
+      case 'CLIENT':
+        return reply(client, '+OK');
+      case 'QUIT':
+        reply(client, '+OK');
+        return client.socket.end();
+
+      case 'HSET': {
+        const hash = this.hash(text[0]);
+        let added = 0;
+        for (let i = 1; i < args.length; i += 2) {
+          if (!hash.has(text[i])) added++;
+          hash.set(text[i], args[i + 1]);
+        }
+        return reply(client, `:${added}`);
+      }
+      case 'HSETNX': {
+        const hash = this.hash(text[0]);
+        if (hash.has(text[1])) return reply(client, ':0');
+        hash.set(text[1], args[2]);
+        return reply(client, ':1');
+      }
+      case 'HGET':
+        return reply(client, bulk(this.hash(text[0]).get(text[1])));
+      case 'HDEL': {
+        const hash = this.hash(text[0]);
+        return reply(client, `:${text.slice(1).filter(field => hash.delete(field)).length}`);
+      }
+      case 'HGETALL':
+        return reply(client, array(Array.from(this.hash(text[0])).flat().map(bulk)));
+
+      case 'PUBLISH':
+        return reply(client, `:${this.publish(text[0], args[1])}`);
+      case 'SUBSCRIBE':
+      case 'PSUBSCRIBE': {
+        const set = command === 'SUBSCRIBE' ? client.channels : client.patterns;
+        return text.forEach(channel => {
+          set.add(channel);
+          reply(client, array([bulk(command.toLowerCase()), bulk(channel), `:${client.channels.size + client.patterns.size}`]));
+        });
+      }
+      case 'UNSUBSCRIBE':
+      case 'PUNSUBSCRIBE': {
+        const set = command === 'UNSUBSCRIBE' ? client.channels : client.patterns;
+        const channels = text.length > 0 ? text : Array.from(set);
+        return channels.forEach(channel => {
+          set.delete(channel);
+          reply(client, array([bulk(command.toLowerCase()), bulk(channel), `:${client.channels.size + client.patterns.size}`]));
+        });
+      }
+      case 'PUBSUB': {
+        // Only NUMSUB, which the adapter uses to count the other servers
+        const counts = text.slice(1).flatMap(channel => [
+          bulk(channel),
+          `:${Array.from(this.clients).filter(other => other.channels.has(channel)).length}`
+        ]);
+        return reply(client, array(counts));
+      }
+
+      default:
+        return reply(client, `-ERR unknown command '${command}'`);
+    }
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    return this.hashes.get(key);
+  }
+
+  publish(channel, message) {
+    let receivers = 0;
+    this.clients.forEach(client => {
+      if (client.channels.has(channel)) {
+        reply(client, array([bulk('message'), bulk(channel), bulk(message)]));
+        receivers++;
+      }
+      client.patterns.forEach(pattern => {
+        if (globToRegExp(pattern).test(channel)) {
+          reply(client, array([bulk('pmessage'), bulk(pattern), bulk(channel), bulk(message)]));
+          receivers++;
+        }
+      });
+    });
+    return receivers;
+  }
+
+  close() {
+    this.clients.forEach(client => client.socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+// Reads one complete `*<n>\r\n$<len>\r\n<arg>\r\n...` command off the buffer
+function parseCommand(client) {
+  const { buffer } = client;
+  if (buffer.length === 0 || buffer[0] !== 0x2a) return null; // '*'
+
+  let offset = buffer.indexOf('\r\n');
+  if (offset === -1) return null;
+  const count = parseInt(buffer.toString('utf8', 1, offset), 10);
+  offset += 2;
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const length = parseInt(buffer.toString('utf8', offset + 1, end), 10);
+    if (buffer.length < end + 2 + length + 2) return null;
+    args.push(buffer.subarray(end + 2, end + 2 + length));
+    offset = end + 2 + length + 2;
+  }
+
+  client.buffer = buffer.subarray(offset);
+  return args;
+}
+
+function bulk(value) {
+  if (value === undefined || value === null) return '$-1';
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data]);
+}
+
+function array(items) {
+  return Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items.map(item => Buffer.concat([Buffer.from(item), Buffer.from('\r\n')]))])
+    .subarray(0, -2);
+}
+
+function reply(client, value) {
+  if (!client.socket.writable) return;
+  client.socket.write(Buffer.concat([Buffer.from(value), Buffer.from('\r\n')]));
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  FakeRedisServer
+};
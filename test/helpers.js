@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+// Quiet unless asked for: servers take it from their env below, and lib/logger.js
+// reads it on load for the tests of single modules
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { createCameraServer } = require('../lib/server');
+
+/**
+ * Starts a server on a free port with its own data directories. `env` adds to
+ * or overrides the test settings; nothing is taken from process.env.
+ */
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-stream-test-'));
+  const cameraServer = createCameraServer({
+    env: {
+      DATA_DIR: dataDir,
+      RECORDINGS_DIR: path.join(dataDir, 'recordings'),
+      ICE_SERVERS: '[]',
+      LOG_LEVEL: process.env.LOG_LEVEL,
+      ...env
+    }
+  });
+  const port = await cameraServer.listen(0, '127.0.0.1');
+  const url = `http://127.0.0.1:${port}`;
+
+  return {
+    ...cameraServer,
+    url,
+    // fetch() relative to the server, with JSON bodies
+    request(pathname, { method = 'GET', body, headers = {} } = {}) {
+      return fetch(url + pathname, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+      });
+    },
+    async stop() {
+      await cameraServer.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * A headless client. Every event it receives is kept until a test waits for
+ * it, so an event that arrives before `waitFor` is called is not missed.
+ */
+class TestClient {
+  constructor(url, options = {}) {
+    this.socket = io(url, {
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false,
+      ...options
+    });
+    this.received = []; // [event, data] not yet taken by waitFor
+    this.waiters = [];
+
+    this.socket.onAny((event, data) => {
+      const waiter = this.waiters.find(w => w.event === event && w.match(data));
+      if (waiter) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(data);
+      } else {
+        this.received.push([event, data]);
+      }
+    });
+  }
+
+  static async connect(url, options) {
+    const client = new TestClient(url, options);
+    await new Promise((resolve, reject) => {
+      client.socket.once('connect', resolve);
+      client.socket.once('connect_error', reject);
+    });
+    return client;
+  }
+
+  get id() {
+    return this.socket.id;
+  }
+
+  emit(event, data) {
+    this.socket.emit(event, data);
+  }
+
+  // Resolves with the data of the next `event` for which `match(data)` holds
+  waitFor(event, { match = () => true, timeoutMs = 2000 } = {}) {
+    const index = this.received.findIndex(([name, data]) => name === event && match(data));
+    if (index !== -1) {
+      const [[, data]] = this.received.splice(index, 1);
+      return Promise.resolve(data);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { event, match, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for ${event}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Resolves once `timeoutMs` has passed without `event`, rejects if it arrives
+  async expectNo(event, timeoutMs = 200) {
+    await new Promise(resolve => setTimeout(resolve, timeoutMs));
+    const unexpected = this.received.find(([name]) => name === event);
+    if (unexpected) {
+      throw new Error(`Unexpected ${event}: ${JSON.stringify(unexpected[1])}`);
+    }
+  }
+
+  close() {
+    this.socket.disconnect();
+  }
+}
+
+// A streamer with a live stream and `viewerCount` viewers joined to it
+async function startStream(server, streamId, viewerCount = 0) {
+  const streamer = await TestClient.connect(server.url);
+  streamer.emit('create-stream', { streamId });
+  const created = await streamer.waitFor('stream-created');
+
+  const viewers = [];
+  for (let i = 0; i < viewerCount; i++) {
+    const viewer = await TestClient.connect(server.url);
+    viewer.emit('join-stream', streamId);
+    await viewer.waitFor('stream-joined');
+    await streamer.waitFor('create-offer', { match: data => data.viewerId === viewer.id });
+    viewers.push(viewer);
+  }
+  return { streamer, viewers, created };
+}
+
+module.exports = {
+  startServer,
+  TestClient,
+  startStream
+};
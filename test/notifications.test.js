@@ -0,0 +1,71 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { logger } = require('../lib/logger');
+const { loadNotificationConfig, Notifier } = require('../lib/notifications');
+
+describe('Notifier webhooks', () => {
+  let receiver;
+  let url;
+  let deliveries;
+  let status;
+  let notifier;
+
+  before(async () => {
+    logger.configure({ level: 'silent', format: 'json' });
+    receiver = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        deliveries.push(req.headers['x-webhook-delivery']);
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    deliveries = [];
+    status = 503;
+    notifier = new Notifier({ ...loadNotificationConfig({ WEBHOOK_URLS: url, WEBHOOK_MAX_ATTEMPTS: '3' }), retryBaseMs: 20 });
+  });
+
+  afterEach(() => {
+    notifier.close();
+  });
+
+  // Polls until `condition` holds or `timeoutMs` passed, which is also how
+  // the tests wait to show that nothing more happens
+  async function waitUntil(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  it('retries a failing webhook until it gives up', async () => {
+    notifier.notify('stream-started', { streamId: 'CAM1' });
+    await waitUntil(() => deliveries.length === 3);
+    assert.equal(deliveries.length, 3);
+    assert.equal(new Set(deliveries).size, 1);
+
+    await waitUntil(() => deliveries.length > 3, 200);
+    assert.equal(deliveries.length, 3);
+    assert.equal(notifier.retryTimers.size, 0);
+  });
+
+  it('cancels the retries still waiting on close', async () => {
+    notifier.notify('stream-started', { streamId: 'CAM1' });
+    await waitUntil(() => notifier.retryTimers.size === 1);
+    assert.equal(deliveries.length, 1);
+
+    notifier.close();
+    assert.equal(notifier.retryTimers.size, 0);
+    await waitUntil(() => deliveries.length > 1, 200);
+    assert.equal(deliveries.length, 1);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startStream, TestClient } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// Policies are checked on a 1 minute setInterval against the clock. Both are
+// faked; socket.io only relies on setTimeout, which stays real.
+describe('stream policies', () => {
+  let server;
+  let clients;
+
+  async function start(env = {}, now = Date.now()) {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now });
+    server = await startServer({ SCHEDULE_TIMEZONE: 'UTC', ...env });
+  }
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await server.stop();
+    mock.timers.reset();
+  });
+
+  async function stream(streamId, viewerCount) {
+    const started = await startStream(server, streamId, viewerCount);
+    clients.push(started.streamer, ...started.viewers);
+    return started;
+  }
+
+  async function registerCamera(policy) {
+    const response = await server.request('/api/cameras', { method: 'POST', body: { name: 'Porch', policy } });
+    assert.equal(response.status, 201);
+    return response.json();
+  }
+
+  async function connect() {
+    const client = await TestClient.connect(server.url);
+    clients.push(client);
+    return client;
+  }
+
+  describe('maximum duration', () => {
+    beforeEach(() => start());
+
+    it('ends streams older than 2 hours', async () => {
+      const { streamer, viewers: [viewer] } = await stream('OLD', 1);
+
+      mock.timers.tick(115 * MINUTE);
+      await stream('NEW');
+
+      // The check at 2:00 finds OLD exactly 2 hours old, the next one ends it
+      mock.timers.tick(5 * MINUTE);
+      assert.equal(server.activeStreams.has('OLD'), true);
+
+      mock.timers.tick(MINUTE);
+      assert.equal(server.activeStreams.has('OLD'), false);
+      assert.equal(server.activeStreams.has('NEW'), true);
+
+      const ended = { streamId: 'OLD', reason: 'Stream reached its maximum duration', policy: 'max-duration' };
+      assert.deepEqual(await viewer.waitFor('stream-ended'), ended);
+      assert.deepEqual(await streamer.waitFor('stream-ended'), ended);
+
+      const streams = await (await server.request('/api/streams')).json();
+      assert.deepEqual(streams.map(entry => entry.id), ['NEW']);
+    });
+
+    it('leaves streams younger than 2 hours alone', async () => {
+      await stream('CAM1');
+
+      mock.timers.tick(115 * MINUTE);
+      assert.equal(server.activeStreams.has('CAM1'), true);
+    });
+  });
+
+  it('ends streams nobody watches for the idle timeout', async () => {
+    await start({ STREAM_IDLE_TIMEOUT_MINUTES: '10' });
+    const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+    // Watched streams never idle
+    mock.timers.tick(30 * MINUTE);
+    viewer.close();
+    await streamer.waitFor('viewer-left');
+
+    mock.timers.tick(10 * MINUTE);
+    assert.equal(server.activeStreams.has('CAM1'), true);
+    mock.timers.tick(MINUTE);
+    assert.equal((await streamer.waitFor('stream-ended')).policy, 'idle');
+  });
+
+  it('lets a camera stream only within its schedule', async () => {
+    // A Monday, 21:00 UTC
+    await start({}, Date.UTC(2026, 0, 5, 21, 0));
+    const { camera, key } = await registerCamera({
+      maxDurationMinutes: 0,
+      schedule: [{ days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' }]
+    });
+    assert.equal(camera.policy.schedule.length, 1);
+
+    const early = await connect();
+    early.emit('create-stream', { streamId: camera.id, cameraKey: key });
+    assert.deepEqual(await early.waitFor('stream-scheduled'), {
+      streamId: camera.id,
+      resumeAt: '2026-01-05T22:00:00.000Z'
+    });
+
+    // A client that sends after the clock jumps takes its ping for overdue and
+    // drops the connection, so the streamer comes back on a new one
+    mock.timers.tick(60 * MINUTE);
+    const streamer = await connect();
+    streamer.emit('create-stream', { streamId: camera.id, cameraKey: key });
+    await streamer.waitFor('stream-created');
+
+    // Through the night, past the default maximum duration, until 07:00
+    mock.timers.tick(8 * 60 * MINUTE + 59 * MINUTE);
+    assert.equal(server.activeStreams.has(camera.id), true);
+    mock.timers.tick(MINUTE);
+    assert.deepEqual(await streamer.waitFor('stream-ended'), {
+      streamId: camera.id,
+      reason: 'Outside the camera\'s streaming schedule',
+      policy: 'schedule',
+      resumeAt: '2026-01-06T22:00:00.000Z'
+    });
+  });
+
+  it('rejects invalid camera policies', async () => {
+    await start();
+    const invalid = [
+      { maxDurationMinutes: -1 },
+      { schedule: [] },
+      { schedule: [{ start: '22:00', end: '22:00' }] },
+      { schedule: [{ start: '9:00', end: '17:00' }] },
+      { schedule: [{ days: [7], start: '09:00', end: '17:00' }] },
+      { timezone: 'Mars/Olympus_Mons' }
+    ];
+    for (const policy of invalid) {
+      const response = await server.request('/api/cameras', { method: 'POST', body: { name: 'Porch', policy } });
+      assert.equal(response.status, 400, JSON.stringify(policy));
+    }
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+const { loadPushConfig, PushSubscriptionStore, PushNotifier } = require('../lib/push');
+
+const KEYS = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+
+function subscription(name) {
+  return { endpoint: `https://fcm.googleapis.com/fcm/send/${name}`, keys: KEYS };
+}
+
+describe('push subscriptions API', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ PUSH_MAX_SUBSCRIPTIONS: '3' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('hands out the VAPID public key', async () => {
+    const { publicKey } = await (await server.request('/api/push/vapid-public-key')).json();
+    assert.match(publicKey, /^[A-Za-z0-9_-]{80,}$/);
+  });
+
+  it('subscribes, changes the follows and unsubscribes', async () => {
+    const body = { subscription: subscription('one'), streams: ['CAM1', 'CAM2', 'CAM1'] };
+    let response = await server.request('/api/push/subscriptions', { method: 'POST', body });
+    assert.equal(response.status, 201);
+    assert.deepEqual(await response.json(), { streams: ['CAM1', 'CAM2'] });
+
+    response = await server.request('/api/push/subscriptions', { method: 'POST', body: { ...body, streams: ['CAM3'] } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { streams: ['CAM3'] });
+
+    const remove = () => server.request('/api/push/subscriptions', { method: 'DELETE', body: { endpoint: body.subscription.endpoint } });
+    assert.equal((await remove()).status, 204);
+    assert.equal((await remove()).status, 404);
+  });
+
+  it('keeps the follows of a renewed subscription', async () => {
+    await server.request('/api/push/subscriptions', { method: 'POST', body: { subscription: subscription('old'), streams: ['CAM1'] } });
+    const response = await server.request('/api/push/subscriptions', {
+      method: 'POST',
+      body: { subscription: subscription('new'), previousEndpoint: subscription('old').endpoint }
+    });
+    assert.deepEqual(await response.json(), { streams: ['CAM1'] });
+
+    const removeOld = await server.request('/api/push/subscriptions', { method: 'DELETE', body: { endpoint: subscription('old').endpoint } });
+    assert.equal(removeOld.status, 404);
+  });
+
+  it('rejects invalid subscriptions', async () => {
+    const invalid = [
+      {},
+      { subscription: { endpoint: 'http://fcm.googleapis.com/fcm/send/x', keys: KEYS } },
+      { subscription: { ...subscription('x'), keys: { p256dh: 'a b' } } },
+      { subscription: subscription('x'), streams: ['../etc'] },
+      { subscription: subscription('x'), streams: Array.from({ length: 51 }, (_, i) => `CAM${i}`) }
+    ];
+    for (const body of invalid) {
+      const response = await server.request('/api/push/subscriptions', { method: 'POST', body });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('only sends to known push services', async () => {
+    const endpoints = [
+      'https://127.0.0.1/send/x',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/send/x',
+      'https://localhost/send/x',
+      'https://push.example.com/send/x',
+      'https://fcm.googleapis.com.evil.example/send/x',
+      'https://fcm.googleapis.com:8443/fcm/send/x',
+      'https://user@fcm.googleapis.com/fcm/send/x'
+    ];
+    for (const endpoint of endpoints) {
+      const response = await server.request('/api/push/subscriptions', { method: 'POST', body: { subscription: { endpoint, keys: KEYS } } });
+      assert.equal(response.status, 400, endpoint);
+      assert.equal((await response.json()).error, 'subscription.endpoint is not a known push service');
+    }
+
+    const apple = await server.request('/api/push/subscriptions', {
+      method: 'POST',
+      body: { subscription: { endpoint: 'https://web.push.apple.com/QGuQyavXutnMH', keys: KEYS } }
+    });
+    assert.equal(apple.status, 201);
+  });
+
+  it('caps the subscriptions of an account', async () => {
+    const register = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { username: 'ann', password: 'correct horse' }
+    });
+    const cookie = register.headers.get('set-cookie').split(';')[0];
+    const subscribe = (name, headers = { cookie }) =>
+      server.request('/api/push/subscriptions', { method: 'POST', body: { subscription: subscription(name) }, headers });
+
+    for (const name of ['ann-1', 'ann-2', 'ann-3']) {
+      assert.equal((await subscribe(name)).status, 201);
+    }
+    assert.equal((await subscribe('ann-4')).status, 429);
+
+    // Updating one is still fine, and so is another client
+    assert.equal((await subscribe('ann-1')).status, 200);
+    assert.equal((await subscribe('guest', {})).status, 201);
+  });
+});
+
+describe('PushNotifier', () => {
+  let dir;
+  let store;
+  let sent;
+  let notifier;
+  let failures;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-push-test-'));
+    store = new PushSubscriptionStore({ filePath: path.join(dir, 'push-subscriptions.json') });
+    sent = [];
+    failures = new Map(); // endpoint -> status code
+    notifier = new PushNotifier({
+      config: loadPushConfig({}),
+      keys: { publicKey: 'public', privateKey: 'private' },
+      store,
+      canView: (cameraId, userId) => cameraId === 'camera-1' && userId === 'owner',
+      send: async (target, payload, options) => {
+        if (failures.has(target.endpoint)) {
+          throw Object.assign(new Error('push service error'), { statusCode: failures.get(target.endpoint) });
+        }
+        sent.push({ endpoint: target.endpoint, payload: JSON.parse(payload), options });
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Deliveries run in the background
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('notifies the subscriptions following a stream', async () => {
+    store.put({ ...subscription('follower'), streams: ['CAM1'] });
+    store.put({ ...subscription('other'), streams: ['CAM2'] });
+
+    notifier.notify('stream-started', { streamId: 'CAM1', name: 'Porch', isPrivate: false });
+    notifier.notify('viewer-joined', { streamId: 'CAM1' });
+    await settle();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].endpoint, subscription('follower').endpoint);
+    assert.equal(sent[0].payload.title, '📹 Porch is live');
+    assert.equal(sent[0].payload.url, '/?stream=CAM1');
+    assert.equal(sent[0].options.urgency, 'high');
+    assert.equal(sent[0].options.TTL, 3600);
+  });
+
+  it('only tells accounts that may view a private camera', async () => {
+    store.put({ ...subscription('anonymous'), streams: ['CAM1'] });
+    store.put({ ...subscription('stranger'), streams: ['CAM1'], userId: 'stranger' });
+    store.put({ ...subscription('owner'), streams: ['CAM1'], userId: 'owner' });
+
+    notifier.notify('stream-ended', { streamId: 'CAM1', isPrivate: true, cameraId: 'camera-1' });
+    await settle();
+
+    assert.deepEqual(sent.map(push => push.endpoint), [subscription('owner').endpoint]);
+    assert.equal(sent[0].payload.title, 'CAM1 went offline');
+  });
+
+  it('drops subscriptions the push service no longer knows', async () => {
+    store.put({ ...subscription('gone'), streams: ['CAM1'] });
+    store.put({ ...subscription('flaky'), streams: ['CAM1'] });
+    failures.set(subscription('gone').endpoint, 410);
+    failures.set(subscription('flaky').endpoint, 503);
+
+    notifier.notify('stream-started', { streamId: 'CAM1', isPrivate: false });
+    await settle();
+
+    assert.equal(store.get(subscription('gone').endpoint), null);
+    assert.ok(store.get(subscription('flaky').endpoint));
+    // and the file is kept up to date
+    const saved = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    assert.deepEqual(saved.subscriptions.map(entry => entry.endpoint), [subscription('flaky').endpoint]);
+  });
+});
+
+describe('loadPushConfig', () => {
+  it('rejects half a key pair and a bad subject', () => {
+    assert.throws(() => loadPushConfig({ VAPID_PUBLIC_KEY: 'public' }), /VAPID_PRIVATE_KEY/);
+    assert.throws(() => loadPushConfig({ VAPID_SUBJECT: 'admin@example.com' }), /VAPID_SUBJECT/);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, loadRateLimitConfig } = require('../lib/rateLimit');
+
+describe('RateLimiter', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 0 }));
+  afterEach(() => mock.timers.reset());
+
+  it('allows a burst of `points`, then asks to wait', () => {
+    const limiter = new RateLimiter({ points: 3, durationMs: 3000 });
+    assert.equal(limiter.consume('a'), 0);
+    assert.equal(limiter.consume('a'), 0);
+    assert.equal(limiter.consume('a'), 0);
+    assert.equal(limiter.consume('a'), 1000);
+
+    // Other keys have their own bucket
+    assert.equal(limiter.consume('b'), 0);
+  });
+
+  it('refills evenly over `durationMs`', () => {
+    const limiter = new RateLimiter({ points: 2, durationMs: 2000 });
+    limiter.consume('a');
+    limiter.consume('a');
+
+    mock.timers.tick(500);
+    assert.equal(limiter.consume('a'), 500);
+    mock.timers.tick(500);
+    assert.equal(limiter.consume('a'), 0);
+  });
+
+  it('forgets buckets that have refilled', () => {
+    const limiter = new RateLimiter({ points: 2, durationMs: 1000 });
+    limiter.consume('a');
+
+    mock.timers.tick(60 * 1000);
+    limiter.consume('b');
+    assert.deepEqual(Array.from(limiter.buckets.keys()), ['b']);
+  });
+});
+
+describe('loadRateLimitConfig', () => {
+  it('turns limits off with 0', () => {
+    assert.equal(loadRateLimitConfig({ RATE_LIMIT_API: '0' }).apiPerMinute, 0);
+    assert.equal(loadRateLimitConfig({}).apiPerMinute, 300);
+  });
+
+  it('rejects values that are not whole numbers', () => {
+    assert.throws(() => loadRateLimitConfig({ RATE_LIMIT_EVENTS: 'lots' }), /RATE_LIMIT_EVENTS/);
+    assert.throws(() => loadRateLimitConfig({ TRUST_PROXY: '-1' }), /TRUST_PROXY/);
+  });
+});
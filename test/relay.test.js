@@ -0,0 +1,107 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../lib/logger');
+const { StreamRelay } = require('../lib/relay');
+
+// Stands in for a werift data channel: records what is sent and lets the test
+// deliver messages
+function fakeChannel() {
+  const listeners = [];
+  return {
+    readyState: 'open',
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    stateChanged: { subscribe() {} },
+    onMessage: { subscribe: listener => listeners.push(listener) },
+    receive(message) {
+      listeners.forEach(listener => listener(Buffer.from(JSON.stringify(message))));
+    }
+  };
+}
+
+describe('StreamRelay camera control', () => {
+  let relay;
+  let grants;
+  let publisher;
+
+  before(() => {
+    logger.configure({ level: 'silent', format: 'json' });
+  });
+
+  beforeEach(() => {
+    grants = new Set();
+    relay = new StreamRelay({
+      streamId: 'CAM1',
+      getPeerConfig: () => ({}),
+      signal: () => {},
+      isControlGranted: viewerId => grants.has(viewerId),
+      controlTimeoutMs: 50
+    });
+    publisher = fakeChannel();
+    relay.attachPublisherChannel(publisher);
+  });
+
+  afterEach(() => {
+    relay.close();
+  });
+
+  // A viewer with control, as addViewer would set it up minus the peer connection
+  function grantedViewer(viewerId) {
+    const channel = fakeChannel();
+    relay.viewers.set(viewerId, { peerConnection: { close() {} }, controlChannel: channel });
+    relay.attachViewerChannel(viewerId, channel);
+    grants.add(viewerId);
+    return channel;
+  }
+
+  it('rejects commands from viewers the streamer has not given control', () => {
+    const channel = fakeChannel();
+    relay.attachViewerChannel('viewer-1', channel);
+
+    channel.receive({ type: 'command', id: 7, action: 'set-torch', value: true });
+    assert.deepEqual(channel.sent, [{ type: 'result', id: 7, ok: false, error: 'The streamer has not given you control' }]);
+    assert.deepEqual(publisher.sent, []);
+  });
+
+  it('passes on the commands of a granted viewer and routes the result back', () => {
+    const channel = grantedViewer('viewer-1');
+
+    channel.receive({ type: 'command', id: 7, action: 'set-torch', value: true });
+    const [forwarded] = publisher.sent;
+    assert.equal(forwarded.viewerId, 'viewer-1');
+    assert.equal(forwarded.action, 'set-torch');
+
+    publisher.receive({ type: 'result', id: forwarded.id, ok: true });
+    assert.deepEqual(channel.sent, [{ type: 'result', id: 7, ok: true }]);
+    assert.equal(relay.controlRequests.size, 0);
+  });
+
+  it('tells the viewer when the camera does not answer', async () => {
+    const channel = grantedViewer('viewer-1');
+
+    channel.receive({ type: 'command', id: 3, action: 'snapshot' });
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.deepEqual(channel.sent, [{ type: 'result', id: 3, ok: false, error: 'The camera did not answer in time' }]);
+    assert.equal(relay.controlRequests.size, 0);
+
+    // A late answer goes nowhere
+    publisher.receive({ type: 'result', id: publisher.sent[0].id, ok: true });
+    assert.equal(channel.sent.length, 1);
+  });
+
+  it('forgets the commands of a viewer that leaves', () => {
+    const leaving = grantedViewer('viewer-1');
+    const staying = grantedViewer('viewer-2');
+    leaving.receive({ type: 'command', id: 1, action: 'set-torch', value: true });
+    staying.receive({ type: 'command', id: 1, action: 'set-torch', value: false });
+
+    relay.removeViewer('viewer-1');
+    assert.deepEqual(Array.from(relay.controlRequests.values(), request => request.viewerId), ['viewer-2']);
+
+    relay.closePublisher();
+    assert.equal(relay.controlRequests.size, 0);
+    assert.deepEqual(staying.sent, [{ type: 'result', id: 1, ok: false, error: 'Camera disconnected' }]);
+  });
+});
@@ -0,0 +1,370 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, TestClient, startStream } = require('./helpers');
+const { logger } = require('../lib/logger');
+const streamAuth = require('../lib/streamAuth');
+
+describe('REST API', () => {
+  let server;
+  let clients = [];
+
+  before(async () => {
+    server = await startServer({ METRICS_TOKEN: 'scrape-me' });
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    await server.stop();
+  });
+
+  async function stream(streamId, viewerCount) {
+    const started = await startStream(server, streamId, viewerCount);
+    clients.push(started.streamer, ...started.viewers);
+    return started;
+  }
+
+  // The session cookie of a Set-Cookie header, ready to send back
+  function sessionCookie(response) {
+    return response.headers.get('set-cookie').split(';')[0];
+  }
+
+  describe('streams', () => {
+    before(async () => {
+      await stream('PUBLIC1', 1);
+
+      const streamer = await TestClient.connect(server.url);
+      clients.push(streamer);
+      streamer.emit('create-stream', { streamId: 'PRIVATE1', passphrase: 'hunter22' });
+      await streamer.waitFor('stream-created');
+    });
+
+    it('GET /health reports the public streams', async () => {
+      const body = await (await server.request('/health')).json();
+      assert.equal(body.status, 'OK');
+      assert.equal(body.streams, 2);
+      assert.deepEqual(body.activeStreams.map(stream => stream.id), ['PUBLIC1']);
+      assert.equal(body.activeStreams[0].viewers, 1);
+    });
+
+    it('GET /api/streams lists public streams only', async () => {
+      const body = await (await server.request('/api/streams')).json();
+      assert.deepEqual(body.map(stream => stream.id), ['PUBLIC1']);
+      assert.equal(body[0].status, 'live');
+    });
+
+    it('GET /api/stream/:id describes a public stream', async () => {
+      const body = await (await server.request('/api/stream/PUBLIC1')).json();
+      assert.equal(body.exists, true);
+      assert.equal(body.private, false);
+      assert.equal(body.viewers, 1);
+    });
+
+    it('GET /api/stream/:id discloses nothing about a private stream', async () => {
+      assert.deepEqual(await (await server.request('/api/stream/PRIVATE1')).json(), { exists: true, private: true });
+    });
+
+    it('GET /api/stream/:id for an unknown stream', async () => {
+      const body = await (await server.request('/api/stream/NOPE')).json();
+      assert.equal(body.exists, false);
+    });
+  });
+
+  it('GET /api/ice-config returns the configured servers', async () => {
+    const body = await (await server.request('/api/ice-config')).json();
+    assert.deepEqual(body.iceServers, []);
+  });
+
+  it('sends a request id with every response', async () => {
+    const response = await server.request('/health', { headers: { 'X-Request-Id': 'test-123' } });
+    assert.equal(response.headers.get('x-request-id'), 'test-123');
+    assert.ok((await server.request('/health')).headers.get('x-request-id'));
+  });
+
+  it('answers malformed JSON with a JSON error', async () => {
+    const response = await server.request('/api/cameras', { method: 'POST', body: '{"name":' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Request body is not valid JSON' });
+  });
+
+  describe('accounts', () => {
+    it('registers, signs in and out', async () => {
+      const registered = await server.request('/api/auth/register', {
+        method: 'POST',
+        body: { username: 'alice', password: 'correct horse', displayName: 'Alice' }
+      });
+      assert.equal(registered.status, 201);
+      assert.equal((await registered.json()).user.username, 'alice');
+
+      const duplicate = await server.request('/api/auth/register', {
+        method: 'POST',
+        body: { username: 'Alice', password: 'another password' }
+      });
+      assert.equal(duplicate.status, 409);
+
+      const wrong = await server.request('/api/auth/login', { method: 'POST', body: { username: 'alice', password: 'nope nope' } });
+      assert.equal(wrong.status, 401);
+
+      const login = await server.request('/api/auth/login', { method: 'POST', body: { username: 'alice', password: 'correct horse' } });
+      assert.equal(login.status, 200);
+      const cookie = sessionCookie(login);
+
+      const me = await (await server.request('/api/auth/me', { headers: { Cookie: cookie } })).json();
+      assert.equal(me.user.displayName, 'Alice');
+
+      const logout = await server.request('/api/auth/logout', { method: 'POST', headers: { Cookie: cookie } });
+      assert.equal(logout.status, 204);
+      assert.equal((await (await server.request('/api/auth/me')).json()).user, null);
+    });
+
+    it('rejects short passwords', async () => {
+      const response = await server.request('/api/auth/register', { method: 'POST', body: { username: 'bob', password: 'short' } });
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('cameras', () => {
+    it('registers, renames and deletes a camera with its key', async () => {
+      const created = await server.request('/api/cameras', { method: 'POST', body: { name: 'Porch' } });
+      assert.equal(created.status, 201);
+      const { camera, key } = await created.json();
+      assert.equal(camera.name, 'Porch');
+      assert.ok(key);
+
+      const listed = await (await server.request('/api/cameras')).json();
+      assert.ok(listed.some(entry => entry.id === camera.id));
+
+      const forbidden = await server.request(`/api/cameras/${camera.id}`, {
+        method: 'PATCH',
+        body: { name: 'Hijacked' },
+        headers: { Authorization: 'Bearer wrong' }
+      });
+      assert.equal(forbidden.status, 403);
+
+      const renamed = await server.request(`/api/cameras/${camera.id}`, {
+        method: 'PATCH',
+        body: { name: 'Front door' },
+        headers: { Authorization: `Bearer ${key}` }
+      });
+      assert.equal((await renamed.json()).name, 'Front door');
+
+      const deleted = await server.request(`/api/cameras/${camera.id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${key}` }
+      });
+      assert.equal(deleted.status, 204);
+      assert.equal((await server.request(`/api/cameras/${camera.id}`)).status, 404);
+    });
+
+    it('revokes the links of a camera by rotating its tokens', async () => {
+      const created = await server.request('/api/cameras', {
+        method: 'POST',
+        body: { name: 'Garage', settings: { private: true } }
+      });
+      const { camera, key } = await created.json();
+
+      const streamer = await TestClient.connect(server.url);
+      const viewer = await TestClient.connect(server.url);
+      clients.push(streamer, viewer);
+      streamer.emit('create-stream', { streamId: camera.id, cameraKey: key });
+      const { viewerToken } = await streamer.waitFor('stream-created');
+      viewer.emit('join-stream', { streamId: camera.id, token: viewerToken });
+      await viewer.waitFor('stream-joined');
+
+      assert.equal((await server.request(`/api/cameras/${camera.id}/rotate-tokens`, { method: 'POST' })).status, 403);
+      const rotated = await server.request(`/api/cameras/${camera.id}/rotate-tokens`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}` }
+      });
+      assert.equal(rotated.status, 200);
+
+      assert.equal((await viewer.waitFor('stream-auth-required')).reason, 'access-revoked');
+      const tokens = await streamer.waitFor('stream-tokens');
+      assert.notEqual(tokens.viewerToken, viewerToken);
+
+      viewer.emit('join-stream', { streamId: camera.id, token: viewerToken });
+      assert.equal((await viewer.waitFor('stream-auth-required')).reason, 'invalid-credentials');
+      viewer.emit('join-stream', { streamId: camera.id, token: tokens.viewerToken });
+      await viewer.waitFor('stream-joined');
+    });
+
+    it('revokes the links to the recordings and events of a camera', async () => {
+      const created = await server.request('/api/cameras', {
+        method: 'POST',
+        body: { name: 'Porch', settings: { private: true } }
+      });
+      const { camera, key } = await created.json();
+
+      const streamer = await TestClient.connect(server.url);
+      const viewer = await TestClient.connect(server.url);
+      clients.push(streamer, viewer);
+      streamer.emit('create-stream', { streamId: camera.id, cameraKey: key });
+      const { viewerToken, uploadToken } = await streamer.waitFor('stream-created');
+      viewer.emit('join-stream', { streamId: camera.id, token: viewerToken });
+      await viewer.waitFor('stream-joined');
+      const session = await server.request(`/api/recordings/${camera.id}/sessions`, {
+        method: 'POST',
+        body: {},
+        headers: { Authorization: `Bearer ${uploadToken}` }
+      });
+      const { sessionId } = await session.json();
+      streamer.emit('motion-detected', { streamId: camera.id, score: 0.5 });
+      await viewer.waitFor('motion-alert');
+
+      const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+      const recordings = (token) => server.request(`/api/recordings/${camera.id}`, bearer(token));
+      const events = (token) => server.request(`/api/stream/${camera.id}/events`, bearer(token));
+      assert.equal((await (await recordings(viewerToken)).json()).length, 1);
+      assert.equal((await (await events(viewerToken)).json()).length, 1);
+
+      await server.request(`/api/cameras/${camera.id}/rotate-tokens`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${key}` }
+      });
+      const tokens = await streamer.waitFor('stream-tokens');
+
+      assert.deepEqual(await (await recordings(viewerToken)).json(), []);
+      assert.deepEqual(await (await events(viewerToken)).json(), []);
+      const video = await server.request(`/api/recordings/${camera.id}/${sessionId}`, bearer(viewerToken));
+      assert.equal(video.status, 404);
+      assert.equal((await (await recordings(tokens.viewerToken)).json()).length, 1);
+      assert.equal((await (await events(tokens.viewerToken)).json()).length, 1);
+
+      // The running recording carries on with the new upload token
+      const finish = (token) => server.request(`/api/recordings/${camera.id}/${sessionId}/finish`, {
+        method: 'POST',
+        ...bearer(token)
+      });
+      assert.equal((await finish(uploadToken)).status, 403);
+      assert.equal((await finish(tokens.uploadToken)).status, 200);
+    });
+
+    it('validates the camera name', async () => {
+      const response = await server.request('/api/cameras', { method: 'POST', body: { name: '' } });
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('motion events', () => {
+    const THUMBNAIL = `data:image/jpeg;base64,${Buffer.from('not really jpeg').toString('base64')}`;
+
+    async function watch(streamId, options) {
+      const viewer = await TestClient.connect(server.url);
+      clients.push(viewer);
+      viewer.emit('join-stream', { streamId, ...options });
+      return { viewer, joined: await viewer.waitFor('stream-joined') };
+    }
+
+    it('keeps the events of a private session private when the id is reused', async () => {
+      const streamer = await TestClient.connect(server.url);
+      clients.push(streamer);
+      streamer.emit('create-stream', { streamId: 'HOME1', passphrase: 'hunter22' });
+      await streamer.waitFor('stream-created');
+      const { viewer: privateViewer, joined } = await watch('HOME1', { passphrase: 'hunter22' });
+      streamer.emit('motion-detected', { streamId: 'HOME1', score: 0.5, thumbnail: THUMBNAIL });
+      const privateEvent = await privateViewer.waitFor('motion-alert');
+
+      // The same id, now public, from someone else
+      streamer.emit('end-stream', 'HOME1');
+      const stranger = await TestClient.connect(server.url);
+      clients.push(stranger);
+      stranger.emit('create-stream', { streamId: 'HOME1' });
+      await stranger.waitFor('stream-created');
+      const { viewer: publicViewer } = await watch('HOME1');
+      stranger.emit('motion-detected', { streamId: 'HOME1', score: 0.1 });
+      const publicEvent = await publicViewer.waitFor('motion-alert');
+
+      const listed = await (await server.request('/api/stream/HOME1/events')).json();
+      assert.deepEqual(listed.map(event => event.id), [publicEvent.id]);
+      assert.equal((await server.request(privateEvent.thumbnailUrl)).status, 404);
+
+      // The viewer token of the private session still opens its events
+      const auth = { authorization: `Bearer ${joined.viewerToken}` };
+      const own = await (await server.request('/api/stream/HOME1/events', { headers: auth })).json();
+      assert.deepEqual(own.map(event => event.id), [privateEvent.id, publicEvent.id]);
+      assert.equal((await server.request(privateEvent.thumbnailUrl, { headers: auth })).status, 200);
+    });
+  });
+
+  describe('recordings', () => {
+    it('records a live stream with its upload token', async () => {
+      const { created } = await stream('RECORDED');
+      const auth = { Authorization: `Bearer ${created.uploadToken}` };
+
+      assert.equal((await server.request('/api/recordings/RECORDED/sessions', { method: 'POST', body: {} })).status, 403);
+
+      const session = await server.request('/api/recordings/RECORDED/sessions', { method: 'POST', body: {}, headers: auth });
+      assert.equal(session.status, 201);
+      const { sessionId } = await session.json();
+
+      const chunk = await fetch(`${server.url}/api/recordings/RECORDED/${sessionId}/chunks`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'video/webm', 'X-Chunk-Index': '0' },
+        body: Buffer.from('not really webm')
+      });
+      assert.deepEqual(await chunk.json(), { chunks: 1 });
+
+      const finished = await (await server.request(`/api/recordings/RECORDED/${sessionId}/finish`, { method: 'POST', headers: auth })).json();
+      assert.equal(finished.size, 15);
+
+      const listing = await (await server.request('/api/recordings/RECORDED')).json();
+      assert.deepEqual(listing.map(recording => recording.sessionId), [sessionId]);
+    });
+
+    it('appends concurrent chunk uploads one at a time', async () => {
+      const { created } = await stream('RACING');
+      const auth = { Authorization: `Bearer ${created.uploadToken}` };
+      const session = await server.request('/api/recordings/RACING/sessions', { method: 'POST', body: {}, headers: auth });
+      const { sessionId } = await session.json();
+      const upload = (headers, body = Buffer.from('0123456789')) => fetch(`${server.url}/api/recordings/RACING/${sessionId}/chunks`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'video/webm', ...headers },
+        body
+      });
+
+      assert.equal((await upload({})).status, 400);
+
+      // Of the uploads racing for the same index only one gets in
+      const responses = await Promise.all(Array.from({ length: 5 }, () => upload({ 'X-Chunk-Index': '0' })));
+      assert.deepEqual(responses.map(response => response.status).sort(), [200, 409, 409, 409, 409]);
+
+      const next = await Promise.all([1, 2, 3].map(index => upload({ 'X-Chunk-Index': String(index) })));
+      assert.deepEqual(next.map(response => response.status), [200, 200, 200]);
+
+      const finished = await (await server.request(`/api/recordings/RACING/${sessionId}/finish`, { method: 'POST', headers: auth })).json();
+      assert.equal(finished.chunks, 4);
+      assert.equal(finished.size, 40);
+    });
+
+    it('rejects unsafe stream ids', async () => {
+      assert.equal((await server.request('/api/recordings/bad%20id')).status, 400);
+    });
+  });
+
+  describe('metrics', () => {
+    it('requires the metrics token', async () => {
+      assert.equal((await server.request('/metrics')).status, 401);
+
+      const response = await server.request('/metrics', { headers: { Authorization: 'Bearer scrape-me' } });
+      assert.equal(response.status, 200);
+      assert.match(await response.text(), /camera_active_streams\{status="live"\}/);
+    });
+  });
+});
+
+describe('process-wide settings', () => {
+  it('come from the env the server was created with', async () => {
+    const server = await startServer({ STREAM_TOKEN_SECRET: 'from-env', VIEWER_TOKEN_TTL_MS: '60000', LOG_LEVEL: 'error' });
+    try {
+      assert.equal(logger.child({ component: 'test' }).level, 'error');
+
+      const [expires, signature] = streamAuth.createViewerToken('CAM1', 'nonce').split('.');
+      assert.ok(Number(expires) <= Date.now() + 60000 && Number(expires) > Date.now() + 50000);
+      const expected = crypto.createHmac('sha256', 'from-env').update(`view:CAM1:nonce:${expires}`).digest('base64url');
+      assert.equal(signature, expected);
+    } finally {
+      await server.stop();
+      logger.configure({ level: process.env.LOG_LEVEL, format: 'json' });
+    }
+  });
+});
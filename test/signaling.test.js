@@ -0,0 +1,318 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, TestClient, startStream } = require('./helpers');
+
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\n' };
+const CANDIDATE = { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54321 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+
+describe('signaling', () => {
+  let server;
+  let clients;
+
+  async function connect() {
+    const client = await TestClient.connect(server.url);
+    clients.push(client);
+    return client;
+  }
+
+  async function stream(streamId, viewerCount) {
+    const started = await startStream(server, streamId, viewerCount);
+    clients.push(started.streamer, ...started.viewers);
+    return started;
+  }
+
+  beforeEach(async () => {
+    server = await startServer({ STREAMER_GRACE_MS: '300' });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await server.stop();
+  });
+
+  it('sends the public streams to new connections', async () => {
+    await stream('LOBBY');
+    const client = await connect();
+    assert.deepEqual(await client.waitFor('active-streams'), ['LOBBY']);
+  });
+
+  describe('create-stream', () => {
+    it('creates a stream and hands out tokens', async () => {
+      const streamer = await connect();
+      streamer.emit('create-stream', { streamId: 'CAM1' });
+
+      const created = await streamer.waitFor('stream-created');
+      assert.equal(created.streamId, 'CAM1');
+      assert.equal(created.private, false);
+      assert.equal(created.viewerToken, null);
+      assert.ok(created.uploadToken);
+      assert.ok(created.resumeToken);
+      assert.ok(server.activeStreams.has('CAM1'));
+    });
+
+    it('accepts a plain stream id', async () => {
+      const streamer = await connect();
+      streamer.emit('create-stream', 'CAM1');
+      assert.equal((await streamer.waitFor('stream-created')).streamId, 'CAM1');
+    });
+
+    it('announces public streams to everyone else', async () => {
+      const other = await connect();
+      await stream('CAM1');
+      assert.equal((await other.waitFor('stream-started')).streamId, 'CAM1');
+    });
+
+    it('answers stream-exists for a stream id in use', async () => {
+      await stream('CAM1');
+      const second = await connect();
+      second.emit('create-stream', { streamId: 'CAM1' });
+      assert.deepEqual(await second.waitFor('stream-exists'), { streamId: 'CAM1' });
+    });
+
+    it('lets the streamer reclaim its stream with the resume token', async () => {
+      const { streamer, created } = await stream('CAM1');
+      const replacement = await connect();
+      replacement.emit('create-stream', { streamId: 'CAM1', resumeToken: created.resumeToken });
+
+      assert.equal((await replacement.waitFor('stream-created')).streamId, 'CAM1');
+      assert.deepEqual(await streamer.waitFor('stream-taken-over'), { streamId: 'CAM1' });
+      assert.equal(server.activeStreams.get('CAM1').streamer, replacement.id);
+    });
+
+    it('rejects stream ids outside the allowed characters', async () => {
+      const streamer = await connect();
+      streamer.emit('create-stream', { streamId: '../etc' });
+
+      const error = await streamer.waitFor('request-error');
+      assert.equal(error.event, 'create-stream');
+      assert.equal(error.code, 'invalid-payload');
+      assert.equal(server.activeStreams.size, 0);
+    });
+  });
+
+  describe('join-stream', () => {
+    it('joins a stream and asks the streamer for an offer', async () => {
+      const { streamer } = await stream('CAM1');
+      const viewer = await connect();
+      viewer.emit('join-stream', 'CAM1');
+
+      const joined = await viewer.waitFor('stream-joined');
+      assert.equal(joined.streamId, 'CAM1');
+      assert.equal(joined.streamerId, streamer.id);
+
+      const viewerJoined = await streamer.waitFor('viewer-joined');
+      assert.equal(viewerJoined.viewerId, viewer.id);
+      assert.equal(viewerJoined.viewerCount, 1);
+      assert.deepEqual(await streamer.waitFor('create-offer'), { viewerId: viewer.id, streamId: 'CAM1' });
+    });
+
+    it('answers stream-not-found with the streams there are', async () => {
+      await stream('CAM1');
+      const viewer = await connect();
+      viewer.emit('join-stream', 'NOPE');
+
+      assert.deepEqual(await viewer.waitFor('stream-not-found'), { streamId: 'NOPE', availableStreams: ['CAM1'] });
+    });
+
+    it('asks for credentials to join a private stream', async () => {
+      const streamer = await connect();
+      streamer.emit('create-stream', { streamId: 'SECRET', passphrase: 'open sesame' });
+      const created = await streamer.waitFor('stream-created');
+      assert.equal(created.private, true);
+
+      const viewer = await connect();
+      viewer.emit('join-stream', 'SECRET');
+      assert.equal((await viewer.waitFor('stream-auth-required')).reason, 'credentials-required');
+
+      viewer.emit('join-stream', { streamId: 'SECRET', passphrase: 'wrong' });
+      assert.equal((await viewer.waitFor('stream-auth-required')).reason, 'invalid-credentials');
+
+      viewer.emit('join-stream', { streamId: 'SECRET', passphrase: 'open sesame' });
+      assert.ok((await viewer.waitFor('stream-joined')).viewerToken);
+
+      const tokenViewer = await connect();
+      tokenViewer.emit('join-stream', { streamId: 'SECRET', token: created.viewerToken });
+      await tokenViewer.waitFor('stream-joined');
+    });
+  });
+
+  describe('offer, answer and ICE candidates', () => {
+    it('relays them between the streamer and a viewer', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+      streamer.emit('offer', { streamId: 'CAM1', targetViewerId: viewer.id, offer: OFFER });
+      assert.deepEqual(await viewer.waitFor('offer'), { offer: OFFER, streamId: 'CAM1', from: streamer.id });
+
+      viewer.emit('answer', { streamId: 'CAM1', targetStreamerId: streamer.id, answer: ANSWER });
+      assert.deepEqual(await streamer.waitFor('answer'), { answer: ANSWER, streamId: 'CAM1', from: viewer.id });
+
+      streamer.emit('ice-candidate', { streamId: 'CAM1', target: viewer.id, candidate: CANDIDATE });
+      assert.deepEqual(await viewer.waitFor('ice-candidate'), { candidate: CANDIDATE, streamId: 'CAM1', from: streamer.id });
+
+      viewer.emit('ice-candidate', { streamId: 'CAM1', target: streamer.id, candidate: CANDIDATE });
+      assert.deepEqual(await streamer.waitFor('ice-candidate'), { candidate: CANDIDATE, streamId: 'CAM1', from: viewer.id });
+    });
+
+    it('does not relay to sockets outside the stream', async () => {
+      const { streamer } = await stream('CAM1', 1);
+      const outsider = await connect();
+
+      streamer.emit('ice-candidate', { streamId: 'CAM1', target: outsider.id, candidate: CANDIDATE });
+      assert.equal((await streamer.waitFor('unauthorized')).event, 'ice-candidate');
+      await outsider.expectNo('ice-candidate');
+    });
+
+    it('does not relay between two viewers', async () => {
+      const { viewers: [first, second] } = await stream('CAM1', 2);
+
+      first.emit('ice-candidate', { streamId: 'CAM1', target: second.id, candidate: CANDIDATE });
+      first.emit('offer', { streamId: 'CAM1', targetViewerId: second.id, offer: OFFER });
+      assert.equal((await first.waitFor('unauthorized')).event, 'ice-candidate');
+      assert.equal((await first.waitFor('unauthorized')).event, 'offer');
+      await second.expectNo('ice-candidate');
+      await second.expectNo('offer');
+    });
+
+    it('drops malformed payloads with a request-error', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+
+      streamer.emit('offer', { streamId: 'CAM1', targetViewerId: viewer.id });
+      const error = await streamer.waitFor('request-error');
+      assert.equal(error.event, 'offer');
+      assert.equal(error.code, 'invalid-payload');
+      assert.match(error.message, /offer/);
+      await viewer.expectNo('offer');
+    });
+  });
+
+  describe('leaving and ending', () => {
+    it('tells the streamer when a viewer leaves', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+      viewer.emit('leave-stream', 'CAM1');
+
+      assert.deepEqual(await streamer.waitFor('viewer-left'), { viewerId: viewer.id, viewerCount: 0 });
+      assert.equal(server.activeStreams.get('CAM1').viewers.size, 0);
+    });
+
+    it('tells the streamer when a viewer disconnects', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+      const viewerId = viewer.id;
+      viewer.close();
+
+      assert.equal((await streamer.waitFor('viewer-left')).viewerId, viewerId);
+    });
+
+    it('ends the stream for everyone when the streamer ends it', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+      const other = await connect();
+      streamer.emit('end-stream', 'CAM1');
+
+      assert.deepEqual(await viewer.waitFor('stream-ended'), { streamId: 'CAM1', reason: 'Streamer ended the stream' });
+      assert.deepEqual(await other.waitFor('stream-ended-broadcast'), { streamId: 'CAM1' });
+      assert.equal(server.activeStreams.has('CAM1'), false);
+    });
+
+    it('ends the stream right away when the streamer disconnects on purpose', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+      streamer.close();
+
+      assert.deepEqual(await viewer.waitFor('stream-ended'), { streamId: 'CAM1', reason: 'Streamer disconnected' });
+      assert.equal(server.activeStreams.has('CAM1'), false);
+    });
+
+    it('waits for a dropped streamer before ending the stream', async () => {
+      const { streamer, viewers: [viewer] } = await stream('CAM1', 1);
+      // Closing the transport looks like a lost connection to the server
+      streamer.socket.io.engine.close();
+
+      assert.deepEqual(await viewer.waitFor('stream-reconnecting'), { streamId: 'CAM1', graceMs: 300 });
+      assert.equal(server.activeStreams.get('CAM1').status, 'reconnecting');
+
+      assert.deepEqual(await viewer.waitFor('stream-ended'), { streamId: 'CAM1', reason: 'Streamer disconnected' });
+      assert.equal(server.activeStreams.has('CAM1'), false);
+    });
+
+    it('keeps viewers when the streamer comes back in time', async () => {
+      const { streamer, viewers: [viewer], created } = await stream('CAM1', 1);
+      streamer.socket.io.engine.close();
+      await viewer.waitFor('stream-reconnecting');
+
+      const returning = await connect();
+      returning.emit('create-stream', { streamId: 'CAM1', resumeToken: created.resumeToken });
+
+      const resumed = await returning.waitFor('stream-created');
+      assert.deepEqual(resumed.viewers, [{ viewerId: viewer.id, name: null, controlGranted: false }]);
+      assert.equal((await viewer.waitFor('stream-resumed')).streamId, 'CAM1');
+      await viewer.expectNo('stream-ended', 400);
+    });
+  });
+
+  describe('push-to-talk', () => {
+    it('gives the talk slot to one viewer at a time', async () => {
+      const { streamer, viewers: [first, second] } = await stream('CAM1', 2);
+
+      first.emit('talk-request', 'CAM1');
+      await first.waitFor('talk-granted');
+      assert.equal((await streamer.waitFor('talk-started')).viewerId, first.id);
+
+      second.emit('talk-request', 'CAM1');
+      assert.equal((await second.waitFor('talk-denied')).reason, 'Someone else is talking');
+
+      first.emit('talk-release', 'CAM1');
+      assert.equal((await streamer.waitFor('talk-stopped')).viewerId, first.id);
+    });
+  });
+
+  describe('remote camera control', () => {
+    it('lets the streamer give one viewer control', async () => {
+      const { streamer, viewers: [granted, other] } = await stream('CAM1', 2);
+
+      streamer.emit('grant-control', { streamId: 'CAM1', viewerId: granted.id, granted: true });
+      const update = { streamId: 'CAM1', viewerId: granted.id, granted: true };
+      assert.deepEqual(await granted.waitFor('control-granted'), update);
+      assert.deepEqual(await streamer.waitFor('control-granted'), update);
+      await other.expectNo('control-granted');
+
+      // Rejoining keeps it, leaving drops it
+      granted.emit('join-stream', 'CAM1');
+      assert.equal((await granted.waitFor('stream-joined', { match: data => data.controlGranted })).controlGranted, true);
+      granted.emit('leave-stream', 'CAM1');
+      await streamer.waitFor('viewer-left');
+      assert.equal(server.activeStreams.get('CAM1').controlGrants.has(granted.id), false);
+    });
+
+    it('only lets the streamer grant control, to its own viewers', async () => {
+      const { streamer, viewers: [viewer, other] } = await stream('CAM1', 2);
+      const outsider = await connect();
+
+      other.emit('grant-control', { streamId: 'CAM1', viewerId: other.id, granted: true });
+      assert.equal((await other.waitFor('unauthorized')).event, 'grant-control');
+
+      streamer.emit('grant-control', { streamId: 'CAM1', viewerId: outsider.id, granted: true });
+      assert.equal((await streamer.waitFor('request-error')).message, 'Not a viewer of this stream');
+      await viewer.expectNo('control-granted');
+      assert.equal(server.activeStreams.get('CAM1').controlGrants.size, 0);
+    });
+  });
+
+  describe('rate limits', () => {
+    it('drops events over the per-socket limit', async () => {
+      await server.stop();
+      server = await startServer({ RATE_LIMIT_EVENTS: '5' });
+
+      const client = await connect();
+      for (let i = 0; i < 8; i++) {
+        client.emit('join-stream', 'NOPE');
+      }
+
+      const error = await client.waitFor('request-error');
+      assert.equal(error.code, 'rate-limited');
+      assert.ok(error.retryAfterMs > 0);
+
+      const replies = client.received.filter(([event]) => event === 'stream-not-found');
+      assert.equal(replies.length, 5);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPolicyConfig, resolvePolicy, isWithinSchedule, nextWindowStart, checkStreamPolicy } = require('../lib/streamPolicy');
+
+const config = loadPolicyConfig({ SCHEDULE_TIMEZONE: 'UTC' });
+
+// 2026-01-05 is a Monday
+function at(day, time) {
+  return new Date(`2026-01-${String(day).padStart(2, '0')}T${time}:00Z`);
+}
+
+describe('stream policy schedules', () => {
+  const nights = resolvePolicy(config, { schedule: [{ days: [5], start: '22:00', end: '07:00' }] });
+
+  it('runs windows past midnight into the next day', () => {
+    assert.equal(isWithinSchedule(nights, at(9, '21:59')), false); // Friday
+    assert.equal(isWithinSchedule(nights, at(9, '22:00')), true);
+    assert.equal(isWithinSchedule(nights, at(10, '06:59')), true); // Saturday morning
+    assert.equal(isWithinSchedule(nights, at(10, '07:00')), false);
+    assert.equal(isWithinSchedule(nights, at(10, '23:00')), false);
+  });
+
+  it('finds the next window, up to a week ahead', () => {
+    assert.deepEqual(nextWindowStart(nights, at(10, '07:00')), at(16, '22:00'));
+    assert.deepEqual(nextWindowStart(nights, at(9, '22:00')), at(16, '22:00'));
+    assert.deepEqual(nextWindowStart(nights, at(5, '12:30')), at(9, '22:00'));
+  });
+
+  it('uses the time zone of the camera', () => {
+    const berlin = resolvePolicy(config, { schedule: [{ start: '09:00', end: '17:00' }], timezone: 'Europe/Berlin' });
+    assert.equal(isWithinSchedule(berlin, at(5, '08:30')), true); // 09:30 in Berlin
+    assert.equal(isWithinSchedule(berlin, at(5, '16:30')), false);
+  });
+
+  it('allows any time without a schedule', () => {
+    const always = resolvePolicy(config, null);
+    assert.equal(isWithinSchedule(always, at(5, '03:00')), true);
+    assert.equal(nextWindowStart(always, at(5, '03:00')), null);
+  });
+});
+
+describe('checkStreamPolicy', () => {
+  const now = at(5, '12:00');
+
+  it('uses the defaults where the camera has no limit of its own', () => {
+    const policy = resolvePolicy(config, { idleTimeoutMinutes: 5 });
+    const stream = { createdAt: at(5, '09:59'), idleSince: null };
+    assert.equal(checkStreamPolicy(policy, stream, now).policy, 'max-duration');
+
+    const unlimited = resolvePolicy(config, { maxDurationMinutes: 0 });
+    assert.equal(checkStreamPolicy(unlimited, stream, now), null);
+  });
+
+  it('ends streams that stayed without viewers', () => {
+    const policy = resolvePolicy(config, { idleTimeoutMinutes: 5 });
+    assert.equal(checkStreamPolicy(policy, { createdAt: now, idleSince: at(5, '11:56') }, now), null);
+    assert.equal(checkStreamPolicy(policy, { createdAt: now, idleSince: at(5, '11:54') }, now).policy, 'idle');
+  });
+});
+
+describe('loadPolicyConfig', () => {
+  it('rejects bad limits and time zones', () => {
+    assert.throws(() => loadPolicyConfig({ STREAM_MAX_DURATION_MINUTES: '2h' }), /STREAM_MAX_DURATION_MINUTES/);
+    assert.throws(() => loadPolicyConfig({ SCHEDULE_TIMEZONE: 'Nowhere/Special' }), /SCHEDULE_TIMEZONE/);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStateStore, StreamRegistry, NODE_TIMEOUT_MS, loadStateConfig } = require('../lib/streamRegistry');
+
+describe('StreamRegistry', () => {
+  let nodeA;
+  let nodeB;
+
+  beforeEach(async () => {
+    const store = new MemoryStateStore();
+    nodeA = new StreamRegistry({ store, prefix: 'test', nodeId: 'node-a' });
+    nodeB = new StreamRegistry({ store, prefix: 'test', nodeId: 'node-b' });
+    await nodeA.heartbeat();
+    await nodeB.heartbeat();
+  });
+
+  it('lets one node claim a stream id', async () => {
+    assert.equal(await nodeA.claim('CAM1', { name: 'Porch' }), true);
+    assert.equal(await nodeB.claim('CAM1', { name: 'Imposter' }), false);
+    assert.deepEqual(await nodeB.get('CAM1'), { streamId: 'CAM1', name: 'Porch', nodeId: 'node-a' });
+
+    await nodeA.remove('CAM1');
+    assert.equal(await nodeB.claim('CAM1', {}), true);
+  });
+
+  it('ignores the streams of nodes without a recent heartbeat', async () => {
+    await nodeA.claim('CAM1', { isPrivate: false });
+    await nodeB.claim('CAM2', { isPrivate: false });
+    await nodeA.heartbeat(Date.now() - NODE_TIMEOUT_MS - 1);
+
+    assert.deepEqual((await nodeB.list()).map(record => record.streamId), ['CAM2']);
+    assert.equal(await nodeB.get('CAM1'), null);
+    // A node never counts itself as gone
+    assert.deepEqual((await nodeA.list()).map(record => record.streamId), ['CAM1', 'CAM2']);
+
+    // and its stream ids may be taken
+    assert.equal(await nodeB.claim('CAM1', {}), true);
+    assert.equal((await nodeA.get('CAM1')).nodeId, 'node-b');
+  });
+
+  it('removes stale nodes with their streams', async () => {
+    await nodeA.claim('CAM1', {});
+    await nodeA.claim('CAM2', {});
+    await nodeB.claim('CAM3', {});
+    await nodeA.heartbeat(Date.now() - NODE_TIMEOUT_MS - 1);
+
+    const orphaned = await nodeB.removeStaleNodes();
+    assert.deepEqual(orphaned.map(record => record.streamId), ['CAM1', 'CAM2']);
+    assert.deepEqual(await nodeB.removeStaleNodes(), []);
+    assert.deepEqual(Object.keys(await nodeB.store.hgetall('test:streams')), ['CAM3']);
+  });
+
+  it('removes a node that shuts down', async () => {
+    await nodeA.claim('CAM1', {});
+    await nodeB.claim('CAM2', {});
+    await nodeA.removeNode();
+
+    assert.deepEqual(Object.keys(await nodeB.store.hgetall('test:streams')), ['CAM2']);
+    assert.deepEqual(Object.keys(await nodeB.store.hgetall('test:nodes')), ['node-b']);
+  });
+});
+
+describe('loadStateConfig', () => {
+  it('defaults to memory', () => {
+    const config = loadStateConfig({});
+    assert.equal(config.backend, 'memory');
+    assert.equal(config.prefix, 'camera-stream');
+    assert.ok(config.nodeId);
+  });
+
+  it('rejects unknown backends and URLs', () => {
+    assert.throws(() => loadStateConfig({ STATE_BACKEND: 'etcd' }), /STATE_BACKEND/);
+    assert.throws(() => loadStateConfig({ STATE_BACKEND: 'redis', REDIS_URL: 'http://redis' }), /REDIS_URL/);
+  });
+});
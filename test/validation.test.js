@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvent } = require('../lib/validation');
+
+describe('validateEvent', () => {
+  it('accepts what the clients send', () => {
+    assert.equal(validateEvent('create-stream', 'ABC123'), null);
+    assert.equal(validateEvent('create-stream', { streamId: 'ABC123', passphrase: '', relay: false }), null);
+    assert.equal(validateEvent('join-stream', { streamId: 'ABC123', token: null, passphrase: undefined }), null);
+    assert.equal(validateEvent('offer', { streamId: 'A', targetViewerId: 'relay', offer: { type: 'offer', sdp: 'v=0' } }), null);
+    assert.equal(validateEvent('ice-candidate', { streamId: 'A', target: 'x1', candidate: null }), null);
+    assert.equal(validateEvent('ice-candidate', {
+      streamId: 'A',
+      target: 'x1',
+      candidate: { candidate: 'candidate:1', sdpMid: null, sdpMLineIndex: 0, usernameFragment: 'abcd' }
+    }), null);
+    assert.equal(validateEvent('motion-detected', { streamId: 'A', score: 0.5, timestamp: new Date().toISOString(), thumbnail: null }), null);
+    assert.equal(validateEvent('talk-request', 'A'), null);
+    assert.equal(validateEvent('chat-message', { streamId: 'A', text: 'Hi', name: null }), null);
+    assert.equal(validateEvent('chat-reaction', { streamId: 'A', reaction: '👍' }), null);
+  });
+
+  it('rejects bad stream ids', () => {
+    assert.match(validateEvent('create-stream', { streamId: 'a b' }), /^streamId must be/);
+    assert.match(validateEvent('leave-stream', { streamId: 'A' }), /^streamId must be/);
+    assert.match(validateEvent('end-stream', 'x'.repeat(65)), /^streamId must be/);
+  });
+
+  it('rejects payloads of the wrong shape', () => {
+    assert.equal(validateEvent('offer', null), 'payload must be an object');
+    assert.equal(validateEvent('offer', { streamId: 'A', targetViewerId: 'x1', offer: { type: 'answer', sdp: '' } }),
+      'offer.type must be one of offer');
+    assert.equal(validateEvent('answer', { streamId: 'A', targetStreamerId: 'x1', answer: 'v=0' }), 'answer must be an object');
+    assert.match(validateEvent('ice-candidate', { streamId: 'A', target: 'x1', candidate: { candidate: 'c'.repeat(2000) } }),
+      /^candidate.candidate must be a string/);
+    assert.equal(validateEvent('join-stream', { streamId: 'A', passphrase: 42 }), 'passphrase must be a string of at most 512 characters');
+    assert.equal(validateEvent('motion-detected', { streamId: 'A', score: 'high' }), 'score must be a number');
+    assert.equal(validateEvent('chat-delete', { streamId: 'A', messageId: '1' }), 'messageId must be a positive whole number');
+    assert.match(validateEvent('chat-reaction', { streamId: 'A', reaction: 'boo' }), /^reaction must be one of/);
+  });
+
+  it('leaves events without a schema alone', () => {
+    assert.equal(validateEvent('something-else', undefined), null);
+  });
+});